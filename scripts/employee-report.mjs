@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+// Generate the employee statistics of an Excel file without a browser, for
+// scheduled jobs. It runs the same modules as the app.
+//
+//   node scripts/employee-report.mjs <file> [options]
+//
+//   --format json|csv|xlsx    report format, json by default
+//   --output <path>           file to write; JSON and CSV go to stdout without
+//                             it, the workbook to employee_analysis.xlsx
+//   --sheets <names>          comma-separated sheets with the same headers to
+//                             combine, the first sheet by default
+//   --group-by <field>        manager (default), employer, function,
+//                             employmentType, employeeType or sourceSheet
+//   --sub-group-by <field>    second grouping, one of the same fields
+//   --reference-date <date>   only count employees employed on yyyy-mm-dd
+//   --language en|nl          language of headers and sheet names
+//
+// Exit codes: 0 when the report is written, 1 for invalid arguments or an
+// unreadable file and 2 for validation errors. Without the required columns
+// nothing is written; data quality issues are listed on stderr after the
+// report is written.
+import { readFile, writeFile } from 'node:fs/promises';
+import { register } from 'node:module';
+import { parseArgs } from 'node:util';
+
+register('./loader.mjs', import.meta.url);
+
+const EXIT_FAILED = 1;
+const EXIT_INVALID = 2;
+
+const GROUP_FIELDS = ['manager', 'employer', 'function', 'employmentType', 'employeeType', 'sourceSheet'];
+
+const USAGE = 'Usage: node scripts/employee-report.mjs <file.xlsx> [--format json|csv|xlsx] [--output path] ' +
+  '[--sheets a,b] [--group-by field] [--sub-group-by field] [--reference-date yyyy-mm-dd] [--language en|nl]';
+
+class UsageError extends Error {}
+
+const parseOptions = (args, { REPORT_FORMATS, LANGUAGES, parseDateInput, formatDateInput }) => {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      format: { type: 'string', default: 'json' },
+      output: { type: 'string' },
+      sheets: { type: 'string' },
+      'group-by': { type: 'string', default: 'manager' },
+      'sub-group-by': { type: 'string' },
+      'reference-date': { type: 'string' },
+      language: { type: 'string', default: 'en' }
+    }
+  });
+
+  if (positionals.length !== 1) throw new UsageError('Expected one Excel file.');
+  if (!REPORT_FORMATS.includes(values.format)) throw new UsageError(`Unknown format: ${values.format}`);
+  if (!LANGUAGES.some(language => language.key === values.language)) throw new UsageError(`Unknown language: ${values.language}`);
+  [values['group-by'], values['sub-group-by']].forEach(field => {
+    if (field !== undefined && !GROUP_FIELDS.includes(field)) throw new UsageError(`Unknown field: ${field}`);
+  });
+  if (values['sub-group-by'] === values['group-by']) throw new UsageError('The sub-grouping must differ from the grouping.');
+
+  // Dates such as 2024-02-30 roll over to another day and are rejected
+  const referenceDate = values['reference-date'] === undefined ? null : parseDateInput(values['reference-date']);
+  if (values['reference-date'] !== undefined && (!referenceDate || formatDateInput(referenceDate) !== values['reference-date'])) {
+    throw new UsageError(`Invalid reference date: ${values['reference-date']}`);
+  }
+
+  return {
+    file: positionals[0],
+    format: values.format,
+    output: values.output || (values.format === 'xlsx' ? 'employee_analysis.xlsx' : null),
+    sheetNames: values.sheets ? values.sheets.split(',').map(name => name.trim()).filter(Boolean) : [],
+    groupBy: values['group-by'],
+    subGroupBy: values['sub-group-by'] || null,
+    referenceDate,
+    language: values.language
+  };
+};
+
+const main = async (args) => {
+  // The app's modules are only loaded once the hooks that resolve them are registered
+  const { REPORT_FORMATS, createReport, hasValidationErrors, formatReportJson, formatStatsCsv } = await import('../src/lib/report.js');
+  const { LANGUAGES, createLocale } = await import('../src/lib/i18n.js');
+  const { parseDateInput, formatDateInput } = await import('../src/lib/referenceDate.js');
+  const { describeIssue } = await import('../src/lib/dataQuality.js');
+
+  const options = parseOptions(args, { REPORT_FORMATS, LANGUAGES, parseDateInput, formatDateInput });
+  const i18n = createLocale(options.language);
+  const { t } = i18n;
+
+  const report = createReport(new Uint8Array(await readFile(options.file)), options);
+  if (report.missingFields.length) {
+    console.error(t('structure.requiredMissing', { fields: report.missingFields.map(field => t(`field.${field}`)).join(', ') }));
+    return EXIT_INVALID;
+  }
+
+  if (options.format === 'xlsx') {
+    const { createAnalysisWorkbook } = await import('../src/lib/excelExport.js');
+    const workbook = createAnalysisWorkbook({
+      employees: report.employees,
+      groupBy: report.groupBy,
+      subGroupBy: report.subGroupBy,
+      includeSourceSheet: report.structure.activeSheets.length > 1,
+      i18n
+    });
+    await workbook.xlsx.writeFile(options.output);
+  } else {
+    const content = options.format === 'csv' ? formatStatsCsv(report, i18n) : `${formatReportJson(report)}\n`;
+    if (options.output) {
+      await writeFile(options.output, content);
+    } else {
+      process.stdout.write(content);
+    }
+  }
+
+  report.issues.forEach(issue => {
+    const location = t('issueDetail.sheetRow', { sheet: issue.sheet, row: issue.row });
+    console.error(`${location}: ${t(`issue.${issue.type}`)}. ${describeIssue(issue, i18n)}`);
+  });
+  return hasValidationErrors(report) ? EXIT_INVALID : 0;
+};
+
+main(process.argv.slice(2)).then(
+  code => {
+    process.exitCode = code;
+  },
+  err => {
+    console.error(err.message);
+    if (err instanceof UsageError || err.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION') console.error(USAGE);
+    process.exitCode = EXIT_FAILED;
+  }
+);
@@ -0,0 +1,23 @@
+// Module hooks that let Node run the modules in src as they are written for
+// the app's bundler: ES module syntax in .js files and imports without the
+// .js extension.
+import { existsSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+const SOURCE_URL = new URL('../src/', import.meta.url).href;
+
+const isSource = (url) => Boolean(url) && url.startsWith(SOURCE_URL);
+
+export const resolve = async (specifier, context, nextResolve) => {
+  if (isSource(context.parentURL) && specifier.startsWith('.') && !/\.\w+$/.test(specifier)) {
+    const url = new URL(`${specifier}.js`, context.parentURL);
+    if (existsSync(fileURLToPath(url))) {
+      return nextResolve(url.href, context);
+    }
+  }
+  return nextResolve(specifier, context);
+};
+
+export const load = async (url, context, nextLoad) => (
+  isSource(url) ? nextLoad(url, { ...context, format: 'module' }) : nextLoad(url, context)
+);
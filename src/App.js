@@ -1,17 +1,396 @@
-import React, { useState, useCallback, useEffect, useMemo } from 'react';
-import * as XLSX from 'xlsx';
+import React, { useState, useCallback, useEffect, useMemo, useRef, useDeferredValue } from 'react';
 import _ from 'lodash';
+import { EMPLOYEE_FIELDS, getMissingRequiredFields, remapByHeaders, columnLetter } from './lib/columnMapping';
+import { selectEmployeeRows, transformRows, calculateGroupStats, groupNonParticipants, parsePartTimePercentage } from './lib/employeeData';
+import { PRESENCE_STATUSES, DEFAULT_PRESENCE_VOCABULARY, getPresenceStatus, isRecognizedPresence, parsePresenceTokens } from './lib/presence';
+import { compareSnapshots } from './lib/snapshotDiff';
+import { downloadBlob, downloadWorkbook } from './lib/download';
+import { PRESENT_COLOR, ABSENT_COLOR, UNKNOWN_COLOR, TOTAL_COLOR, PART_TIME_COLOR } from './lib/chartColors';
+import { METRICS, getMetricValues, sumMetricValues, averagePartTime, formatMetricValue } from './lib/metrics';
+import { filterByReferenceDate, parseDateInput, formatDateInput } from './lib/referenceDate';
+import { calculateMonthlyTrends, toMonthIndex, formatMonthKey, parseMonthKey } from './lib/trends';
+import { TENURE_BUCKETS, calculateTenureBuckets, getExpiringContracts, getEmploymentTypes, isPermanentType } from './lib/tenure';
+import { buildOrgTree, summarizeSpanOfControl } from './lib/orgTree';
+import { ISSUE_TYPES, countIssuesByType, describeIssue } from './lib/dataQuality';
+import { createEditHistory, recordChange, undoChange, redoChange, getAppliedChanges, formatChangeValue, reapplyChanges, replayChanges } from './lib/editHistory';
+import { LANGUAGES, createLocale, detectLanguage } from './lib/i18n';
+import { createPseudonymKey, extendPseudonymKey, pseudonymiseEmployees, pseudonymiseRecord, pseudonymiseIssue, pseudonymiseRow, findRealValue, serializePseudonymKey, parsePseudonymKey } from './lib/pseudonyms';
+import { isLocalStoreAvailable, getSessionId, listSessions, saveSession, saveSessionFile, saveSessionData, saveSessionEdits, loadSession, deleteSessions, saveProfile, findProfile, forgetLocalData } from './lib/localStore';
+import { RULE_FIELDS, RULE_COLORS, getOperators, createRule, createCondition, changeConditionField, isRuleComplete, findMatchingRule, countRuleMatches, parseRules } from './lib/highlightRules';
+import { FILTER_FIELDS, createEmptyFilters, createDrillDownFilters, getFilterOptions, filterEmployees, sortEmployees } from './lib/employeeFilters';
+import MultiSelectFilter from './components/MultiSelectFilter';
+import VirtualTable from './components/VirtualTable';
+import TrendChart from './components/TrendChart';
+import BarChart from './components/BarChart';
+import PieChart from './components/PieChart';
+import OrgChart from './components/OrgChart';
+import useAnalysisWorker, { ANALYSIS_STAGES } from './hooks/useAnalysisWorker';
+import useAppUpdate from './hooks/useAppUpdate';
+
+// Columns of the employee table; dates are only shown when they are mapped
+const EMPLOYEE_COLUMNS = [
+  { key: 'name', align: 'text-left', width: '20%' },
+  { key: 'function', align: 'text-left', width: '16%' },
+  { key: 'manager', align: 'text-left', width: '16%' },
+  { key: 'startDate', align: 'text-left', width: '11%', dateField: true },
+  { key: 'endDate', align: 'text-left', width: '11%', dateField: true },
+  { key: 'partTimePercentage', align: 'text-right', width: '10%' },
+  { key: 'present', align: 'text-center', width: '9%' },
+  { key: 'sourceSheet', align: 'text-left', width: '7%', multiSheetOnly: true }
+];
+
+// Fields the statistics can be grouped by; labels are the field names
+const GROUP_BY_OPTIONS = [
+  { key: 'manager' },
+  { key: 'employer' },
+  { key: 'function' },
+  { key: 'employmentType' },
+  { key: 'employeeType' },
+  { key: 'sourceSheet', multiSheetOnly: true }
+];
+
+const isUnmapped = (columnIndex) => columnIndex === null || columnIndex === undefined;
+
+// A field can only be grouped on when it is mapped to a column; the source
+// sheet only when sheets are combined
+const isGroupByAvailable = (key, mapping, isMultiSheet) => {
+  const option = GROUP_BY_OPTIONS.find(groupByOption => groupByOption.key === key);
+  if (!option) return false;
+  if (option.multiSheetOnly) return isMultiSheet;
+  return !isUnmapped(mapping[key]);
+};
+
+// Highlight people who are not participating, and those whose presence is unknown
+const PRESENCE_CLASS_NAMES = { present: '', absent: 'bg-red-200', unknown: 'bg-yellow-100' };
+
+// Presence lists as the comma-separated text of the vocabulary inputs
+const PRESENCE_LISTS = ['yes', 'no', 'maybe'];
+const toPresenceDraft = (vocabulary) => ({
+  yes: vocabulary.yes.join(', '),
+  no: vocabulary.no.join(', '),
+  maybe: vocabulary.maybe.join(', ')
+});
+
+// The trends start out covering the last twelve months
+const getDefaultTrendRange = () => {
+  const currentMonth = toMonthIndex(new Date());
+  return { from: formatMonthKey(currentMonth - 11), to: formatMonthKey(currentMonth) };
+};
+
+// Windows for the list of contracts that are about to end, in days
+const EXPIRY_WINDOWS = [30, 60, 90];
+
+// Fixed row height of the employee table, needed for windowed rendering
+const EMPLOYEE_ROW_HEIGHT = 41;
+
+// The chosen language is remembered in the browser; the first visit follows
+// the browser's language
+const LANGUAGE_STORAGE_KEY = 'language';
+const getInitialLanguage = () => {
+  try {
+    const stored = window.localStorage.getItem(LANGUAGE_STORAGE_KEY);
+    if (LANGUAGES.some(language => language.key === stored)) return stored;
+  } catch (err) {
+    // Storage can be blocked; fall back to the browser language
+  }
+  return detectLanguage(navigator.languages || [navigator.language]);
+};
+
+// Highlight rules are remembered in the browser as well
+const HIGHLIGHT_RULES_STORAGE_KEY = 'highlightRules';
+const getInitialHighlightRules = () => {
+  try {
+    return parseRules(window.localStorage.getItem(HIGHLIGHT_RULES_STORAGE_KEY) || '[]');
+  } catch (err) {
+    return [];
+  }
+};
 
 const EmployeeDataVisualization = () => {
+  const [language, setLanguage] = useState(getInitialLanguage);
   const [file, setFile] = useState(null);
+  const [sessionId, setSessionId] = useState(null);
+  const [recentSessions, setRecentSessions] = useState([]);
+  const [sessionNotSaved, setSessionNotSaved] = useState(false);
+  const [localDataForgotten, setLocalDataForgotten] = useState(false);
+  const [profileStatus, setProfileStatus] = useState(null);
   const [fileStructure, setFileStructure] = useState(null);
+  const [columnMapping, setColumnMapping] = useState({});
   const [data, setData] = useState([]);
-  const [stats, setStats] = useState({});
+  const [analyzedData, setAnalyzedData] = useState([]);
+  const [managerStats, setManagerStats] = useState({});
+  const [groupBy, setGroupBy] = useState('manager');
+  const [subGroupBy, setSubGroupBy] = useState(null);
+  const [metric, setMetric] = useState('headcount');
+  const [referenceDate, setReferenceDate] = useState('');
+  const [trendRange, setTrendRange] = useState(getDefaultTrendRange);
+  const [trendManager, setTrendManager] = useState('');
+  const [expiryWindow, setExpiryWindow] = useState(30);
+  const [contractTypeChoice, setContractTypeChoice] = useState(null);
+  const [dataIssues, setDataIssues] = useState([]);
+  const [issueFilter, setIssueFilter] = useState('');
+  const [pseudonymFields, setPseudonymFields] = useState([]);
+  const [pseudonymKey, setPseudonymKey] = useState(createPseudonymKey);
+  const [pseudonymError, setPseudonymError] = useState(null);
+  const [pseudonymLookup, setPseudonymLookup] = useState('');
+  const [presenceVocabulary, setPresenceVocabulary] = useState(DEFAULT_PRESENCE_VOCABULARY);
+  const [presenceDraft, setPresenceDraft] = useState(() => toPresenceDraft(DEFAULT_PRESENCE_VOCABULARY));
+  const [editHistory, setEditHistory] = useState(createEditHistory);
+  const [skippedEdits, setSkippedEdits] = useState(0);
+  const [editorName, setEditorName] = useState('');
+  const [searchTerm, setSearchTerm] = useState('');
+  const [tableFilters, setTableFilters] = useState(createEmptyFilters);
+  const [drillDown, setDrillDown] = useState(null);
+  const [highlightRules, setHighlightRules] = useState(getInitialHighlightRules);
+  const [showHighlightRules, setShowHighlightRules] = useState(false);
+  const [sortConfig, setSortConfig] = useState({ key: null, direction: 'asc' });
   const [loading, setLoading] = useState(false);
   const [activeTab, setActiveTab] = useState('upload');
   const [error, setError] = useState(null);
   const [dragActive, setDragActive] = useState(false);
   const [showSampleData, setShowSampleData] = useState(false);
+  const [combineSheets, setCombineSheets] = useState(false);
+  const [comparison, setComparison] = useState(null);
+  const [comparisonError, setComparisonError] = useState(null);
+  const [includeComparisonInExport, setIncludeComparisonInExport] = useState(true);
+  const [exporting, setExporting] = useState(false);
+  const [exportError, setExportError] = useState(null);
+  const [reportGeneratedAt, setReportGeneratedAt] = useState(null);
+  const { run: runAnalysis, cancel: cancelAnalysis, progress: analysisProgress } = useAnalysisWorker();
+  const { updateAvailable, applyUpdate, dismissUpdate } = useAppUpdate();
+  
+  // Translations and number and date formats of the chosen language
+  const i18n = useMemo(() => createLocale(language), [language]);
+  const { t, formatNumber, formatPercent, formatDate, formatDateTime, formatMonth } = i18n;
+  const groupLabel = t(`field.${groupBy}`);
+  const groupingLabel = subGroupBy ? `${groupLabel} / ${t(`field.${subGroupBy}`)}` : groupLabel;
+  
+  useEffect(() => {
+    document.documentElement.lang = language;
+    try {
+      window.localStorage.setItem(LANGUAGE_STORAGE_KEY, language);
+    } catch (err) {
+      // Not remembering the language is fine
+    }
+  }, [language]);
+  
+  useEffect(() => {
+    try {
+      if (highlightRules.length) {
+        window.localStorage.setItem(HIGHLIGHT_RULES_STORAGE_KEY, JSON.stringify(highlightRules));
+      } else {
+        window.localStorage.removeItem(HIGHLIGHT_RULES_STORAGE_KEY);
+      }
+    } catch (err) {
+      // Rules that aren't remembered only last for this visit
+    }
+  }, [highlightRules]);
+  
+  // Recent files are listed on the upload screen
+  useEffect(() => {
+    if (fileStructure) return;
+    listSessions().then(setRecentSessions).catch(() => setRecentSessions([]));
+  }, [fileStructure]);
+  
+  // Keep the open file in the browser so it can be reopened where it was left.
+  // The summary follows the view. The file is saved once when it is opened,
+  // the analysis when it is made and the corrections when they change; the
+  // employees are saved as analyzed and corrected again when reopened.
+  const storedAnalysis = useRef(null);
+  
+  useEffect(() => {
+    if (!sessionId || !fileStructure || !isLocalStoreAvailable()) return;
+    saveSession({
+      id: sessionId,
+      fileName: fileStructure.fileName,
+      rowCount: fileStructure.rowCount,
+      activeSheets: fileStructure.activeSheets,
+      view: { activeTab, groupBy, subGroupBy, metric, referenceDate }
+    }).catch(() => setSessionNotSaved(true));
+  }, [sessionId, fileStructure, activeTab, groupBy, subGroupBy, metric, referenceDate]);
+  
+  useEffect(() => {
+    if (!sessionId || !fileStructure || storedAnalysis.current === analyzedData || !isLocalStoreAvailable()) return;
+    storedAnalysis.current = analyzedData;
+    saveSessionData(sessionId, {
+      structure: fileStructure,
+      mapping: columnMapping,
+      data: analyzedData,
+      stats: managerStats,
+      issues: dataIssues,
+      vocabulary: presenceVocabulary
+    }).catch(() => setSessionNotSaved(true));
+  }, [sessionId, fileStructure, columnMapping, analyzedData, managerStats, dataIssues, presenceVocabulary]);
+  
+  useEffect(() => {
+    if (!sessionId || !isLocalStoreAvailable()) return;
+    saveSessionEdits(sessionId, { editHistory, pseudonymFields, pseudonymKey }).catch(() => setSessionNotSaved(true));
+  }, [sessionId, editHistory, pseudonymFields, pseudonymKey]);
+
+  // Cell values of the file as shown in previews and issue lists
+  const formatCell = (value) => (value instanceof Date ? formatDate(value) : String(value));
+  
+  // Filter values are the English presence labels and '(empty)'; show them translated
+  const formatFilterOption = (field, option) => {
+    if (option === '(empty)') return t('common.empty');
+    const status = field === 'present' && PRESENCE_STATUSES.find(entry => entry.label === option);
+    return status ? t(`presence.${status.key}`) : option;
+  };
+
+  const isMultiSheet = fileStructure ? fileStructure.activeSheets.length > 1 : false;
+  const groupByOptions = GROUP_BY_OPTIONS.filter(option => isGroupByAvailable(option.key, columnMapping, isMultiSheet));
+  const metricSuffix = metric === 'fte' ? ' (FTE)' : '';
+
+  // Previous snapshot, transformed with the current mapping matched by header name
+  const comparisonData = useMemo(() => {
+    if (!comparison || !fileStructure) return null;
+    const mapping = remapByHeaders(columnMapping, fileStructure.headers, comparison.headers);
+    if (getMissingRequiredFields(mapping).length > 0) return null;
+    const { rows, rowSheets } = selectEmployeeRows(comparison.rows, mapping, comparison.rowSheets);
+    return transformRows(rows, mapping, rowSheets, presenceVocabulary);
+  }, [comparison, fileStructure, columnMapping, presenceVocabulary]);
+  
+  // With pseudonymisation on, names (and the chosen other fields) are replaced
+  // before anything below reads the employees. New values get their
+  // pseudonym here and are added to the key, so they keep it for the session.
+  const isPseudonymised = pseudonymFields.length > 0;
+  const currentPseudonymKey = useMemo(() => (
+    isPseudonymised ? extendPseudonymKey(pseudonymKey, [...data, ...(comparisonData || [])], pseudonymFields) : pseudonymKey
+  ), [isPseudonymised, pseudonymKey, data, comparisonData, pseudonymFields]);
+  
+  useEffect(() => {
+    setPseudonymKey(currentPseudonymKey);
+  }, [currentPseudonymKey]);
+  
+  const shownData = useMemo(() => (
+    isPseudonymised ? pseudonymiseEmployees(data, currentPseudonymKey, pseudonymFields) : data
+  ), [isPseudonymised, data, currentPseudonymKey, pseudonymFields]);
+  const shownComparisonData = useMemo(() => (
+    isPseudonymised && comparisonData ? pseudonymiseEmployees(comparisonData, currentPseudonymKey, pseudonymFields) : comparisonData
+  ), [isPseudonymised, comparisonData, currentPseudonymKey, pseudonymFields]);
+  const shownIssues = useMemo(() => (
+    isPseudonymised ? dataIssues.map(issue => pseudonymiseIssue(issue, currentPseudonymKey, pseudonymFields)) : dataIssues
+  ), [isPseudonymised, dataIssues, currentPseudonymKey, pseudonymFields]);
+  const shownSampleRows = useMemo(() => {
+    if (!fileStructure) return [];
+    return isPseudonymised
+      ? fileStructure.sampleRows.map(row => pseudonymiseRow(row, columnMapping, currentPseudonymKey, pseudonymFields))
+      : fileStructure.sampleRows;
+  }, [fileStructure, isPseudonymised, columnMapping, currentPseudonymKey, pseudonymFields]);
+
+  // Employees employed on the reference date; everyone when no date is set
+  const activeEmployees = useMemo(
+    () => filterByReferenceDate(shownData, parseDateInput(referenceDate)),
+    [shownData, referenceDate]
+  );
+  const activeData = activeEmployees.employees;
+  const hasEmploymentDates = !isUnmapped(columnMapping.startDate) || !isUnmapped(columnMapping.endDate);
+  
+  // Monthly series over the whole file, for the selected range
+  const getTrends = useCallback(() => {
+    const from = parseMonthKey(trendRange.from);
+    const to = parseMonthKey(trendRange.to);
+    return hasEmploymentDates && from && to ? calculateMonthlyTrends(shownData, from, to) : null;
+  }, [shownData, hasEmploymentDates, trendRange]);
+  
+  const trends = useMemo(() => (activeTab === 'trends' ? getTrends() : null), [activeTab, getTrends]);
+  
+  // Tenure and contract ends are measured from the reference date, or today
+  const tenureDate = useMemo(() => parseDateInput(referenceDate) || new Date(), [referenceDate]);
+  const tenure = useMemo(
+    () => (activeTab === 'tenure' ? calculateTenureBuckets(activeData, tenureDate) : null),
+    [activeTab, activeData, tenureDate]
+  );
+  // Only contracts of the chosen employment types end; until a choice is made
+  // that is every type but the permanent ones
+  const contractTypes = useMemo(
+    () => (isUnmapped(columnMapping.employmentType) ? [] : getEmploymentTypes(activeData)),
+    [columnMapping, activeData]
+  );
+  const chosenContractTypes = useMemo(() => {
+    if (!contractTypes.length) return null;
+    return contractTypeChoice || contractTypes.filter(type => !isPermanentType(type));
+  }, [contractTypes, contractTypeChoice]);
+  const expiringContracts = useMemo(
+    () => (activeTab === 'tenure' ? getExpiringContracts(activeData, tenureDate, expiryWindow, chosenContractTypes) : []),
+    [activeTab, activeData, tenureDate, expiryWindow, chosenContractTypes]
+  );
+  
+  // Reporting tree resolved from the manager column. Pseudonymised managers
+  // are resolved on the real employees employed on the same date.
+  const orgTree = useMemo(() => {
+    if (activeTab !== 'org') return null;
+    const realData = isPseudonymised ? filterByReferenceDate(data, parseDateInput(referenceDate)).employees : activeData;
+    return buildOrgTree(activeData, realData);
+  }, [activeTab, activeData, isPseudonymised, data, referenceDate]);
+  
+  // Per-manager statistics of all employees come from the worker until the
+  // table is edited; everything else is derived here. Pseudonymised employees
+  // are a copy, so their statistics are derived here as well.
+  const stats = useMemo(() => (
+    groupBy === 'manager' && !subGroupBy && activeData === data && editHistory.position === 0
+      ? managerStats
+      : calculateGroupStats(activeData, groupBy, subGroupBy)
+  ), [data, activeData, managerStats, groupBy, subGroupBy, editHistory.position]);
+  
+  const appliedChanges = useMemo(() => {
+    const changes = getAppliedChanges(editHistory);
+    return isPseudonymised ? changes.map(change => pseudonymiseRecord(change, currentPseudonymKey, pseudonymFields)) : changes;
+  }, [editHistory, isPseudonymised, currentPseudonymKey, pseudonymFields]);
+
+  const snapshotDiff = useMemo(() => (
+    shownComparisonData ? compareSnapshots(shownComparisonData, shownData) : null
+  ), [shownComparisonData, shownData]);
+
+  const snapshotChangeCount = snapshotDiff
+    ? snapshotDiff.joiners.length + snapshotDiff.leavers.length + snapshotDiff.managerChanges.length +
+      snapshotDiff.partTimeChanges.length + snapshotDiff.presenceChanges.length
+    : 0;
+
+  // Filter on the deferred search term so typing stays responsive on large files
+  const deferredSearchTerm = useDeferredValue(searchTerm);
+
+  // Employees shown in the table after search, filters and sorting
+  const filteredData = useMemo(() => sortEmployees(
+    filterEmployees(activeData, { search: deferredSearchTerm, filters: tableFilters }),
+    sortConfig
+  ), [activeData, deferredSearchTerm, tableFilters, sortConfig]);
+
+  // The table only jumps back to the top when the rows are filtered or sorted
+  // differently, not when a cell is edited
+  const tableViewKey = useMemo(
+    () => ({ fileStructure, referenceDate, search: deferredSearchTerm, filters: tableFilters, sort: sortConfig }),
+    [fileStructure, referenceDate, deferredSearchTerm, tableFilters, sortConfig]
+  );
+
+  // Highlight rules about "this month" follow the reference date, if any
+  const ruleDate = useMemo(() => parseDateInput(referenceDate) || new Date(), [referenceDate]);
+  
+  // Row class, presence status, highlight rule and position in the dataset
+  // per employee. A matching rule colours the row instead of its presence.
+  const rowPresentation = useMemo(() => {
+    const presentation = new Map();
+    shownData.forEach((employee, index) => {
+      const status = getPresenceStatus(employee);
+      presentation.set(employee, {
+        index,
+        status,
+        className: PRESENCE_CLASS_NAMES[status],
+        rule: findMatchingRule(employee, highlightRules, ruleDate)
+      });
+    });
+    return presentation;
+  }, [shownData, highlightRules, ruleDate]);
+
+  const filterOptions = useMemo(() => {
+    const options = {};
+    FILTER_FIELDS.forEach(field => {
+      options[field.key] = getFilterOptions(shownData, field.key);
+    });
+    return options;
+  }, [shownData]);
+
+  const isTableFiltered = filteredData.length !== activeData.length;
 
   // Handle file drop
   const handleDrag = useCallback((e) => {
@@ -25,185 +404,195 @@ const EmployeeDataVisualization = () => {
     }
   }, []);
 
-  // Process the uploaded file
+  // Store the result of a worker analysis. With the edit history of an earlier
+  // analysis of the same file, its corrections are made again.
+  const applyAnalysis = useCallback((result, file, history = null) => {
+    // Save file structure information
+    setFileStructure({
+      fileName: file.name,
+      fileSize: file.size,
+      ...result.structure
+    });
+    setColumnMapping(result.mapping);
+    setAnalyzedData(result.data);
+    const edited = history ? reapplyChanges(history, result.data) : { history: createEditHistory(), employees: result.data, skipped: [] };
+    setData(edited.employees);
+    setEditHistory(edited.history);
+    setSkippedEdits(edited.skipped.length);
+    setManagerStats(result.stats);
+    setDataIssues(result.issues);
+    setIssueFilter('');
+    setTableFilters(createEmptyFilters());
+    setDrillDown(null);
+    setContractTypeChoice(null);
+    
+    // Fall back when the grouping field is no longer available
+    const isAvailable = (key) => isGroupByAvailable(key, result.mapping, result.structure.activeSheets.length > 1);
+    setGroupBy(current => (isAvailable(current) ? current : 'manager'));
+    setSubGroupBy(current => (current && isAvailable(current) ? current : null));
+  }, []);
+
+  // Process the uploaded file; parsing and aggregation run in the worker
   const processFile = useCallback(async (file) => {
     try {
       setLoading(true);
       setError(null);
+      
+      const opened = await runAnalysis('open', { file, vocabulary: presenceVocabulary });
+      
+      // A profile saved for the same headers brings its mapping and presence lists
+      const profile = await findProfile(opened.structure.headers).catch(() => null);
+      const result = profile
+        ? await runAnalysis('analyze', {
+          file,
+          sheetNames: opened.structure.activeSheets,
+          mapping: profile.mapping,
+          mappingHeaders: profile.headers,
+          vocabulary: profile.vocabulary
+        })
+        : opened;
+      if (profile) {
+        setPresenceVocabulary(profile.vocabulary);
+        setPresenceDraft(toPresenceDraft(profile.vocabulary));
+      }
+      
+      // The previous file stays open until the new one has been analyzed
       setFile(file);
+      setSessionId(getSessionId(file));
+      if (isLocalStoreAvailable()) {
+        saveSessionFile(getSessionId(file), file).catch(() => setSessionNotSaved(true));
+      }
+      setProfileStatus(profile ? 'applied' : null);
+      setCombineSheets(false);
+      applyAnalysis(result, file);
+      setActiveTab('structure');
+      setLoading(false);
+    } catch (err) {
+      // A newer task took over, along with the loading state
+      if (err.replaced) return;
+      setLoading(false);
+      if (err.cancelled) return;
+      console.error('Error processing file:', err);
+      setError('error.processFile');
+    }
+  }, [runAnalysis, applyAnalysis, presenceVocabulary]);
+  
+  // Continue a session saved in the browser where it was left
+  const reopenSession = async (id) => {
+    try {
+      setLoading(true);
+      setError(null);
       
-      // Read file as ArrayBuffer
-      const reader = new FileReader();
+      const session = await loadSession(id);
+      if (!session) throw new Error(`Session ${id} is no longer saved.`);
+      const history = session.editHistory || createEditHistory();
+      storedAnalysis.current = session.data;
       
-      reader.onload = (e) => {
-        try {
-          const data = new Uint8Array(e.target.result);
-          const workbook = XLSX.read(data, {
-            cellStyles: true,
-            cellFormulas: true,
-            cellDates: true,
-            cellNF: true,
-            sheetStubs: true,
-            type: 'array'
-          });
-          
-          // Analyze file structure
-          const firstSheetName = workbook.SheetNames[0];
-          const firstSheet = workbook.Sheets[firstSheetName];
-          const range = XLSX.utils.decode_range(firstSheet['!ref'] || 'A1');
-          
-          // Extract headers
-          const headers = [];
-          for (let C = range.s.c; C <= range.e.c; ++C) {
-            const cell = firstSheet[XLSX.utils.encode_cell({r: 0, c: C})];
-            headers.push(cell ? cell.v : null);
-          }
-          
-          // Get column types from sample data
-          const jsonData = XLSX.utils.sheet_to_json(firstSheet, { header: 1 });
-          const columnTypes = {};
-          headers.forEach((header, idx) => {
-            if (header) {
-              const types = new Set();
-              jsonData.slice(1, 10).forEach(row => {
-                if (row[idx] !== undefined) {
-                  types.add(typeof row[idx]);
-                }
-              });
-              columnTypes[header] = Array.from(types).join('/');
-            }
-          });
-          
-          // Save file structure information
-          setFileStructure({
-            fileName: file.name,
-            fileSize: (file.size / 1024).toFixed(2) + ' KB',
-            sheetNames: workbook.SheetNames,
-            activeSheet: firstSheetName,
-            rowCount: range.e.r + 1,
-            columnCount: range.e.c + 1,
-            headers,
-            columnTypes,
-            sampleRows: jsonData.slice(1, Math.min(5, jsonData.length))
-          });
-          
-          // Process data for visualization
-          const rows = jsonData.slice(1);
-          
-          // Find column indices
-          const leidinggevendeIndex = headers.findIndex(h => h === 'Leidinggevende');
-          const parttimeIndex = headers.findIndex(h => h === 'Parttime (%)');
-          const aanwezigIndex = headers.findIndex(h => 
-            h === 'Aanwezig' || h === 'Present' || h === 'Participation'
-          );
-          
-          if (leidinggevendeIndex === -1 || parttimeIndex === -1) {
-            setError('Required columns missing. Please check that your file has "Leidinggevende" and "Parttime (%)" columns.');
-            setLoading(false);
-            return;
-          }
-          
-          // Transform data - Important fix for participation status
-          const formattedData = rows.map(row => {
-            // Extract the "Aanwezig" value (or equivalent)
-            let presentValue = aanwezigIndex !== -1 ? row[aanwezigIndex] : undefined;
-            
-            // Ensure we have a consistent representation
-            if (presentValue === undefined) {
-              presentValue = 'nee'; // Default to "no" if the field doesn't exist
-            }
-            
-            return {
-              id: row[0],
-              name: row[1],
-              function: row[2],
-              employmentType: row[3],
-              employeeType: row[4],
-              startDate: row[5] ? new Date(row[5]) : null,
-              endDate: row[6] ? new Date(row[6]) : null,
-              employer: row[9],
-              manager: row[leidinggevendeIndex],
-              partTimePercentage: row[parttimeIndex],
-              present: presentValue
-            };
-          });
-          
-          // Calculate statistics per manager
-          const managerStats = {};
-          formattedData.forEach(employee => {
-            if (employee.manager) {
-              if (!managerStats[employee.manager]) {
-                managerStats[employee.manager] = {
-                  totalEmployees: 0,
-                  presentEmployees: 0,
-                  absentEmployees: 0,
-                  totalPartTimePercentage: 0,
-                  avgPartTimePercentage: 0
-                };
-              }
-              
-              managerStats[employee.manager].totalEmployees++;
-              
-              // Check if present (ja/yes) or not - Improved logic
-              const presentValue = employee.present;
-              let isPresent = false;
-              
-              // Handle different formats of 'present' value
-              if (presentValue !== undefined && presentValue !== null) {
-                if (typeof presentValue === 'boolean') {
-                  isPresent = presentValue;
-                } else if (typeof presentValue === 'number') {
-                  isPresent = presentValue !== 0;
-                } else if (typeof presentValue === 'string') {
-                  const normalizedValue = presentValue.toLowerCase().trim();
-                  isPresent = ['ja', 'yes', 'y', 'true', '1'].includes(normalizedValue);
-                }
-              }
-              
-              if (isPresent) {
-                managerStats[employee.manager].presentEmployees++;
-              } else {
-                managerStats[employee.manager].absentEmployees++;
-              }
-              
-              if (employee.partTimePercentage) {
-                managerStats[employee.manager].totalPartTimePercentage += 
-                  typeof employee.partTimePercentage === 'string' ? 
-                  parseFloat(employee.partTimePercentage) : 
-                  employee.partTimePercentage;
-              }
-            }
-          });
-          
-          // Calculate averages
-          Object.keys(managerStats).forEach(manager => {
-            managerStats[manager].avgPartTimePercentage = 
-              (managerStats[manager].totalPartTimePercentage / managerStats[manager].totalEmployees).toFixed(2);
-          });
-          
-          setData(formattedData);
-          setStats(managerStats);
-          setActiveTab('structure');
-          setLoading(false);
-        } catch (err) {
-          console.error('Error processing file:', err);
-          setError('Failed to process the Excel file. Please check the format.');
-          setLoading(false);
-        }
-      };
+      // The worker still holds the previous workbook; a new one parses the reopened file
+      cancelAnalysis();
+      setFile(session.file);
+      setSessionId(session.id);
+      setProfileStatus(null);
+      setFileStructure(session.structure);
+      setColumnMapping(session.mapping);
+      setData(replayChanges(history, session.data));
+      setAnalyzedData(session.data);
+      setManagerStats(session.stats);
+      setDataIssues(session.issues);
+      setIssueFilter('');
+      setEditHistory(history);
+      setSkippedEdits(0);
+      setTableFilters(createEmptyFilters());
+      setDrillDown(null);
+      setContractTypeChoice(null);
+      setPresenceVocabulary(session.vocabulary);
+      setPresenceDraft(toPresenceDraft(session.vocabulary));
+      setPseudonymFields(session.pseudonymFields || []);
+      setPseudonymKey(session.pseudonymKey || createPseudonymKey());
+      setCombineSheets(session.structure.activeSheets.length > 1);
+      setGroupBy(session.view.groupBy);
+      setSubGroupBy(session.view.subGroupBy);
+      setMetric(session.view.metric);
+      setReferenceDate(session.view.referenceDate);
+      setActiveTab(session.view.activeTab);
+      setLoading(false);
+    } catch (err) {
+      setLoading(false);
+      console.error('Error reopening session:', err);
+      setError('error.reopenSession');
+    }
+  };
+  
+  const removeRecentSession = async (id) => {
+    try {
+      await deleteSessions([id]);
+    } catch (err) {
+      console.error('Error removing session:', err);
+    }
+    setRecentSessions(sessions => sessions.filter(session => session.id !== id));
+  };
+  
+  // Remove every session, profile, highlight rule and the remembered language from this browser
+  const forgetAllLocalData = async () => {
+    if (!window.confirm(t('recent.forgetConfirm'))) return;
+    
+    try {
+      await forgetLocalData();
+      window.localStorage.removeItem(LANGUAGE_STORAGE_KEY);
+      window.localStorage.removeItem(HIGHLIGHT_RULES_STORAGE_KEY);
+    } catch (err) {
+      console.error('Error removing local data:', err);
+    }
+    setHighlightRules([]);
+    setRecentSessions([]);
+    setLocalDataForgotten(true);
+  };
+
+  // Analyze the open workbook again for another sheet selection, mapping or
+  // presence vocabulary. A mapping made for other headers is replaced by new
+  // suggestions.
+  const reanalyze = useCallback(async ({ sheetNames, mapping, vocabulary = presenceVocabulary }) => {
+    try {
+      setLoading(true);
       
-      reader.onerror = () => {
-        setError('Error reading file.');
-        setLoading(false);
-      };
+      const result = await runAnalysis('analyze', {
+        file,
+        sheetNames,
+        mapping,
+        mappingHeaders: fileStructure.headers,
+        vocabulary
+      });
       
-      reader.readAsArrayBuffer(file);
+      setProfileStatus(null);
+      applyAnalysis(result, file, editHistory);
+      setLoading(false);
     } catch (err) {
-      console.error('Error handling file:', err);
-      setError('Failed to process the file. Please try again.');
+      if (err.replaced) return;
       setLoading(false);
+      if (err.cancelled) return;
+      console.error('Error analyzing sheets:', err);
+      setError('error.processFile');
     }
-  }, []);
+  }, [runAnalysis, applyAnalysis, file, fileStructure, presenceVocabulary, editHistory]);
+
+  // Load a second workbook to compare the current one against
+  const processComparisonFile = useCallback(async (comparisonFile, activeSheets) => {
+    try {
+      setComparisonError(null);
+      setLoading(true);
+      
+      const result = await runAnalysis('compare', { file: comparisonFile, sheetNames: activeSheets });
+      
+      setComparison({ fileName: comparisonFile.name, ...result });
+      setLoading(false);
+    } catch (err) {
+      if (err.replaced) return;
+      setLoading(false);
+      if (err.cancelled) return;
+      console.error('Error processing comparison file:', err);
+      setComparisonError('error.processComparison');
+    }
+  }, [runAnalysis]);
 
   // Handle file drop event
   const handleDrop = useCallback((e) => {
@@ -224,539 +613,1945 @@ const EmployeeDataVisualization = () => {
     }
   }, [processFile]);
 
-  // Function to create downloadable Excel file with highlighting
-  const downloadExcelWithHighlighting = () => {
-    if (!data.length) return;
-    
-    // Create a new workbook
-    const wb = XLSX.utils.book_new();
-    
-    // Convert data to worksheet format
-    const wsData = [
-      ['Name', 'Function', 'PO', 'Part-time %', 'Present']
-    ];
-    
-    data.forEach(employee => {
-      wsData.push([
-        employee.name,
-        employee.function,
-        employee.manager,
-        employee.partTimePercentage,
-        formatPresentDisplay(employee.present)
-      ]);
-    });
-    
-    const ws = XLSX.utils.aoa_to_sheet(wsData);
-    
-    // Add the worksheet to the workbook
-    XLSX.utils.book_append_sheet(wb, ws, "Employees");
-    
-    // Add a statistics sheet
-    const statsData = [
-      ['Product Owner', 'Total Employees', 'Present', 'Absent', 'Avg. Part-time %']
-    ];
+  // The installed app handles spreadsheets opened from the file manager, in
+  // browsers that support file handlers
+  useEffect(() => {
+    if (!('launchQueue' in window)) return;
     
-    Object.entries(stats).forEach(([manager, stat]) => {
-      statsData.push([
-        manager,
-        stat.totalEmployees,
-        stat.presentEmployees,
-        stat.absentEmployees,
-        stat.avgPartTimePercentage
-      ]);
+    window.launchQueue.setConsumer(async (launchParams) => {
+      if (launchParams.files && launchParams.files.length) {
+        processFile(await launchParams.files[0].getFile());
+      }
     });
+  }, [processFile]);
+
+  // Function to create downloadable Excel file with highlighting
+  const downloadExcelWithHighlighting = async () => {
+    if (!data.length) return;
     
-    const statsWs = XLSX.utils.aoa_to_sheet(statsData);
-    XLSX.utils.book_append_sheet(wb, statsWs, "Statistics");
-    
-    // Generate Excel file and trigger download
-    XLSX.writeFile(wb, "employee_analysis.xlsx");
-  };
-
-  // Determine if a person is not participating - Improved logic
-  const isPresentClassName = (present) => {
-    // Explicitly check for various "non-present" values
-    if (present === undefined || 
-        present === null || 
-        present === false || 
-        present === 0 || 
-        present === "" ||
-        (typeof present === 'string' && 
-          (['nee', 'no', 'n', 'false', '0'].includes(present.toLowerCase()) || 
-           !['ja', 'yes', 'y', 'true', '1'].includes(present.toLowerCase()))
-        )) {
-      return 'bg-red-200';
+    setExporting(true);
+    setExportError(null);
+    try {
+      // ExcelJS is only loaded when a download is requested
+      const { createAnalysisWorkbook } = await import('./lib/excelExport');
+      
+      // The employee sheet follows the active table filter
+      const workbook = createAnalysisWorkbook({
+        employees: filteredData,
+        groupBy,
+        subGroupBy,
+        includeSourceSheet: isMultiSheet,
+        snapshotDiff: includeComparisonInExport ? snapshotDiff : null,
+        trends: getTrends(),
+        changes: appliedChanges,
+        highlightRules,
+        referenceDate: ruleDate,
+        i18n
+      });
+      
+      await downloadWorkbook(workbook, "employee_analysis.xlsx");
+    } catch (err) {
+      console.error('Error creating Excel file:', err);
+      setExportError('error.excelExport');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const downloadExpiringContracts = async () => {
+    setExporting(true);
+    setExportError(null);
+    try {
+      const { createExpiringContractsWorkbook } = await import('./lib/excelExport');
+      
+      const workbook = createExpiringContractsWorkbook(expiringContracts, i18n);
+      await downloadWorkbook(workbook, `contracts_ending_${expiryWindow}_days.xlsx`);
+    } catch (err) {
+      console.error('Error creating Excel file:', err);
+      setExportError('error.excelExport');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const downloadDataQuality = async () => {
+    setExporting(true);
+    setExportError(null);
+    try {
+      const { createDataQualityWorkbook } = await import('./lib/excelExport');
+      
+      const workbook = createDataQualityWorkbook(shownIssues, i18n);
+      await downloadWorkbook(workbook, "data_quality.xlsx");
+    } catch (err) {
+      console.error('Error creating Excel file:', err);
+      setExportError('error.excelExport');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  // A field can't be both the grouping and the sub-grouping
+  const handleGroupByChange = (value) => {
+    setGroupBy(value);
+    if (subGroupBy === value) {
+      setSubGroupBy(null);
+    }
+  };
+
+  const downloadReportPdf = async () => {
+    setExporting(true);
+    setExportError(null);
+    try {
+      // jsPDF is only loaded when a report is requested
+      const { createReportPdf } = await import('./lib/pdfReport');
+      
+      const doc = createReportPdf({
+        fileName: fileStructure.fileName,
+        sheetNames: fileStructure.activeSheets,
+        generatedAt: reportGeneratedAt,
+        referenceDate: parseDateInput(referenceDate),
+        groupLabel,
+        subGroupLabel: subGroupBy ? t(`field.${subGroupBy}`) : null,
+        metric,
+        stats,
+        nonParticipants: reportNonParticipants,
+        i18n
+      });
+      
+      downloadBlob(doc.output('blob'), "employee_report.pdf");
+    } catch (err) {
+      console.error('Error creating PDF report:', err);
+      setExportError('error.pdfExport');
+    } finally {
+      setExporting(false);
     }
-    return '';
   };
 
-  // Utility function to format the present field display
-  const formatPresentDisplay = (present) => {
-    if (typeof present === 'string') {
-      const normalized = present.toLowerCase().trim();
-      if (['ja', 'yes', 'y', 'true', '1'].includes(normalized)) {
-        return 'Yes';
-      } else if (['nee', 'no', 'n', 'false', '0'].includes(normalized)) {
-        return 'No';
+  // Override the source column of a single field and re-run the analysis
+  const handleMappingChange = (fieldKey, value) => {
+    reanalyze({
+      sheetNames: fileStructure.activeSheets,
+      mapping: {
+        ...columnMapping,
+        [fieldKey]: value === '' ? null : Number(value)
       }
+    });
+  };
+
+  // Read the presence lists again with the edited vocabulary
+  const applyPresenceVocabulary = (vocabulary) => {
+    setPresenceVocabulary(vocabulary);
+    setPresenceDraft(toPresenceDraft(vocabulary));
+    reanalyze({ sheetNames: fileStructure.activeSheets, mapping: columnMapping, vocabulary });
+  };
+
+  // Apply the current mapping and presence lists to files with the same headers
+  const saveMappingProfile = async () => {
+    try {
+      await saveProfile(fileStructure.headers, {
+        fileName: fileStructure.fileName,
+        mapping: columnMapping,
+        vocabulary: presenceVocabulary
+      });
+      setProfileStatus('saved');
+    } catch (err) {
+      console.error('Error saving profile:', err);
+      setProfileStatus('failed');
     }
-    return present === true || present === 1 ? 'Yes' : 'No';
   };
 
-  // Count non-participating employees
-  const nonParticipatingCount = useMemo(() => {
-    return data.filter(employee => isPresentClassName(employee.present) !== '').length;
-  }, [data]);
-
-  const renderUploadTab = () => (
-    <div className="flex flex-col items-center justify-center border-2 border-dashed border-gray-300 rounded p-8 h-64"
-         onDragEnter={handleDrag}
-         onDragLeave={handleDrag}
-         onDragOver={handleDrag}
-         onDrop={handleDrop}
-         style={{ backgroundColor: dragActive ? '#f0f9ff' : 'white' }}>
-      <div className="mb-4 text-gray-500">
-        <svg className="w-12 h-12 mx-auto mb-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
-          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12"></path>
-        </svg>
-        <p className="text-center">Drag & drop your Excel file here or</p>
-      </div>
-      <label className="px-4 py-2 bg-blue-500 text-white rounded cursor-pointer hover:bg-blue-600">
-        Browse Files
-        <input type="file" onChange={handleChange} accept=".xlsx,.xls,.xlsb,.xlsm" className="hidden" />
-      </label>
-      <p className="mt-4 text-sm text-gray-500 text-center">
-        Supports .xlsx, .xls, .xlsb, and .xlsm files
-      </p>
-    </div>
-  );
-
-  const renderFileStructure = () => (
-    <div className="bg-white rounded shadow p-4 mb-4">
-      <div className="flex justify-between items-center mb-4">
-        <h2 className="text-lg font-semibold">File Structure</h2>
-        <button 
-          className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600"
-          onClick={() => setActiveTab('employees')}
-        >
-          Continue to Analysis
-        </button>
+  // Re-analyze the workbook for another sheet selection
+  const handleSheetSelection = (sheetNames) => {
+    if (!sheetNames.length) return;
+    reanalyze({ sheetNames, mapping: columnMapping });
+  };
+
+  // Toggle a sheet in the combined selection, keeping workbook order
+  const toggleCombinedSheet = (sheetName) => {
+    const selected = fileStructure.activeSheets.includes(sheetName)
+      ? fileStructure.activeSheets.filter(name => name !== sheetName)
+      : [...fileStructure.activeSheets, sheetName];
+    handleSheetSelection(fileStructure.compatibleSheets.filter(name => selected.includes(name)));
+  };
+
+  const missingRequiredFields = useMemo(() => getMissingRequiredFields(columnMapping), [columnMapping]);
+
+  // Count non-participating employees, and those whose presence is unknown
+  const nonParticipatingCount = useMemo(() => {
+    return filteredData.filter(employee => rowPresentation.get(employee).status === 'absent').length;
+  }, [filteredData, rowPresentation]);
+  const unknownPresenceCount = useMemo(() => {
+    return filteredData.filter(employee => rowPresentation.get(employee).status === 'unknown').length;
+  }, [filteredData, rowPresentation]);
+  
+  // Employees in the table every highlight rule matches
+  const highlightRuleCounts = useMemo(
+    () => countRuleMatches(filteredData, highlightRules, ruleDate),
+    [filteredData, highlightRules, ruleDate]
+  );
+
+  // Presence values in the file that none of the lists recognise
+  const unrecognizedPresenceValues = useMemo(() => {
+    const values = new Set();
+    data.forEach(employee => {
+      const value = employee.present;
+      if (value !== undefined && value !== null && String(value).trim() !== '' && !isRecognizedPresence(value, presenceVocabulary)) {
+        values.add(String(value).trim());
+      }
+    });
+    return Array.from(values).sort();
+  }, [data, presenceVocabulary]);
+
+  // Non-participants per manager, only needed while the report is open
+  const reportNonParticipants = useMemo(
+    () => (reportGeneratedAt ? groupNonParticipants(activeData) : []),
+    [activeData, reportGeneratedAt]
+  );
+
+  // Sessions saved in this browser, with the control to forget them
+  const renderRecentSessions = () => (
+    <div className="bg-white rounded shadow p-4 mt-4">
+      <div className="flex justify-between items-center mb-2">
+        <h2 className="text-lg font-semibold">{t('recent.title')}</h2>
+        <button 
+          className="px-3 py-1 bg-gray-200 rounded hover:bg-gray-300 text-sm"
+          onClick={forgetAllLocalData}
+        >
+          {t('recent.forget')}
+        </button>
+      </div>
+      <p className="text-sm text-gray-600 mb-2">{t('recent.help')}</p>
+      {localDataForgotten && (
+        <div className="bg-blue-50 border border-blue-300 text-blue-800 px-4 py-2 rounded mb-2 text-sm">
+          {t('recent.forgotten')}
+        </div>
+      )}
+      {recentSessions.length === 0 ? (
+        <p className="text-sm text-gray-500">{t('recent.none')}</p>
+      ) : (
+        <ul>
+          {recentSessions.map(session => (
+            <li key={session.id} className="flex justify-between items-center py-2 border-t">
+              <button 
+                className="text-left text-blue-600 hover:underline"
+                onClick={() => reopenSession(session.id)}
+              >
+                {session.fileName}
+              </button>
+              <span className="flex items-center space-x-3 text-sm text-gray-500">
+                <span>
+                  {t('recent.details', {
+                    sheets: session.activeSheets.join(', '),
+                    rows: formatNumber(session.rowCount),
+                    date: formatDateTime(session.savedAt)
+                  })}
+                </span>
+                <button 
+                  className="px-2 py-1 bg-gray-200 rounded hover:bg-gray-300"
+                  aria-label={t('recent.removeLabel', { name: session.fileName })}
+                  onClick={() => removeRecentSession(session.id)}
+                >
+                  {t('recent.remove')}
+                </button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+
+  const renderUploadTab = () => (
+    <>
+      <div className="flex flex-col items-center justify-center border-2 border-dashed border-gray-300 rounded p-8 h-64"
+           onDragEnter={handleDrag}
+           onDragLeave={handleDrag}
+           onDragOver={handleDrag}
+           onDrop={handleDrop}
+           style={{ backgroundColor: dragActive ? '#f0f9ff' : 'white' }}>
+        <div className="mb-4 text-gray-500">
+          <svg className="w-12 h-12 mx-auto mb-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12"></path>
+          </svg>
+          <p className="text-center">{t('upload.drop')}</p>
+        </div>
+        <label className="px-4 py-2 bg-blue-500 text-white rounded cursor-pointer hover:bg-blue-600">
+          {t('upload.browse')}
+          <input type="file" onChange={handleChange} accept=".xlsx,.xls,.xlsb,.xlsm" className="hidden" />
+        </label>
+        <p className="mt-4 text-sm text-gray-500 text-center">
+          {t('upload.formats')}
+        </p>
+      </div>
+      {renderRecentSessions()}
+    </>
+  );
+
+  const renderFileStructure = () => (
+    <div className="bg-white rounded shadow p-4 mb-4">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-lg font-semibold">{t('tab.structure')}</h2>
+        <button 
+          className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50 disabled:cursor-not-allowed"
+          onClick={() => setActiveTab('employees')}
+          disabled={missingRequiredFields.length > 0}
+        >
+          {t('structure.continue')}
+        </button>
+      </div>
+      
+      <div className="grid grid-cols-2 gap-4 mb-4">
+        <div>
+          <p><span className="font-medium">{t('structure.fileName')}:</span> {fileStructure.fileName}</p>
+          <p><span className="font-medium">{t('structure.fileSize')}:</span> {formatNumber(fileStructure.fileSize / 1024, 2)} KB</p>
+          <p><span className="font-medium">{t('structure.sheetCount')}:</span> {formatNumber(fileStructure.sheetNames.length)}</p>
+        </div>
+        <div>
+          <p>
+            <span className="font-medium">{t(isMultiSheet ? 'structure.activeSheets' : 'structure.activeSheet')}:</span>{' '}
+            {fileStructure.activeSheets.join(', ')}
+          </p>
+          <p><span className="font-medium">{t('structure.rows')}:</span> {formatNumber(fileStructure.rowCount)}</p>
+          <p><span className="font-medium">{t('structure.columns')}:</span> {formatNumber(fileStructure.columnCount)}</p>
+        </div>
+      </div>
+      
+      <h3 className="font-medium mb-2">{t('structure.sheets')}</h3>
+      <div className="border rounded p-3 mb-4">
+        <div className="flex items-center space-x-4">
+          <label className="flex items-center space-x-2">
+            <span className="text-sm">{t('structure.analyzeSheet')}:</span>
+            <select
+              className="border rounded px-2 py-1"
+              value={fileStructure.activeSheets[0]}
+              onChange={(e) => handleSheetSelection([e.target.value])}
+            >
+              {fileStructure.sheetNames.map(sheetName => (
+                <option key={sheetName} value={sheetName}>{sheetName}</option>
+              ))}
+            </select>
+          </label>
+          <label className="flex items-center space-x-2 text-sm">
+            <input
+              type="checkbox"
+              checked={combineSheets}
+              disabled={fileStructure.compatibleSheets.length < 2}
+              onChange={(e) => {
+                setCombineSheets(e.target.checked);
+                if (!e.target.checked) {
+                  handleSheetSelection([fileStructure.activeSheets[0]]);
+                }
+              }}
+            />
+            <span>{t('structure.combineSheets')}</span>
+          </label>
+        </div>
+        {combineSheets && (
+          <div className="mt-3 flex flex-wrap">
+            {fileStructure.sheetNames.map(sheetName => {
+              const isCompatible = fileStructure.compatibleSheets.includes(sheetName);
+              return (
+                <label key={sheetName} className={`flex items-center mr-4 text-sm ${isCompatible ? '' : 'text-gray-400'}`}>
+                  <input
+                    type="checkbox"
+                    className="mr-1"
+                    checked={fileStructure.activeSheets.includes(sheetName)}
+                    disabled={!isCompatible || (fileStructure.activeSheets.length === 1 && fileStructure.activeSheets[0] === sheetName)}
+                    onChange={() => toggleCombinedSheet(sheetName)}
+                  />
+                  {sheetName}{!isCompatible && ` (${t('structure.differentHeaders')})`}
+                </label>
+              );
+            })}
+          </div>
+        )}
+      </div>
+      
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="font-medium">{t('structure.columnMapping')}</h3>
+        <div className="flex space-x-2">
+          <button 
+            className="px-3 py-1 bg-gray-200 rounded hover:bg-gray-300 text-sm"
+            onClick={saveMappingProfile}
+          >
+            {t('profile.save')}
+          </button>
+          <button 
+            className="px-3 py-1 bg-gray-200 rounded hover:bg-gray-300 text-sm"
+            onClick={() => reanalyze({ sheetNames: fileStructure.activeSheets, mapping: fileStructure.suggestedMapping })}
+          >
+            {t('structure.resetSuggestions')}
+          </button>
+        </div>
+      </div>
+      <p className="text-sm text-gray-600 mb-2">
+        {t('structure.mappingHelp')}
+      </p>
+      {profileStatus && (
+        <div className={`${profileStatus === 'failed' ? 'bg-red-100 border-red-400 text-red-700' : 'bg-blue-50 border-blue-300 text-blue-800'} border px-4 py-2 rounded mb-2 text-sm`}>
+          {t(`profile.${profileStatus}`)}
+        </div>
+      )}
+      {missingRequiredFields.length > 0 && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-2 rounded mb-2 text-sm">
+          {t('structure.requiredMissing', { fields: missingRequiredFields.map(field => t(`field.${field.key}`)).join(', ') })}
+        </div>
+      )}
+      <div className="overflow-x-auto mb-4">
+        <table className="min-w-full border">
+          <thead>
+            <tr className="bg-gray-100">
+              <th className="py-2 px-3 border text-left">{t('common.field')}</th>
+              <th className="py-2 px-3 border text-left">{t('structure.sourceColumn')}</th>
+              <th className="py-2 px-3 border text-left">{t('structure.sampleValue')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {EMPLOYEE_FIELDS.map((field, index) => {
+              const columnIndex = columnMapping[field.key];
+              const isMapped = columnIndex !== null && columnIndex !== undefined;
+              const sampleValue = isMapped && shownSampleRows[0] ? shownSampleRows[0][columnIndex] : undefined;
+              
+              return (
+                <tr key={field.key} className={index % 2 === 0 ? 'bg-gray-50' : ''}>
+                  <td className="py-2 px-3 border">
+                    {t(`field.${field.key}`)}{field.required && <span className="text-red-600"> *</span>}
+                  </td>
+                  <td className="py-2 px-3 border">
+                    <select
+                      className="border rounded px-2 py-1 w-full"
+                      value={isMapped ? columnIndex : ''}
+                      onChange={(e) => handleMappingChange(field.key, e.target.value)}
+                    >
+                      <option value="">{t('structure.notMapped')}</option>
+                      {fileStructure.headers.map((header, headerIndex) => (
+                        <option key={headerIndex} value={headerIndex}>
+                          {header || t('structure.column', { column: columnLetter(headerIndex) })}
+                        </option>
+                      ))}
+                    </select>
+                    {isMapped && columnIndex === fileStructure.suggestedMapping[field.key] && (
+                      <span className="text-xs text-gray-500">{t('structure.suggested')}</span>
+                    )}
+                  </td>
+                  <td className="py-2 px-3 border">{sampleValue !== undefined ? formatCell(sampleValue) : ''}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="font-medium">{t('presence.title')}</h3>
+        <button 
+          className="px-3 py-1 bg-gray-200 rounded hover:bg-gray-300 text-sm"
+          onClick={() => applyPresenceVocabulary(DEFAULT_PRESENCE_VOCABULARY)}
+        >
+          {t('presence.resetDefaults')}
+        </button>
+      </div>
+      <p className="text-sm text-gray-600 mb-2">
+        {t('presence.help')}
+      </p>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-2">
+        {PRESENCE_LISTS.map(list => (
+          <label key={list} className="text-sm">
+            <span className="block mb-1">{t(`presence.list.${list}`)}</span>
+            <input
+              type="text"
+              className="border rounded px-2 py-1 w-full"
+              value={presenceDraft[list]}
+              onChange={(e) => setPresenceDraft(draft => ({ ...draft, [list]: e.target.value }))}
+            />
+          </label>
+        ))}
+      </div>
+      <div className="flex flex-wrap items-center gap-3 mb-4 text-sm">
+        <button 
+          className="px-3 py-1 bg-blue-500 text-white rounded hover:bg-blue-600"
+          onClick={() => applyPresenceVocabulary({
+            yes: parsePresenceTokens(presenceDraft.yes),
+            no: parsePresenceTokens(presenceDraft.no),
+            maybe: parsePresenceTokens(presenceDraft.maybe)
+          })}
+        >
+          {t('presence.apply')}
+        </button>
+        {unrecognizedPresenceValues.length > 0 && (
+          <span className="py-1 px-2 bg-yellow-100 rounded">
+            {t('presence.unrecognised', { values: unrecognizedPresenceValues.join(', ') })}
+          </span>
+        )}
+      </div>
+      
+      <h3 className="font-medium mb-2">{t('structure.columnTypes')}</h3>
+      <div className="overflow-x-auto mb-4">
+        <table className="min-w-full border">
+          <thead>
+            <tr className="bg-gray-100">
+              <th className="py-2 px-3 border text-left">{t('structure.columnName')}</th>
+              <th className="py-2 px-3 border text-left">{t('structure.dataType')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {fileStructure.headers.map((header, index) => (
+              header && (
+                <tr key={index} className={index % 2 === 0 ? 'bg-gray-50' : ''}>
+                  <td className="py-2 px-3 border">{header}</td>
+                  <td className="py-2 px-3 border">
+                    {fileStructure.columnTypes[header]
+                      ? fileStructure.columnTypes[header].split('/').map(type => t(`dataType.${type}`)).join('/')
+                      : t('dataType.unknown')}
+                  </td>
+                </tr>
+              )
+            ))}
+          </tbody>
+        </table>
+      </div>
+      
+      <div className="border rounded mb-4">
+        <button 
+          className="w-full flex justify-between items-center p-3 bg-gray-100 hover:bg-gray-200"
+          onClick={() => setShowSampleData(!showSampleData)}
+        >
+          <h3 className="font-medium">{t('structure.sampleData')}</h3>
+          <svg
+            className={`w-5 h-5 transition-transform ${showSampleData ? 'transform rotate-180' : ''}`}
+            fill="none"
+            stroke="currentColor"
+            viewBox="0 0 24 24"
+            xmlns="http://www.w3.org/2000/svg"
+          >
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path>
+          </svg>
+        </button>
+        
+        {showSampleData && (
+          <div className="overflow-x-auto p-3">
+            <table className="min-w-full border">
+              <thead>
+                <tr className="bg-gray-100">
+                  {fileStructure.headers.map((header, index) => (
+                    header && <th key={index} className="py-2 px-3 border text-left">{header}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {shownSampleRows.map((row, rowIndex) => (
+                  <tr key={rowIndex} className={rowIndex % 2 === 0 ? 'bg-gray-50' : ''}>
+                    {fileStructure.headers.map((header, colIndex) => (
+                      header && <td key={colIndex} className="py-2 px-3 border">{row[colIndex] !== undefined ? formatCell(row[colIndex]) : ''}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+
+  // Cycle a column through ascending, descending and file order
+  const handleSort = (key) => {
+    setSortConfig(current => {
+      if (current.key !== key) return { key, direction: 'asc' };
+      if (current.direction === 'asc') return { key, direction: 'desc' };
+      return { key: null, direction: 'asc' };
+    });
+  };
+
+  // Filters and the trend manager hold shown values, so they start over when
+  // the pseudonyms change
+  const changePseudonymFields = (fields) => {
+    setPseudonymFields(fields);
+    setTableFilters(createEmptyFilters());
+    setDrillDown(null);
+    setTrendManager('');
+  };
+
+  const downloadPseudonymKey = () => {
+    downloadBlob(new Blob([serializePseudonymKey(pseudonymKey)], { type: 'application/json' }), 'pseudonym_key.json');
+  };
+
+  // A loaded key replaces the current one, so the people in it get their earlier pseudonyms
+  const loadPseudonymKey = async (keyFile) => {
+    try {
+      setPseudonymKey(parsePseudonymKey(await keyFile.text()));
+      setPseudonymError(null);
+      changePseudonymFields(pseudonymFields);
+    } catch (err) {
+      console.error('Error loading pseudonym key:', err);
+      setPseudonymError('pseudonym.invalidKey');
+    }
+  };
+
+  const clearTableFilters = () => {
+    setSearchTerm('');
+    setTableFilters(createEmptyFilters());
+    setDrillDown(null);
+  };
+
+  // Show the employees behind a statistics row, pie slice or bar: the group
+  // and, optionally, a sub-group or presence status. The search and filters
+  // of the table are set aside until the breadcrumb leads back.
+  const openDrillDown = ({ group, subGroup = null, status = null }) => {
+    setDrillDown({
+      groupBy,
+      group,
+      subGroupBy: subGroup === null ? null : subGroupBy,
+      subGroup,
+      status,
+      previous: drillDown ? drillDown.previous : { search: searchTerm, filters: tableFilters }
+    });
+    setSearchTerm('');
+    setTableFilters(createDrillDownFilters({ groupBy, group, subGroupBy, subGroup, status }));
+    setActiveTab('employees');
+  };
+
+  const closeDrillDown = () => {
+    setSearchTerm(drillDown.previous.search);
+    setTableFilters(drillDown.previous.filters);
+    setDrillDown(null);
+    setActiveTab('statistics');
+  };
+
+  const applyEditState = ({ history, employees }) => {
+    setEditHistory(history);
+    setData(employees);
+  };
+
+  // Record a correction made in the table; unchanged values are ignored
+  const editEmployee = (employee, field, newValue) => {
+    const oldValue = field === 'present' ? getPresenceStatus(employee) : employee.partTimePercentage;
+    if (field === 'present' ? oldValue === newValue : parsePartTimePercentage(oldValue) === newValue) return;
+    
+    // The change log keeps the real ID and name, also when they are shown pseudonymised
+    const { index } = rowPresentation.get(employee);
+    applyEditState(recordChange({ history: editHistory, employees: data }, {
+      index,
+      id: data[index].id,
+      name: data[index].name,
+      field,
+      oldValue,
+      newValue,
+      user: editorName.trim(),
+      timestamp: new Date()
+    }));
+  };
+
+  // Part-time % is saved when the input loses focus; anything outside 0–100 is reverted
+  const commitPartTime = (employee, input) => {
+    const value = parseFloat(input.value);
+    if (input.value.trim() === '' || Number.isNaN(value) || value < 0 || value > 100) {
+      input.value = employee.partTimePercentage ?? '';
+      return;
+    }
+    editEmployee(employee, 'partTimePercentage', value);
+  };
+
+  const renderDownloadButton = () => (
+    <span className="flex items-center space-x-2">
+      {exportError && <span className="text-sm text-red-600">{t(exportError)}</span>}
+      <button 
+        className="px-3 py-1 bg-green-500 text-white rounded hover:bg-green-600 text-sm disabled:opacity-50"
+        onClick={downloadExcelWithHighlighting}
+        disabled={exporting}
+      >
+        {exporting ? t('common.preparing') : t('export.downloadExcel')}
+      </button>
+    </span>
+  );
+
+  // Pseudonymisation of names, managers and IDs in everything shown and downloaded
+  const renderPseudonymControl = () => {
+    const realValue = pseudonymLookup.trim() ? findRealValue(pseudonymKey, pseudonymLookup) : null;
+    
+    return (
+      <div className="bg-white rounded shadow p-3 mb-4 text-sm">
+        <div className="flex flex-wrap items-center gap-4">
+          <label className="flex items-center space-x-2 font-medium">
+            <input
+              type="checkbox"
+              checked={isPseudonymised}
+              onChange={(e) => changePseudonymFields(e.target.checked ? ['name', 'manager'] : [])}
+            />
+            <span>{t('pseudonym.enable')}</span>
+          </label>
+          {['manager', 'id'].map(field => (
+            <label key={field} className={`flex items-center space-x-1 ${isPseudonymised ? '' : 'text-gray-400'}`}>
+              <input
+                type="checkbox"
+                checked={pseudonymFields.includes(field)}
+                disabled={!isPseudonymised || isUnmapped(columnMapping[field])}
+                onChange={(e) => changePseudonymFields(e.target.checked
+                  ? [...pseudonymFields, field]
+                  : pseudonymFields.filter(key => key !== field))}
+              />
+              <span>{t(`field.${field}`)}</span>
+            </label>
+          ))}
+          <button
+            className="px-3 py-1 bg-gray-200 rounded hover:bg-gray-300 disabled:opacity-50"
+            onClick={downloadPseudonymKey}
+            disabled={!Object.keys(pseudonymKey.people).length}
+          >
+            {t('pseudonym.downloadKey')}
+          </button>
+          <label className="px-3 py-1 bg-gray-200 rounded hover:bg-gray-300 cursor-pointer">
+            {t('pseudonym.loadKey')}
+            <input
+              type="file"
+              accept=".json,application/json"
+              className="hidden"
+              onChange={(e) => {
+                if (e.target.files && e.target.files[0]) loadPseudonymKey(e.target.files[0]);
+                e.target.value = '';
+              }}
+            />
+          </label>
+          <label className="flex items-center space-x-2">
+            <span>{t('pseudonym.lookup')}:</span>
+            <input
+              type="text"
+              className="border rounded px-2 py-1 w-32"
+              placeholder="Person 0001"
+              value={pseudonymLookup}
+              onChange={(e) => setPseudonymLookup(e.target.value)}
+            />
+          </label>
+          {pseudonymLookup.trim() && (
+            <span className={realValue === null ? 'text-gray-500' : 'font-medium'}>
+              {realValue === null ? t('pseudonym.notFound') : realValue}
+            </span>
+          )}
+        </div>
+        {isPseudonymised && <p className="mt-2 text-gray-600">{t('pseudonym.help')}</p>}
+        {pseudonymError && <p className="mt-2 text-red-600">{t(pseudonymError)}</p>}
+      </div>
+    );
+  };
+
+  // Only count employees employed on a date; needs a mapped start or end date
+  const renderReferenceDateControl = () => {
+    if (isUnmapped(columnMapping.startDate) && isUnmapped(columnMapping.endDate)) return null;
+    
+    return (
+      <div className="mb-4 flex flex-wrap items-center gap-2 text-sm">
+        <label className="flex items-center space-x-2">
+          <span>{t('referenceDate.activeAsOf')}:</span>
+          <input
+            type="date"
+            className="border rounded px-2 py-1"
+            value={referenceDate}
+            onChange={(e) => setReferenceDate(e.target.value)}
+          />
+        </label>
+        <button
+          className="px-2 py-1 bg-gray-200 rounded hover:bg-gray-300"
+          onClick={() => setReferenceDate(formatDateInput(new Date()))}
+        >
+          {t('referenceDate.today')}
+        </button>
+        {referenceDate && (
+          <>
+            <button
+              className="px-2 py-1 bg-gray-200 rounded hover:bg-gray-300"
+              onClick={() => setReferenceDate('')}
+            >
+              {t('common.clear')}
+            </button>
+            <span className="py-1 px-2 bg-yellow-100 rounded">
+              {t('referenceDate.excluded', {
+                notStarted: formatNumber(activeEmployees.notStarted),
+                left: formatNumber(activeEmployees.left)
+              })}
+            </span>
+          </>
+        )}
+      </div>
+    );
+  };
+
+  const renderEmployeeTable = () => {
+    const columns = EMPLOYEE_COLUMNS.filter(column => (
+      (!column.multiSheetOnly || isMultiSheet) && (!column.dateField || !isUnmapped(columnMapping[column.key]))
+    ));
+    const filterFields = FILTER_FIELDS.filter(field => field.key !== 'sourceSheet' || isMultiSheet);
+    
+    return (
+      <div className="overflow-x-auto">
+        {drillDown && renderDrillDownBreadcrumb()}
+        <div className="mb-4 flex justify-between items-center">
+          <h2 className="text-lg font-semibold">{t('employees.title')}</h2>
+          <div className="flex flex-wrap justify-end gap-3">
+            <span className="text-sm py-1 px-2 bg-red-200 rounded">
+              {t('employees.nonParticipating', { count: formatNumber(nonParticipatingCount) })}
+            </span>
+            {unknownPresenceCount > 0 && (
+              <span className="text-sm py-1 px-2 bg-yellow-100 rounded">
+                {t('employees.unknown', { count: formatNumber(unknownPresenceCount) })}
+              </span>
+            )}
+            {highlightRules.filter(isRuleComplete).map(rule => (
+              <span key={rule.id} className="text-sm py-1 px-2 rounded" style={{ backgroundColor: rule.color }}>
+                {rule.label}: {formatNumber(highlightRuleCounts[rule.id])}
+              </span>
+            ))}
+            <button
+              className="px-3 py-1 border rounded text-sm hover:bg-gray-100"
+              onClick={() => setShowHighlightRules(show => !show)}
+              aria-expanded={showHighlightRules}
+            >
+              {t('rules.button', { count: formatNumber(highlightRules.length) })}
+            </button>
+            <button
+              className="px-3 py-1 border rounded text-sm hover:bg-gray-100 disabled:opacity-50"
+              onClick={() => applyEditState(undoChange({ history: editHistory, employees: data }))}
+              disabled={editHistory.position === 0}
+            >
+              {t('employees.undo')}
+            </button>
+            <button
+              className="px-3 py-1 border rounded text-sm hover:bg-gray-100 disabled:opacity-50"
+              onClick={() => applyEditState(redoChange({ history: editHistory, employees: data }))}
+              disabled={editHistory.position === editHistory.changes.length}
+            >
+              {t('employees.redo')}
+            </button>
+            {renderDownloadButton()}
+          </div>
+        </div>
+        {showHighlightRules && renderHighlightRules()}
+        {skippedEdits > 0 && (
+          <div className="mb-4 flex items-center justify-between gap-2 bg-yellow-50 border border-yellow-300 rounded px-3 py-2 text-sm">
+            <span>{t('employees.editsNotReapplied', { count: formatNumber(skippedEdits) })}</span>
+            <button className="px-3 py-1 bg-gray-200 rounded hover:bg-gray-300 text-sm" onClick={() => setSkippedEdits(0)}>
+              {t('common.dismiss')}
+            </button>
+          </div>
+        )}
+        <div className="mb-4 flex flex-wrap items-center gap-2">
+          <input
+            type="search"
+            className="border rounded px-3 py-1 text-sm"
+            placeholder={t('employees.search')}
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+          />
+          {filterFields.map(field => (
+            <MultiSelectFilter
+              key={field.key}
+              label={t(`field.${field.key}`)}
+              options={filterOptions[field.key]}
+              formatOption={option => formatFilterOption(field.key, option)}
+              clearLabel={t('common.clear')}
+              selected={tableFilters[field.key]}
+              onChange={(values) => setTableFilters(current => ({ ...current, [field.key]: values }))}
+            />
+          ))}
+          {isTableFiltered && (
+            <>
+              <span className="text-sm text-gray-600">
+                {t('employees.showing', { shown: formatNumber(filteredData.length), total: formatNumber(activeData.length) })}
+              </span>
+              <button
+                className="text-sm text-blue-600 hover:underline"
+                onClick={clearTableFilters}
+              >
+                {t('employees.clearFilters')}
+              </button>
+            </>
+          )}
+        </div>
+        <VirtualTable
+          rowCount={filteredData.length}
+          rowHeight={EMPLOYEE_ROW_HEIGHT}
+          height={600}
+          columnCount={columns.length}
+          resetKey={tableViewKey}
+          header={
+            <tr>
+              {columns.map(column => (
+                <th
+                  key={column.key}
+                  className={`py-2 px-4 border-b bg-gray-100 ${column.align} cursor-pointer select-none hover:bg-gray-200 truncate`}
+                  style={{ width: column.width }}
+                  onClick={() => handleSort(column.key)}
+                >
+                  {t(column.key === 'sourceSheet' ? 'common.sheet' : `field.${column.key}`)}
+                  {sortConfig.key === column.key && (sortConfig.direction === 'asc' ? ' ▲' : ' ▼')}
+                </th>
+              ))}
+            </tr>
+          }
+          renderRow={(index) => {
+            const employee = filteredData[index];
+            const { index: dataIndex, status, className, rule } = rowPresentation.get(employee);
+            
+            return (
+              <tr
+                key={index}
+                className={rule ? '' : className}
+                style={{ height: EMPLOYEE_ROW_HEIGHT, backgroundColor: rule ? rule.color : undefined }}
+                title={rule ? rule.label : undefined}
+              >
+                <td className="py-2 px-4 border-b truncate">{employee.name}</td>
+                <td className="py-2 px-4 border-b truncate">{employee.function}</td>
+                <td className="py-2 px-4 border-b truncate">{employee.manager}</td>
+                {columns.filter(column => column.dateField).map(column => (
+                  <td key={column.key} className="py-2 px-4 border-b truncate">
+                    {employee[column.key] ? formatDate(employee[column.key]) : ''}
+                  </td>
+                ))}
+                <td className="py-1 px-4 border-b text-right">
+                  <input
+                    key={`${dataIndex}-${employee.partTimePercentage}`}
+                    type="number"
+                    min="0"
+                    max="100"
+                    className="w-16 border rounded px-1 text-right text-sm bg-transparent"
+                    aria-label={t('employees.partTimeOf', { name: employee.name })}
+                    defaultValue={employee.partTimePercentage ?? ''}
+                    onBlur={(e) => commitPartTime(employee, e.target)}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') e.target.blur();
+                      if (e.key === 'Escape') {
+                        e.target.value = employee.partTimePercentage ?? '';
+                        e.target.blur();
+                      }
+                    }}
+                  />%
+                </td>
+                <td className="py-1 px-4 border-b text-center">
+                  <select
+                    className="border rounded px-1 text-sm bg-transparent"
+                    aria-label={t('employees.presentOf', { name: employee.name })}
+                    value={status}
+                    onChange={(e) => editEmployee(employee, 'present', e.target.value)}
+                  >
+                    {PRESENCE_STATUSES.map(option => (
+                      <option key={option.key} value={option.key}>{t(`presence.${option.key}`)}</option>
+                    ))}
+                  </select>
+                </td>
+                {isMultiSheet && <td className="py-2 px-4 border-b truncate">{employee.sourceSheet}</td>}
+              </tr>
+            );
+          }}
+        />
+        <div className="mt-4 bg-gray-100 p-3 rounded text-sm">
+          <p>
+            <span className="font-medium">{t('common.note')}:</span> {t('employees.highlightNote')} {t('employees.editNote')}
+            {isTableFiltered && ` ${t('employees.filteredExportNote')}`}
+          </p>
+        </div>
+        {renderChangeLog()}
+      </div>
+    );
+  };
+
+  const updateHighlightRule = (id, changes) => {
+    setHighlightRules(rules => rules.map(rule => (rule.id === id ? { ...rule, ...changes } : rule)));
+  };
+  
+  const updateRuleCondition = (rule, conditionIndex, condition) => {
+    updateHighlightRule(rule.id, {
+      conditions: rule.conditions.map((current, index) => (index === conditionIndex ? condition : current))
+    });
+  };
+  
+  const addHighlightRule = () => {
+    setHighlightRules(rules => [...rules, createRule(Math.max(0, ...rules.map(rule => rule.id)) + 1)]);
+  };
+  
+  // Earlier rules win, so moving a rule up gives its colour precedence
+  const moveHighlightRuleUp = (index) => {
+    setHighlightRules(rules => [...rules.slice(0, index - 1), rules[index], rules[index - 1], ...rules.slice(index + 1)]);
+  };
+  
+  // Value input of a condition, depending on the kind of field
+  const renderConditionValue = (rule, condition, conditionIndex) => {
+    const { type } = RULE_FIELDS.find(field => field.key === condition.field);
+    const operator = getOperators(condition.field).find(option => option.key === condition.operator);
+    if (operator && operator.unary) return null;
+    
+    const onChange = (e) => updateRuleCondition(rule, conditionIndex, { ...condition, value: e.target.value });
+    if (type === 'status') {
+      return (
+        <select className="border rounded px-2 py-1" aria-label={t('rules.value')} value={condition.value} onChange={onChange}>
+          <option value="">{t('rules.chooseStatus')}</option>
+          {PRESENCE_STATUSES.map(option => (
+            <option key={option.key} value={option.key}>{t(`status.${option.key}`)}</option>
+          ))}
+        </select>
+      );
+    }
+    return (
+      <input
+        type={type === 'date' ? 'date' : type === 'number' ? 'number' : 'text'}
+        className="border rounded px-2 py-1 w-40"
+        aria-label={t('rules.value')}
+        value={condition.value}
+        onChange={onChange}
+      />
+    );
+  };
+  
+  // Rule builder: a label, colour and conditions per rule
+  const renderHighlightRules = () => (
+    <div className="mb-4 bg-white p-4 rounded shadow">
+      <div className="mb-2 flex justify-between items-center">
+        <h3 className="text-lg font-medium">{t('rules.title')}</h3>
+        <button className="px-3 py-1 bg-gray-200 rounded hover:bg-gray-300 text-sm" onClick={addHighlightRule}>
+          {t('rules.add')}
+        </button>
+      </div>
+      <p className="mb-3 text-sm text-gray-600">{t('rules.help')}</p>
+      {!highlightRules.length && <p className="text-sm text-gray-500">{t('rules.none')}</p>}
+      {highlightRules.map((rule, ruleIndex) => (
+        <div key={rule.id} className="mb-3 p-3 border rounded" style={{ borderLeft: `6px solid ${rule.color}` }}>
+          <div className="mb-2 flex flex-wrap items-center gap-2 text-sm">
+            <input
+              type="text"
+              className="border rounded px-2 py-1"
+              placeholder={t('rules.label')}
+              aria-label={t('rules.label')}
+              value={rule.label}
+              onChange={(e) => updateHighlightRule(rule.id, { label: e.target.value })}
+            />
+            <select
+              className="border rounded px-2 py-1"
+              aria-label={t('rules.color')}
+              value={rule.color}
+              onChange={(e) => updateHighlightRule(rule.id, { color: e.target.value })}
+            >
+              {RULE_COLORS.map(color => (
+                <option key={color.key} value={color.value}>{t(`rules.color.${color.key}`)}</option>
+              ))}
+            </select>
+            <select
+              className="border rounded px-2 py-1"
+              aria-label={t('rules.combinator')}
+              value={rule.combinator}
+              onChange={(e) => updateHighlightRule(rule.id, { combinator: e.target.value })}
+            >
+              <option value="and">{t('rules.all')}</option>
+              <option value="or">{t('rules.any')}</option>
+            </select>
+            {!isRuleComplete(rule) && <span className="text-yellow-700">{t('rules.incomplete')}</span>}
+            <div className="ml-auto flex space-x-2">
+              {ruleIndex > 0 && (
+                <button className="text-blue-600 hover:underline" onClick={() => moveHighlightRuleUp(ruleIndex)}>
+                  {t('rules.moveUp')}
+                </button>
+              )}
+              <button
+                className="text-red-600 hover:underline"
+                onClick={() => setHighlightRules(rules => rules.filter(current => current.id !== rule.id))}
+              >
+                {t('rules.remove')}
+              </button>
+            </div>
+          </div>
+          {rule.conditions.map((condition, conditionIndex) => (
+            <div key={conditionIndex} className="mb-1 flex flex-wrap items-center gap-2 text-sm">
+              <span className="w-10 text-gray-500">{conditionIndex === 0 ? t('rules.if') : t(`rules.${rule.combinator}`)}</span>
+              <select
+                className="border rounded px-2 py-1"
+                aria-label={t('rules.field')}
+                value={condition.field}
+                onChange={(e) => updateRuleCondition(rule, conditionIndex, changeConditionField(condition, e.target.value))}
+              >
+                {RULE_FIELDS.map(field => (
+                  <option key={field.key} value={field.key}>{t(`field.${field.key}`)}</option>
+                ))}
+              </select>
+              <select
+                className="border rounded px-2 py-1"
+                aria-label={t('rules.operator')}
+                value={condition.operator}
+                onChange={(e) => updateRuleCondition(rule, conditionIndex, { ...condition, operator: e.target.value })}
+              >
+                {getOperators(condition.field).map(operator => (
+                  <option key={operator.key} value={operator.key}>{t(`rules.operator.${operator.key}`)}</option>
+                ))}
+              </select>
+              {renderConditionValue(rule, condition, conditionIndex)}
+              {rule.conditions.length > 1 && (
+                <button
+                  className="text-gray-500 hover:text-red-600"
+                  aria-label={t('rules.removeCondition')}
+                  title={t('rules.removeCondition')}
+                  onClick={() => updateHighlightRule(rule.id, { conditions: rule.conditions.filter((other, index) => index !== conditionIndex) })}
+                >
+                  ×
+                </button>
+              )}
+            </div>
+          ))}
+          <button
+            className="mt-1 text-sm text-blue-600 hover:underline"
+            onClick={() => updateHighlightRule(rule.id, { conditions: [...rule.conditions, createCondition()] })}
+          >
+            {t('rules.addCondition')}
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+  
+  // Path from the statistics to the group shown in the table
+  const renderDrillDownBreadcrumb = () => {
+    const steps = [
+      `${t(`field.${drillDown.groupBy}`)}: ${drillDown.group}`,
+      ...(drillDown.subGroupBy ? [`${t(`field.${drillDown.subGroupBy}`)}: ${drillDown.subGroup}`] : []),
+      ...(drillDown.status ? [t(`status.${drillDown.status}`)] : [])
+    ];
+    
+    return (
+      <nav className="mb-3 text-sm text-gray-600" aria-label={t('drillDown.breadcrumb')}>
+        <button className="text-blue-600 hover:underline" onClick={closeDrillDown}>
+          {t('tab.statistics')}
+        </button>
+        {steps.map((step, index) => (
+          <span key={index}>
+            <span className="mx-2">›</span>
+            <span className={index === steps.length - 1 ? 'font-medium text-gray-800' : ''}>{step}</span>
+          </span>
+        ))}
+      </nav>
+    );
+  };
+
+  // Corrections made in the table, newest first; also written to the download
+  const renderChangeLog = () => (
+    <div className="mt-4 bg-white p-4 rounded shadow">
+      <div className="mb-3 flex flex-wrap justify-between items-center gap-2">
+        <h3 className="text-lg font-medium">{t('changeLog.title', { count: formatNumber(appliedChanges.length) })}</h3>
+        <label className="flex items-center space-x-2 text-sm">
+          <span>{t('changeLog.changedBy')}:</span>
+          <input
+            type="text"
+            className="border rounded px-2 py-1"
+            placeholder={t('changeLog.yourName')}
+            value={editorName}
+            onChange={(e) => setEditorName(e.target.value)}
+          />
+        </label>
+      </div>
+      {appliedChanges.length === 0 ? (
+        <p className="text-sm text-gray-500">{t('changeLog.empty')}</p>
+      ) : (
+        <div className="overflow-x-auto max-h-64 overflow-y-auto">
+          <table className="min-w-full bg-white border text-sm">
+            <thead className="bg-gray-100">
+              <tr>
+                <th className="py-2 px-3 border-b text-left">{t('changeLog.time')}</th>
+                <th className="py-2 px-3 border-b text-left">{t('changeLog.changedBy')}</th>
+                <th className="py-2 px-3 border-b text-left">{t('field.name')}</th>
+                <th className="py-2 px-3 border-b text-left">{t('common.field')}</th>
+                <th className="py-2 px-3 border-b text-left">{t('changeLog.oldValue')}</th>
+                <th className="py-2 px-3 border-b text-left">{t('changeLog.newValue')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {appliedChanges.map((change, index) => (
+                <tr key={index}>
+                  <td className="py-2 px-3 border-b">{formatDateTime(change.timestamp)}</td>
+                  <td className="py-2 px-3 border-b">{change.user || '-'}</td>
+                  <td className="py-2 px-3 border-b">{change.name}</td>
+                  <td className="py-2 px-3 border-b">{t(`field.${change.field}`)}</td>
+                  <td className="py-2 px-3 border-b">{formatChangeValue(change.field, change.oldValue, i18n)}</td>
+                  <td className="py-2 px-3 border-b">{formatChangeValue(change.field, change.newValue, i18n)}</td>
+                </tr>
+              )).reverse()}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+
+  // Deltas against the comparison snapshot are only meaningful per manager.
+  // They are counted over the whole file, so they are left out while a
+  // reference date limits the rows to the employees employed on that date.
+  const showManagerDeltas = snapshotDiff !== null && groupBy === 'manager' && !referenceDate;
+
+  const formatDelta = (value) => (value > 0 ? `+${formatNumber(value)}` : formatNumber(value));
+
+  const renderDeltaCells = (delta) => {
+    const cells = delta
+      ? [delta.totalDelta, delta.presentDelta, delta.absentDelta]
+      : [0, 0, 0];
+    return cells.map((value, index) => (
+      <td
+        key={`delta-${index}`}
+        className={`py-2 px-4 border-b text-right ${value > 0 ? 'text-green-600' : value < 0 ? 'text-red-600' : 'text-gray-500'}`}
+      >
+        {formatDelta(value)}
+      </td>
+    ));
+  };
+
+  const renderComparisonList = (title, items, renderChange) => (
+    <div className="bg-white p-4 rounded shadow">
+      <h3 className="text-lg font-medium mb-2">{title} ({formatNumber(items.length)})</h3>
+      {items.length === 0 ? (
+        <p className="text-sm text-gray-500">{t('comparison.noChanges')}</p>
+      ) : (
+        <div className="overflow-x-auto max-h-64 overflow-y-auto">
+          <table className="min-w-full bg-white border text-sm">
+            <thead className="bg-gray-100">
+              <tr>
+                <th className="py-2 px-3 border-b text-left">{t('common.id')}</th>
+                <th className="py-2 px-3 border-b text-left">{t('field.name')}</th>
+                <th className="py-2 px-3 border-b text-left">{t('field.manager')}</th>
+                {renderChange && <th className="py-2 px-3 border-b text-left">{t('comparison.change')}</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {items.map((item, index) => {
+                const employee = item.employee || item;
+                return (
+                  <tr key={index} className={index % 2 === 0 ? 'bg-gray-50' : ''}>
+                    <td className="py-2 px-3 border-b">{employee.id}</td>
+                    <td className="py-2 px-3 border-b">{employee.name}</td>
+                    <td className="py-2 px-3 border-b">{employee.manager}</td>
+                    {renderChange && <td className="py-2 px-3 border-b">{renderChange(item)}</td>}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+
+  // Switch between headcount and FTE
+  const renderMetricToggle = () => (
+    <div className="flex rounded border overflow-hidden text-sm">
+      {METRICS.map(option => (
+        <button
+          key={option.key}
+          className={`px-3 py-1 ${metric === option.key ? 'bg-blue-500 text-white' : 'bg-white hover:bg-gray-100'}`}
+          onClick={() => setMetric(option.key)}
+        >
+          {t(`metric.${option.key}`)}
+        </button>
+      ))}
+    </div>
+  );
+
+  const renderTrendsTab = () => {
+    if (!hasEmploymentDates) {
+      return (
+        <div className="bg-white p-4 rounded shadow text-sm text-gray-600">
+          {t('trends.needsDates')}
+        </div>
+      );
+    }
+    
+    const managers = trends ? Object.keys(trends.groups).sort() : [];
+    const values = trends && (trendManager && trends.groups[trendManager] ? trends.groups[trendManager] : trends.overall);
+    
+    return (
+      <div className="flex flex-col space-y-6">
+        <div className="flex flex-wrap justify-between items-center gap-2">
+          <h2 className="text-lg font-semibold">{t('trends.title')}</h2>
+          <div className="flex flex-wrap items-center gap-3 text-sm">
+            <label className="flex items-center space-x-2">
+              <span>{t('trends.from')}:</span>
+              <input
+                type="month"
+                className="border rounded px-2 py-1"
+                value={trendRange.from}
+                onChange={(e) => setTrendRange(range => ({ ...range, from: e.target.value }))}
+              />
+            </label>
+            <label className="flex items-center space-x-2">
+              <span>{t('trends.to')}:</span>
+              <input
+                type="month"
+                className="border rounded px-2 py-1"
+                value={trendRange.to}
+                onChange={(e) => setTrendRange(range => ({ ...range, to: e.target.value }))}
+              />
+            </label>
+            <label className="flex items-center space-x-2">
+              <span>{t('field.manager')}:</span>
+              <select
+                className="border rounded px-2 py-1"
+                value={trendManager}
+                onChange={(e) => setTrendManager(e.target.value)}
+              >
+                <option value="">{t('trends.allEmployees')}</option>
+                {managers.map(manager => (
+                  <option key={manager} value={manager}>{manager}</option>
+                ))}
+              </select>
+            </label>
+            {renderMetricToggle()}
+            {renderDownloadButton()}
+          </div>
+        </div>
+        
+        {values ? (
+          <>
+            <div className="bg-white p-4 rounded shadow">
+              <h3 className="text-lg font-medium mb-4">
+                {trendManager
+                  ? t('trends.chartTitleFor', { metric: t(`metric.${metric}`), manager: trendManager })
+                  : t('trends.chartTitle', { metric: t(`metric.${metric}`) })}
+              </h3>
+              <TrendChart months={trends.months} values={values} metric={metric} i18n={i18n} />
+            </div>
+            
+            <div className="overflow-x-auto">
+              <table className="min-w-full bg-white border text-sm">
+                <thead className="bg-gray-100">
+                  <tr>
+                    <th className="py-2 px-4 border-b text-left">{t('trends.month')}</th>
+                    <th className="py-2 px-4 border-b text-right">{t('metric.headcount')}</th>
+                    <th className="py-2 px-4 border-b text-right">{t('metric.fte')}</th>
+                    <th className="py-2 px-4 border-b text-right">{t('trends.joiners')}</th>
+                    <th className="py-2 px-4 border-b text-right">{t('trends.leavers')}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {trends.months.map((month, index) => (
+                    <tr key={month} className={index % 2 === 0 ? 'bg-gray-50' : ''}>
+                      <td className="py-1 px-4 border-b">{formatMonth(parseMonthKey(month))}</td>
+                      <td className="py-1 px-4 border-b text-right">{formatNumber(values[index].headcount)}</td>
+                      <td className="py-1 px-4 border-b text-right">{formatNumber(values[index].fte, 1)}</td>
+                      <td className="py-1 px-4 border-b text-right text-green-600">{formatNumber(values[index].joiners)}</td>
+                      <td className="py-1 px-4 border-b text-right text-red-600">{formatNumber(values[index].leavers)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        ) : (
+          <p className="text-sm text-gray-600">{t('trends.pickRange')}</p>
+        )}
+      </div>
+    );
+  };
+
+  const renderTenureTab = () => {
+    if (!hasEmploymentDates) {
+      return (
+        <div className="bg-white p-4 rounded shadow text-sm text-gray-600">
+          {t('tenure.needsDates')}
+        </div>
+      );
+    }
+    
+    const managers = Object.keys(tenure.groups).sort();
+    const rows = [...managers.map(manager => [manager, tenure.groups[manager]]), [t('common.total'), tenure.total]];
+    
+    return (
+      <div className="flex flex-col space-y-6">
+        <div>
+          <h2 className="text-lg font-semibold">{t('tenure.title')}</h2>
+          <p className="text-sm text-gray-600">{t('tenure.asOf', { date: formatDate(tenureDate) })}</p>
+        </div>
+        
+        <div className="overflow-x-auto">
+          <table className="min-w-full bg-white border text-sm">
+            <thead className="bg-gray-100">
+              <tr>
+                <th className="py-2 px-4 border-b text-left">{t('field.manager')}</th>
+                {TENURE_BUCKETS.map(bucket => (
+                  <th key={bucket.key} className="py-2 px-4 border-b text-right">{t(`tenure.${bucket.key}`)}</th>
+                ))}
+                <th className="py-2 px-4 border-b text-right">{t('common.unknown')}</th>
+                <th className="py-2 px-4 border-b text-right">{t('common.total')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(([manager, counts], index) => (
+                <tr
+                  key={manager}
+                  className={index === rows.length - 1 ? 'bg-blue-50 font-semibold' : index % 2 === 0 ? 'bg-gray-50' : ''}
+                >
+                  <td className="py-1 px-4 border-b">{manager}</td>
+                  {TENURE_BUCKETS.map(bucket => (
+                    <td key={bucket.key} className="py-1 px-4 border-b text-right">{formatNumber(counts[bucket.key])}</td>
+                  ))}
+                  <td className="py-1 px-4 border-b text-right text-gray-500">{formatNumber(counts.unknown)}</td>
+                  <td className="py-1 px-4 border-b text-right">{formatNumber(counts.total)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        
+        <div className="flex flex-wrap justify-between items-center gap-2">
+          <h2 className="text-lg font-semibold">{t('tenure.contractsEnding', { count: formatNumber(expiringContracts.length) })}</h2>
+          <div className="flex flex-wrap items-center gap-3 text-sm">
+            <div className="flex rounded overflow-hidden border">
+              {EXPIRY_WINDOWS.map(days => (
+                <button
+                  key={days}
+                  className={`px-3 py-1 ${expiryWindow === days ? 'bg-blue-500 text-white' : 'bg-white hover:bg-gray-100'}`}
+                  onClick={() => setExpiryWindow(days)}
+                >
+                  {t('tenure.days', { days })}
+                </button>
+              ))}
+            </div>
+            <button
+              className="px-3 py-1 bg-green-500 text-white rounded hover:bg-green-600 disabled:opacity-50"
+              onClick={downloadExpiringContracts}
+              disabled={exporting || !expiringContracts.length}
+            >
+              {exporting ? t('common.preparing') : t('export.downloadList')}
+            </button>
+            {exportError && <span className="text-red-600">{t(exportError)}</span>}
+          </div>
+        </div>
+        
+        {chosenContractTypes && (
+          <div className="flex flex-wrap items-center gap-3 text-sm">
+            <span className="font-medium">{t('tenure.contractTypes')}:</span>
+            {contractTypes.map(type => (
+              <label key={type} className="flex items-center space-x-1">
+                <input
+                  type="checkbox"
+                  checked={chosenContractTypes.includes(type)}
+                  onChange={(e) => setContractTypeChoice(e.target.checked
+                    ? [...chosenContractTypes, type]
+                    : chosenContractTypes.filter(chosen => chosen !== type))}
+                />
+                <span>{type || t('tenure.noContractType')}</span>
+              </label>
+            ))}
+          </div>
+        )}
+        
+        {expiringContracts.length ? (
+          <div className="overflow-x-auto">
+            <table className="min-w-full bg-white border text-sm">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="py-2 px-4 border-b text-left">{t('field.name')}</th>
+                  <th className="py-2 px-4 border-b text-left">{t('field.function')}</th>
+                  <th className="py-2 px-4 border-b text-left">{t('field.manager')}</th>
+                  <th className="py-2 px-4 border-b text-left">{t('field.employmentType')}</th>
+                  <th className="py-2 px-4 border-b text-left">{t('field.endDate')}</th>
+                  <th className="py-2 px-4 border-b text-right">{t('tenure.daysLeft')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {expiringContracts.map(({ employee, daysLeft }, index) => (
+                  <tr key={`${employee.id}-${index}`} className={index % 2 === 0 ? 'bg-gray-50' : ''}>
+                    <td className="py-1 px-4 border-b">{employee.name}</td>
+                    <td className="py-1 px-4 border-b">{employee.function}</td>
+                    <td className="py-1 px-4 border-b">{employee.manager}</td>
+                    <td className="py-1 px-4 border-b">{employee.employmentType}</td>
+                    <td className="py-1 px-4 border-b">{formatDate(employee.endDate)}</td>
+                    <td className={`py-1 px-4 border-b text-right ${daysLeft <= 30 ? 'text-red-600 font-medium' : ''}`}>
+                      {formatNumber(daysLeft)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <p className="text-sm text-gray-600">{t('tenure.noneEnding', { days: expiryWindow })}</p>
+        )}
+      </div>
+    );
+  };
+
+  const renderOrgTab = () => {
+    const span = summarizeSpanOfControl(orgTree.roots);
+    
+    return (
+      <div className="flex flex-col space-y-6">
+        <h2 className="text-lg font-semibold">{t('org.title')}</h2>
+        
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+          {[
+            [t('org.managers'), formatNumber(span.managers)],
+            [t('org.averageSpan'), formatNumber(span.average, 1)],
+            [t('org.maxSpan'), formatNumber(span.max)],
+            [t('org.missingManagers'), formatNumber(orgTree.missingManagers.length)],
+            [t('org.cycles'), formatNumber(orgTree.cycles.length)]
+          ].map(([label, value]) => (
+            <div key={label} className="bg-white p-4 rounded shadow text-center">
+              <div className="text-2xl font-semibold">{value}</div>
+              <div className="text-sm text-gray-600">{label}</div>
+            </div>
+          ))}
+        </div>
+        
+        {orgTree.cycles.length > 0 && (
+          <div className="bg-red-100 p-3 rounded text-sm">
+            <p className="font-medium mb-1">{t('org.cyclesHelp')}</p>
+            <ul className="list-disc ml-5">
+              {orgTree.cycles.map(cycle => (
+                <li key={cycle.join('|')}>{[...cycle, cycle[0]].join(' → ')}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+        
+        {orgTree.missingManagers.length > 0 && (
+          <div className="bg-yellow-100 p-3 rounded text-sm">
+            <span className="font-medium">{t('org.notFound')}:</span> {orgTree.missingManagers.join(', ')}
+          </div>
+        )}
+        
+        <OrgChart key={fileStructure.fileName} roots={orgTree.roots} i18n={i18n} />
+      </div>
+    );
+  };
+
+  const renderDataQualityTab = () => {
+    const counts = countIssuesByType(shownIssues);
+    const issues = issueFilter ? shownIssues.filter(issue => issue.type === issueFilter) : shownIssues;
+    const formatValue = (value) => (value === undefined || value === null || value === '' ? t('common.empty') : formatCell(value));
+    
+    return (
+      <div className="flex flex-col space-y-6">
+        <div className="flex flex-wrap justify-between items-center gap-2">
+          <h2 className="text-lg font-semibold">{t('tab.quality')}</h2>
+          <div className="flex items-center space-x-3 text-sm">
+            {exportError && <span className="text-red-600">{t(exportError)}</span>}
+            <button
+              className="px-3 py-1 bg-green-500 text-white rounded hover:bg-green-600 disabled:opacity-50"
+              onClick={downloadDataQuality}
+              disabled={exporting || !dataIssues.length}
+            >
+              {exporting ? t('common.preparing') : t('export.downloadIssues')}
+            </button>
+          </div>
+        </div>
+        
+        <div className="grid grid-cols-2 md:grid-cols-6 gap-4">
+          {ISSUE_TYPES.map(type => (
+            <button
+              key={type.key}
+              className={`bg-white p-4 rounded shadow text-center ${issueFilter === type.key ? 'ring-2 ring-blue-500' : ''}`}
+              onClick={() => setIssueFilter(current => (current === type.key ? '' : type.key))}
+            >
+              <div className={`text-2xl font-semibold ${counts[type.key] ? 'text-red-600' : ''}`}>{formatNumber(counts[type.key])}</div>
+              <div className="text-sm text-gray-600">{t(`issue.${type.key}`)}</div>
+            </button>
+          ))}
+        </div>
+        
+        {dataIssues.length === 0 ? (
+          <p className="text-sm text-gray-600">{t('quality.noIssues', { sheets: fileStructure.activeSheets.join(', ') })}</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full bg-white border text-sm">
+              <thead className="bg-gray-100">
+                <tr>
+                  {isMultiSheet && <th className="py-2 px-4 border-b text-left">{t('common.sheet')}</th>}
+                  <th className="py-2 px-4 border-b text-right">{t('quality.row')}</th>
+                  <th className="py-2 px-4 border-b text-left">{t('field.name')}</th>
+                  <th className="py-2 px-4 border-b text-left">{t('quality.issue')}</th>
+                  <th className="py-2 px-4 border-b text-left">{t('common.field')}</th>
+                  <th className="py-2 px-4 border-b text-left">{t('quality.value')}</th>
+                  <th className="py-2 px-4 border-b text-left">{t('quality.details')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {issues.map((issue, index) => (
+                  <tr key={`${issue.sheet}-${issue.row}-${issue.type}-${issue.field}`} className={index % 2 === 0 ? 'bg-gray-50' : ''}>
+                    {isMultiSheet && <td className="py-1 px-4 border-b">{issue.sheet}</td>}
+                    <td className="py-1 px-4 border-b text-right">{issue.row}</td>
+                    <td className="py-1 px-4 border-b">{issue.name}</td>
+                    <td className="py-1 px-4 border-b">{t(`issue.${issue.type}`)}</td>
+                    <td className="py-1 px-4 border-b">{t(`field.${issue.field}`)}</td>
+                    <td className="py-1 px-4 border-b font-mono">{formatValue(issue.value)}</td>
+                    <td className="py-1 px-4 border-b text-gray-600">{describeIssue(issue, i18n)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const renderComparisonTab = () => (
+    <div className="flex flex-col space-y-6">
+      <div className="flex justify-between items-center">
+        <h2 className="text-lg font-semibold">{t('comparison.title')}</h2>
+        <div className="flex items-center space-x-3">
+          {snapshotDiff && (
+            <label className="flex items-center text-sm">
+              <input
+                type="checkbox"
+                className="mr-1"
+                checked={includeComparisonInExport}
+                onChange={(e) => setIncludeComparisonInExport(e.target.checked)}
+              />
+              {t('comparison.includeInExport')}
+            </label>
+          )}
+          <label className="px-3 py-1 bg-blue-500 text-white rounded cursor-pointer hover:bg-blue-600 text-sm">
+            {comparison ? t('comparison.replace') : t('comparison.load')}
+            <input
+              type="file"
+              accept=".xlsx,.xls,.xlsb,.xlsm"
+              className="hidden"
+              onChange={(e) => {
+                if (e.target.files && e.target.files[0]) {
+                  processComparisonFile(e.target.files[0], fileStructure.activeSheets);
+                }
+                e.target.value = '';
+              }}
+            />
+          </label>
+          {comparison && (
+            <button
+              className="px-3 py-1 bg-gray-200 rounded hover:bg-gray-300 text-sm"
+              onClick={() => setComparison(null)}
+            >
+              {t('common.clear')}
+            </button>
+          )}
+        </div>
       </div>
       
-      <div className="grid grid-cols-2 gap-4 mb-4">
-        <div>
-          <p><span className="font-medium">File name:</span> {fileStructure.fileName}</p>
-          <p><span className="font-medium">File size:</span> {fileStructure.fileSize}</p>
-          <p><span className="font-medium">Sheets:</span> {fileStructure.sheetNames.join(', ')}</p>
+      {comparisonError && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+          {t(comparisonError)}
         </div>
-        <div>
-          <p><span className="font-medium">Active sheet:</span> {fileStructure.activeSheet}</p>
-          <p><span className="font-medium">Rows:</span> {fileStructure.rowCount}</p>
-          <p><span className="font-medium">Columns:</span> {fileStructure.columnCount}</p>
-        </div>
-      </div>
+      )}
       
-      <h3 className="font-medium mb-2">Column Headers and Types</h3>
-      <div className="overflow-x-auto mb-4">
-        <table className="min-w-full border">
-          <thead>
-            <tr className="bg-gray-100">
-              <th className="py-2 px-3 border text-left">Column Name</th>
-              <th className="py-2 px-3 border text-left">Data Type</th>
-            </tr>
-          </thead>
-          <tbody>
-            {fileStructure.headers.map((header, index) => (
-              header && (
-                <tr key={index} className={index % 2 === 0 ? 'bg-gray-50' : ''}>
-                  <td className="py-2 px-3 border">{header}</td>
-                  <td className="py-2 px-3 border">{fileStructure.columnTypes[header] || 'unknown'}</td>
-                </tr>
-              )
+      {!comparison ? (
+        <p className="text-sm text-gray-600">
+          {t('comparison.help')}
+        </p>
+      ) : !snapshotDiff ? (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+          {t('comparison.columnsNotFound', { file: comparison.fileName })}
+        </div>
+      ) : (
+        <>
+          <p className="text-sm text-gray-600">
+            {t('comparison.comparing', {
+              previous: `${comparison.fileName} (${comparison.sheetNames.join(', ')})`,
+              current: `${fileStructure.fileName} (${fileStructure.activeSheets.join(', ')})`
+            })}
+            {snapshotDiff.unmatchedCount > 0 && ` ${t('comparison.skipped', { count: formatNumber(snapshotDiff.unmatchedCount) })}`}
+          </p>
+          
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+            {[
+              [t('comparison.joiners'), snapshotDiff.joiners.length],
+              [t('comparison.leavers'), snapshotDiff.leavers.length],
+              [t('comparison.managerChanges'), snapshotDiff.managerChanges.length],
+              [t('comparison.partTimeChanges'), snapshotDiff.partTimeChanges.length],
+              [t('comparison.presenceChanges'), snapshotDiff.presenceChanges.length]
+            ].map(([label, count]) => (
+              <div key={label} className="bg-white p-4 rounded shadow text-center">
+                <div className="text-2xl font-semibold">{formatNumber(count)}</div>
+                <div className="text-sm text-gray-600">{label}</div>
+              </div>
             ))}
-          </tbody>
-        </table>
-      </div>
-      
-      <div className="border rounded mb-4">
-        <button 
-          className="w-full flex justify-between items-center p-3 bg-gray-100 hover:bg-gray-200"
-          onClick={() => setShowSampleData(!showSampleData)}
-        >
-          <h3 className="font-medium">Sample Data (First 5 Rows)</h3>
-          <svg
-            className={`w-5 h-5 transition-transform ${showSampleData ? 'transform rotate-180' : ''}`}
-            fill="none"
-            stroke="currentColor"
-            viewBox="0 0 24 24"
-            xmlns="http://www.w3.org/2000/svg"
-          >
-            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path>
-          </svg>
-        </button>
-        
-        {showSampleData && (
-          <div className="overflow-x-auto p-3">
-            <table className="min-w-full border">
-              <thead>
-                <tr className="bg-gray-100">
-                  {fileStructure.headers.map((header, index) => (
-                    header && <th key={index} className="py-2 px-3 border text-left">{header}</th>
-                  ))}
+          </div>
+          
+          <div className="overflow-x-auto">
+            <table className="min-w-full bg-white border">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="py-2 px-4 border-b text-left">{t('field.manager')}</th>
+                  <th className="py-2 px-4 border-b text-right">{t('comparison.previous')}</th>
+                  <th className="py-2 px-4 border-b text-right">{t('comparison.current')}</th>
+                  <th className="py-2 px-4 border-b text-right">Δ {t('common.total')}</th>
+                  <th className="py-2 px-4 border-b text-right">Δ {t('status.present')}</th>
+                  <th className="py-2 px-4 border-b text-right">Δ {t('status.absent')}</th>
+                  <th className="py-2 px-4 border-b text-right">{t('comparison.joiners')}</th>
+                  <th className="py-2 px-4 border-b text-right">{t('comparison.leavers')}</th>
+                  <th className="py-2 px-4 border-b text-right">{t('comparison.transfersIn')}</th>
+                  <th className="py-2 px-4 border-b text-right">{t('comparison.transfersOut')}</th>
                 </tr>
               </thead>
               <tbody>
-                {fileStructure.sampleRows.map((row, rowIndex) => (
-                  <tr key={rowIndex} className={rowIndex % 2 === 0 ? 'bg-gray-50' : ''}>
-                    {fileStructure.headers.map((header, colIndex) => (
-                      header && <td key={colIndex} className="py-2 px-3 border">{row[colIndex] !== undefined ? String(row[colIndex]) : ''}</td>
-                    ))}
+                {Object.entries(snapshotDiff.managerDeltas).map(([manager, delta], index) => (
+                  <tr key={manager} className={index % 2 === 0 ? 'bg-gray-50' : ''}>
+                    <td className="py-2 px-4 border-b">{manager}</td>
+                    <td className="py-2 px-4 border-b text-right">{formatNumber(delta.previousTotal)}</td>
+                    <td className="py-2 px-4 border-b text-right">{formatNumber(delta.currentTotal)}</td>
+                    {renderDeltaCells(delta)}
+                    <td className="py-2 px-4 border-b text-right">{formatNumber(delta.joiners)}</td>
+                    <td className="py-2 px-4 border-b text-right">{formatNumber(delta.leavers)}</td>
+                    <td className="py-2 px-4 border-b text-right">{formatNumber(delta.transfersIn)}</td>
+                    <td className="py-2 px-4 border-b text-right">{formatNumber(delta.transfersOut)}</td>
                   </tr>
                 ))}
               </tbody>
             </table>
           </div>
-        )}
-      </div>
+          
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            {renderComparisonList(t('comparison.joiners'), snapshotDiff.joiners)}
+            {renderComparisonList(t('comparison.leavers'), snapshotDiff.leavers)}
+            {renderComparisonList(t('comparison.managerChanges'), snapshotDiff.managerChanges,
+              ({ from, to }) => `${from || t('common.none')} → ${to || t('common.none')}`)}
+            {renderComparisonList(t('comparison.partTimeChanges'), snapshotDiff.partTimeChanges,
+              ({ from, to }) => `${from === null ? '-' : formatPercent(from / 100, 0)} → ${to === null ? '-' : formatPercent(to / 100, 0)}`)}
+            {renderComparisonList(t('comparison.presenceChanges'), snapshotDiff.presenceChanges,
+              ({ from, to }) => `${t(`presence.${from}`)} → ${t(`presence.${to}`)}`)}
+          </div>
+        </>
+      )}
     </div>
   );
 
-  const renderEmployeeTable = () => (
-    <div className="overflow-x-auto">
+  const renderStatisticsTab = () => (
+    <div className="flex flex-col space-y-6 mt-10">
       <div className="mb-4 flex justify-between items-center">
-        <h2 className="text-lg font-semibold">Employee List</h2>
+        <h2 className="text-lg font-semibold">{t('statistics.title')}</h2>
         <div className="flex space-x-3">
-          <span className="text-sm py-1 px-2 bg-red-200 rounded">
-            Non-Participating: {nonParticipatingCount}
-          </span>
+          {renderMetricToggle()}
+          <label className="flex items-center space-x-2 text-sm">
+            <span>{t('statistics.groupBy')}:</span>
+            <select
+              className="border rounded px-2 py-1"
+              value={groupBy}
+              onChange={(e) => handleGroupByChange(e.target.value)}
+            >
+              {groupByOptions.map(option => (
+                <option key={option.key} value={option.key}>{t(`field.${option.key}`)}</option>
+              ))}
+            </select>
+          </label>
+          <label className="flex items-center space-x-2 text-sm">
+            <span>{t('statistics.thenBy')}:</span>
+            <select
+              className="border rounded px-2 py-1"
+              value={subGroupBy || ''}
+              onChange={(e) => setSubGroupBy(e.target.value || null)}
+            >
+              <option value="">{t('common.none')}</option>
+              {groupByOptions.filter(option => option.key !== groupBy).map(option => (
+                <option key={option.key} value={option.key}>{t(`field.${option.key}`)}</option>
+              ))}
+            </select>
+          </label>
           <button 
-            className="px-3 py-1 bg-green-500 text-white rounded hover:bg-green-600 text-sm"
-            onClick={downloadExcelWithHighlighting}
+            className="px-3 py-1 bg-blue-500 text-white rounded hover:bg-blue-600 text-sm"
+            onClick={() => setReportGeneratedAt(new Date())}
           >
-            Download Excel
+            {t('report.button')}
           </button>
+          {renderDownloadButton()}
         </div>
       </div>
+      
+      {renderStatisticsTable()}
+      {renderStatisticsCharts()}
+    </div>
+  );
+
+  // Average part-time % of a statistics row, which is kept as a string with two decimals
+  const formatPartTime = (stat) => formatPercent(stat.avgPartTimePercentage / 100, 2);
+
+  // Total, present, absent and unknown cells in the selected metric
+  const renderMetricCells = (values, className) => ['total', 'present', 'absent', 'unknown'].map(key => (
+    <td key={key} className={className}>{formatMetricValue(values[key], metric, i18n.locale)}</td>
+  ));
+
+  // Rows open the employees of their group, except in the report
+  const renderStatisticsTable = (printLayout = false) => (
+    <div className="overflow-x-auto">
       <table className="min-w-full bg-white border">
         <thead className="bg-gray-100">
           <tr>
-            <th className="py-2 px-4 border-b text-left">Name</th>
-            <th className="py-2 px-4 border-b text-left">Function</th>
-            <th className="py-2 px-4 border-b text-left">Manager</th>
-            <th className="py-2 px-4 border-b text-right">Part-time %</th>
-            <th className="py-2 px-4 border-b text-center">Present</th>
+            <th className="py-2 px-4 border-b text-left">
+              {groupingLabel}
+            </th>
+            <th className="py-2 px-4 border-b text-right">{t(`statistics.${metric}.total`)}</th>
+            <th className="py-2 px-4 border-b text-right">{t(`statistics.${metric}.present`)}</th>
+            <th className="py-2 px-4 border-b text-right">{t(`statistics.${metric}.absent`)}</th>
+            <th className="py-2 px-4 border-b text-right">{t(`statistics.${metric}.unknown`)}</th>
+            <th className="py-2 px-4 border-b text-right">{t('statistics.averagePartTime')}</th>
+            {showManagerDeltas && (
+              <>
+                <th className="py-2 px-4 border-b text-right">Δ {t('common.total')}</th>
+                <th className="py-2 px-4 border-b text-right">Δ {t('status.present')}</th>
+                <th className="py-2 px-4 border-b text-right">Δ {t('status.absent')}</th>
+              </>
+            )}
           </tr>
         </thead>
         <tbody>
-          {data.map((employee, index) => (
-            <tr key={index} className={isPresentClassName(employee.present)}>
-              <td className="py-2 px-4 border-b">{employee.name}</td>
-              <td className="py-2 px-4 border-b">{employee.function}</td>
-              <td className="py-2 px-4 border-b">{employee.manager}</td>
-              <td className="py-2 px-4 border-b text-right">{employee.partTimePercentage}%</td>
-              <td className="py-2 px-4 border-b text-center">{formatPresentDisplay(employee.present)}</td>
-            </tr>
+          {Object.entries(stats).map(([manager, stat], index) => (
+            <React.Fragment key={index}>
+              <tr
+                className={`${index % 2 === 0 ? 'bg-gray-50' : ''} ${stat.subgroups ? 'font-medium' : ''} ${printLayout ? '' : 'cursor-pointer hover:bg-blue-50'}`}
+                title={printLayout ? undefined : t('drillDown.hint')}
+                onClick={printLayout ? undefined : () => openDrillDown({ group: manager })}
+              >
+                <td className="py-2 px-4 border-b">{manager}</td>
+                {renderMetricCells(getMetricValues(stat, metric), 'py-2 px-4 border-b text-right')}
+                <td className="py-2 px-4 border-b text-right">{formatPartTime(stat)}</td>
+                {showManagerDeltas && renderDeltaCells(snapshotDiff.managerDeltas[manager])}
+              </tr>
+              {stat.subgroups && Object.entries(stat.subgroups).map(([subGroup, subStat]) => (
+                <tr
+                  key={subGroup}
+                  className={`text-sm text-gray-700 ${printLayout ? '' : 'cursor-pointer hover:bg-blue-50'}`}
+                  title={printLayout ? undefined : t('drillDown.hint')}
+                  onClick={printLayout ? undefined : () => openDrillDown({ group: manager, subGroup })}
+                >
+                  <td className="py-1 pl-10 pr-4 border-b">{subGroup}</td>
+                  {renderMetricCells(getMetricValues(subStat, metric), 'py-1 px-4 border-b text-right')}
+                  <td className="py-1 px-4 border-b text-right">{formatPartTime(subStat)}</td>
+                  {showManagerDeltas && <td colSpan={3} className="py-1 px-4 border-b"></td>}
+                </tr>
+              ))}
+            </React.Fragment>
           ))}
+          <tr className="bg-blue-50 font-medium">
+            <td className="py-2 px-4 border-b">{t('common.total')}</td>
+            {renderMetricCells(sumMetricValues(stats, metric), 'py-2 px-4 border-b text-right')}
+            <td className="py-2 px-4 border-b text-right">
+              {formatPercent(averagePartTime(stats) / 100, 2)}
+            </td>
+            {showManagerDeltas && renderDeltaCells(
+              Object.values(snapshotDiff.managerDeltas).reduce((total, delta) => ({
+                totalDelta: total.totalDelta + delta.totalDelta,
+                presentDelta: total.presentDelta + delta.presentDelta,
+                absentDelta: total.absentDelta + delta.absentDelta
+              }), { totalDelta: 0, presentDelta: 0, absentDelta: 0 })
+            )}
+          </tr>
         </tbody>
       </table>
-      <div className="mt-4 bg-gray-100 p-3 rounded text-sm">
-        <p>
-          <span className="font-medium">Note:</span> Employees who won't participate are highlighted in red.
-        </p>
-      </div>
     </div>
   );
 
-  const renderStatisticsTab = () => (
-    <div className="flex flex-col space-y-6 mt-10">
-      <div className="mb-4 flex justify-between items-center">
-        <h2 className="text-lg font-semibold">Data Statistics</h2>
-        <button 
-          className="px-3 py-1 bg-green-500 text-white rounded hover:bg-green-600 text-sm"
-          onClick={downloadExcelWithHighlighting}
-        >
-          Download Excel
-        </button>
-      </div>
-      
-      <div className="overflow-x-auto">
-        <table className="min-w-full bg-white border">
-          <thead className="bg-gray-100">
-            <tr>
-              <th className="py-2 px-4 border-b text-left">Manager</th>
-              <th className="py-2 px-4 border-b text-right">Total Employees</th>
-              <th className="py-2 px-4 border-b text-right">Present</th>
-              <th className="py-2 px-4 border-b text-right">Absent</th>
-              <th className="py-2 px-4 border-b text-right">Avg. Part-time %</th>
-            </tr>
-          </thead>
-          <tbody>
-            {Object.entries(stats).map(([manager, stat], index) => (
-              <tr key={index} className={index % 2 === 0 ? 'bg-gray-50' : ''}>
-                <td className="py-2 px-4 border-b">{manager}</td>
-                <td className="py-2 px-4 border-b text-right">{stat.totalEmployees}</td>
-                <td className="py-2 px-4 border-b text-right">{stat.presentEmployees}</td>
-                <td className="py-2 px-4 border-b text-right">{stat.absentEmployees}</td>
-                <td className="py-2 px-4 border-b text-right">{stat.avgPartTimePercentage}%</td>
-              </tr>
-            ))}
-            <tr className="bg-blue-50 font-medium">
-              <td className="py-2 px-4 border-b">Total</td>
-              <td className="py-2 px-4 border-b text-right">
-                {Object.values(stats).reduce((sum, stat) => sum + stat.totalEmployees, 0)}
-              </td>
-              <td className="py-2 px-4 border-b text-right">
-                {Object.values(stats).reduce((sum, stat) => sum + stat.presentEmployees, 0)}
-              </td>
-              <td className="py-2 px-4 border-b text-right">
-                {Object.values(stats).reduce((sum, stat) => sum + stat.absentEmployees, 0)}
-              </td>
-              <td className="py-2 px-4 border-b text-right">
-                {(Object.values(stats).reduce((sum, stat) => 
-                  sum + (parseFloat(stat.avgPartTimePercentage) * stat.totalEmployees), 0) / 
-                 Object.values(stats).reduce((sum, stat) => sum + stat.totalEmployees, 0)).toFixed(2)}%
-              </td>
-            </tr>
-          </tbody>
-        </table>
-      </div>
-      
-      <div className="grid grid-cols-1 md:grid-cols-2 grid-rows-2 gap-6">
-        {/* Pie chart for manager distribution */}
+  // The report always shows the charts side by side, also on narrow pages
+  const renderStatisticsCharts = (printLayout = false) => {
+    const groups = Object.entries(stats).map(([group, stat]) => ({ label: group, stat, values: getMetricValues(stat, metric) }));
+    const formatValue = (value) => formatMetricValue(value, metric, i18n.locale);
+    const selectGroup = printLayout ? null : (item) => openDrillDown({ group: item.label });
+    
+    return (
+      <div className={printLayout ? 'grid grid-cols-2 gap-4' : 'grid grid-cols-1 md:grid-cols-2 grid-rows-2 gap-6'}>
         <div className="bg-white p-4 rounded shadow">
-          <h3 className="text-lg font-medium mb-4">PMC Distribution (Pie Chart)</h3>
-          <div className="relative h-64">
-            <svg width="100%" height="100%" viewBox="0 0 400 400">
-              {(() => {
-                const center = { x: 200, y: 200 };
-                const radius = 200;
-                const managerData = Object.entries(stats);
-                const totalEmployees = managerData.reduce((sum, [_, stat]) => sum + stat.totalEmployees, 0);
-                
-                // Colors for pie slices
-                const colors = ['#4299e1', '#48bb78', '#ed8936', '#9f7aea', '#f56565', '#38b2ac'];
-                
-                let startAngle = 0;
-                let output = [];
-                let legend = [];
-                
-                managerData.forEach(([manager, stat], index) => {
-                  const percentage = stat.totalEmployees / totalEmployees;
-                  const endAngle = startAngle + percentage * 2 * Math.PI;
-                  
-                  // Calculate pie slice path
-                  const startX = center.x + radius * Math.cos(startAngle);
-                  const startY = center.y + radius * Math.sin(startAngle);
-                  const endX = center.x + radius * Math.cos(endAngle);
-                  const endY = center.y + radius * Math.sin(endAngle);
-                  
-                  // Determine if the arc should be drawn as a large arc
-                  const largeArcFlag = percentage > 0.5 ? 1 : 0;
-                  
-                  // Create path for pie slice
-                  const pathData = [
-                    `M ${center.x},${center.y}`,
-                    `L ${startX},${startY}`,
-                    `A ${radius},${radius} 0 ${largeArcFlag} 1 ${endX},${endY}`,
-                    'Z'
-                  ].join(' ');
-                  
-                  output.push(
-                    <path 
-                      key={`slice-${index}`}
-                      d={pathData} 
-                      fill={colors[index % colors.length]} 
-                      stroke="#fff" 
-                      strokeWidth="1"
-                    />
-                  );
-                  
-                  // Add label at the center of the slice
-                  const labelAngle = startAngle + (endAngle - startAngle) / 2;
-                  const labelRadius = radius * 0.7;
-                  const labelX = center.x + labelRadius * Math.cos(labelAngle);
-                  const labelY = center.y + labelRadius * Math.sin(labelAngle);
-                  
-                  if (percentage > 0.05) { // Only show label if slice is large enough
-                    output.push(
-                      <text 
-                        key={`label-${index}`}
-                        x={labelX} 
-                        y={labelY} 
-                        textAnchor="middle" 
-                        dominantBaseline="middle"
-                        fill="#fff"
-                        fontWeight="bold"
-                        fontSize="20"
-                      >
-                        {`${Math.round(percentage * 100)}%`}
-                      </text>
-                    );
-                  }
-                  
-                  // Add to legend
-                  legend.push({ manager, color: colors[index % colors.length], count: stat.totalEmployees });
-                  
-                  startAngle = endAngle;
-                });
-                
-                // Add legend below the chart
-                output.push(
-                  <foreignObject key="legend" x="-200" y="200" width="400" height="300">
-                    <div 
-                      xmlns="http://www.w3.org/1999/xhtml" 
-                      className="text-xs"
-                    >
-                      {legend.map(({ manager, color, count }, i) => (
-                        <div key={i} className="flex items-center">
-                          <div className="w-3 h-3 mr-1" style={{ backgroundColor: color }}></div>
-                          <span className="truncate text-lg">{manager} ({count})</span>
-                        </div>
-                      ))}
-                    </div>
-                  </foreignObject>
-                );
-                
-                return output;
-              })()}
-            </svg>
-          </div>
+          <h3 className="text-lg font-medium mb-4">{t('charts.share', { group: groupLabel })}{metricSuffix}</h3>
+          <PieChart
+            data={groups.map(({ label, values }) => ({ label, value: values.total }))}
+            formatValue={formatValue}
+            onSelect={selectGroup}
+            i18n={i18n}
+          />
         </div>
         
-        {/* Bar chart for manager distribution */}
         <div className="bg-white p-4 rounded shadow">
-          <h3 className="text-lg font-medium mb-4">Distribution</h3>
-          <div className="flex items-end h-64 space-x-4">
-            {Object.entries(stats).map(([manager, stat], index) => {
-              // Fixed height - 50px per employee
-              const heightPerEmployee = 5;
-              const totalHeight = Math.min(stat.totalEmployees * heightPerEmployee, 250);
-              
-              return (
-                <div key={index} className="flex flex-col items-center flex-1">
-                  <div className="w-full flex justify-center mb-2">
-                    <div className="flex flex-col items-center">
-                      <div className="text-sm font-medium">{stat.totalEmployees}</div>
-                      <div 
-                        className="bg-blue-500 w-full" 
-                        style={{height: `${totalHeight}px`, minHeight: '10px'}}
-                      ></div>
-                    </div>
-                  </div>
-                  <div className="text-xs text-center truncate w-22">{manager}</div>
-                </div>
-              );
-            })}
-          </div>
+          <h3 className="text-lg font-medium mb-4">{t(`charts.${metric}PerGroup`, { group: groupLabel })}</h3>
+          <BarChart
+            data={groups}
+            series={[{ key: 'total', label: t(`metric.${metric}`), color: TOTAL_COLOR }]}
+            formatValue={formatValue}
+            share="total"
+            integer={metric !== 'fte'}
+            onSelect={selectGroup}
+            i18n={i18n}
+          />
         </div>
         
         <div className="bg-white p-4 rounded shadow">
-          <h3 className="text-lg font-medium mb-4">Present vs Absent by PMC</h3>
-          <div className="flex items-end h-64 space-x-4">
-            {Object.entries(stats).map(([manager, stat], index) => {
-              // Fixed height scale
-              const heightPerEmployee = 5;
-              const presentHeight = stat.presentEmployees * heightPerEmployee;
-              const absentHeight = stat.absentEmployees * heightPerEmployee;
-              
-              return (
-                <div key={index} className="flex flex-col items-center flex-1">
-                  <div className="w-full flex justify-center mb-2">
-                    <div className="flex flex-col items-center w-full">
-                      <div className="text-xs mb-1">{stat.presentEmployees}</div>
-                      <div className="bg-green-500 w-full" style={{height: `${presentHeight}px`, minHeight: stat.presentEmployees ? '10px' : '0px'}}></div>
-                      <div className="bg-red-500 w-full" style={{height: `${absentHeight}px`, minHeight: stat.absentEmployees ? '10px' : '0px'}}></div>
-                      <div className="text-xs mt-1">{stat.absentEmployees}</div>
-                    </div>
-                  </div>
-                  <div className="text-xs text-center truncate w-20">{manager}</div>
-                </div>
-              );
-            })}
-          </div>
-          <div className="flex items-center justify-center mt-4 space-x-4">
-            <div className="flex items-center">
-              <div className="w-4 h-4 bg-green-500 mr-2"></div>
-              <span className="text-sm">Present</span>
-            </div>
-            <div className="flex items-center">
-              <div className="w-4 h-4 bg-red-500 mr-2"></div>
-              <span className="text-sm">Absent</span>
-            </div>
-          </div>
+          <h3 className="text-lg font-medium mb-4">{t('charts.presence', { group: groupLabel })}{metricSuffix}</h3>
+          <BarChart
+            data={groups}
+            series={[
+              { key: 'present', label: t('status.present'), color: PRESENT_COLOR },
+              { key: 'absent', label: t('status.absent'), color: ABSENT_COLOR },
+              { key: 'unknown', label: t('status.unknown'), color: UNKNOWN_COLOR }
+            ]}
+            formatValue={formatValue}
+            share="stack"
+            integer={metric !== 'fte'}
+            onSelect={printLayout ? null : (item, status) => openDrillDown({ group: item.label, status })}
+            i18n={i18n}
+          />
         </div>
-
+        
         <div className="bg-white p-4 rounded shadow">
-          <h3 className="text-lg font-medium mb-4">Parttime Percentage by PMC</h3>
-          <div className="flex items-end h-64 space-x-4">
-            {Object.entries(stats).map(([manager, stat], index) => {
-              // Scale height based on percentage (0-100%)
-              const heightFactor = 1.5; // 2.5px per percentage point, max height for 100% = 250px
-              const height = parseFloat(stat.avgPartTimePercentage) * heightFactor;
-
-              return (
-                <div key={index} className="flex flex-col items-center flex-1">
-                  <div className="w-full flex justify-center mb-2">
-                    <div className="flex flex-col items-center">
-                      <div className="text-xs mb-1">{stat.avgPartTimePercentage}%</div>
-                      <div 
-                        className="bg-purple-500 w-full" 
-                        style={{height: `${height}px`, minHeight: '10px'}}
-                      ></div>
-                    </div>
-                  </div>
-                  <div className="text-xs text-center truncate w-20">{manager}</div>
-                </div>
-              );
-            })}
-          </div>
+          <h3 className="text-lg font-medium mb-4">{t('charts.partTime', { group: groupLabel })}</h3>
+          <BarChart
+            data={groups.map(({ label, stat }) => ({ label, values: { partTime: Number(stat.avgPartTimePercentage) } }))}
+            series={[{ key: 'partTime', label: t('statistics.averagePartTime'), color: PART_TIME_COLOR }]}
+            formatValue={(value) => formatPercent(value / 100, 2)}
+            formatAxisValue={(value) => formatPercent(value / 100, 0)}
+            maxValue={100}
+            onSelect={selectGroup}
+            i18n={i18n}
+          />
         </div>
       </div>
-    </div>
-  );
+    );
+  };
 
-  // Create horizontal bar chart to visualize present vs. absent percentages
+  // Create horizontal bar chart to visualize present, absent and unknown percentages
   const renderHorizontalBarChart = () => {
-    const totalPresentEmployees = Object.values(stats).reduce(
-      (sum, stat) => sum + stat.presentEmployees,
-      0
-    );
-    const totalAbsentEmployees = Object.values(stats).reduce(
-      (sum, stat) => sum + stat.absentEmployees,
-      0
-    );
-    const totalEmployees = totalPresentEmployees + totalAbsentEmployees;
-    const presentPercentage = (totalPresentEmployees / totalEmployees * 100).toFixed(1);
-    const absentPercentage = (totalAbsentEmployees / totalEmployees * 100).toFixed(1);
+    const totals = sumMetricValues(stats, metric);
+    const totalPresentEmployees = formatMetricValue(totals.present, metric, i18n.locale);
+    const totalAbsentEmployees = formatMetricValue(totals.absent, metric, i18n.locale);
+    const totalUnknownEmployees = formatMetricValue(totals.unknown, metric, i18n.locale);
+    const totalEmployees = totals.present + totals.absent + totals.unknown;
+    const presentShare = totalEmployees ? totals.present / totalEmployees : 0;
+    const absentShare = totalEmployees ? totals.absent / totalEmployees : 0;
+    const unknownShare = totalEmployees ? totals.unknown / totalEmployees : 0;
 
     return (
       <div className="bg-white p-4 rounded shadow mt-6">
-        <h3 className="text-lg font-medium mb-4">Overall Participation Rate</h3>
+        <h3 className="text-lg font-medium mb-4">{t('charts.participation')}{metricSuffix}</h3>
         <div className="relative pt-1">
           <div className="flex items-center justify-between mb-2">
             <div>
               <span className="text-xs font-semibold inline-block text-green-600">
-                Present: {totalPresentEmployees} ({presentPercentage}%)
+                {t('status.present')}: {totalPresentEmployees} ({formatPercent(presentShare)})
               </span>
             </div>
+            {totals.unknown > 0 && (
+              <div>
+                <span className="text-xs font-semibold inline-block text-yellow-600">
+                  {t('status.unknown')}: {totalUnknownEmployees} ({formatPercent(unknownShare)})
+                </span>
+              </div>
+            )}
             <div>
               <span className="text-xs font-semibold inline-block text-red-600">
-                Absent: {totalAbsentEmployees} ({absentPercentage}%)
+                {t('status.absent')}: {totalAbsentEmployees} ({formatPercent(absentShare)})
               </span>
             </div>
           </div>
           <div className="flex h-6 mb-4 overflow-hidden rounded-lg bg-gray-200">
             <div
-              style={{ width: `${presentPercentage}%` }}
+              style={{ width: `${presentShare * 100}%` }}
               className="flex flex-col justify-center text-center text-white bg-green-500 shadow-none whitespace-nowrap"
             >
-              {presentPercentage > 5 && `${presentPercentage}%`}
+              {presentShare > 0.05 && formatPercent(presentShare)}
             </div>
             <div
-              style={{ width: `${absentPercentage}%` }}
+              style={{ width: `${absentShare * 100}%` }}
               className="flex flex-col justify-center text-center text-white bg-red-500 shadow-none whitespace-nowrap"
             >
-              {absentPercentage > 5 && `${absentPercentage}%`}
+              {absentShare > 0.05 && formatPercent(absentShare)}
+            </div>
+            <div
+              style={{ width: `${unknownShare * 100}%` }}
+              className="flex flex-col justify-center text-center text-white bg-yellow-500 shadow-none whitespace-nowrap"
+            >
+              {unknownShare > 0.05 && formatPercent(unknownShare)}
             </div>
           </div>
         </div>
@@ -764,22 +2559,105 @@ const EmployeeDataVisualization = () => {
     );
   };
 
+  // One-page summary for printing or as a PDF; the toolbar is left out of print
+  const renderReport = () => (
+    <div className="report">
+      <div className="no-print mb-4 flex justify-between items-center">
+        <button 
+          className="px-3 py-1 bg-gray-200 rounded hover:bg-gray-300 text-sm"
+          onClick={() => setReportGeneratedAt(null)}
+        >
+          {t('report.back')}
+        </button>
+        <div className="flex items-center space-x-3">
+          {exportError && <span className="text-sm text-red-600">{t(exportError)}</span>}
+          <button 
+            className="px-3 py-1 bg-blue-500 text-white rounded hover:bg-blue-600 text-sm"
+            onClick={() => window.print()}
+          >
+            {t('report.print')}
+          </button>
+          <button 
+            className="px-3 py-1 bg-green-500 text-white rounded hover:bg-green-600 text-sm disabled:opacity-50"
+            onClick={downloadReportPdf}
+            disabled={exporting}
+          >
+            {exporting ? t('common.preparing') : t('export.downloadPdf')}
+          </button>
+        </div>
+      </div>
+      
+      <div className="border-b pb-3">
+        <h2 className="text-xl font-bold">{t('report.title')}</h2>
+        <div className="text-sm text-gray-600 flex flex-wrap gap-x-6">
+          <span><span className="font-medium">{t('report.file')}:</span> {fileStructure.fileName}</span>
+          <span>
+            <span className="font-medium">{t(isMultiSheet ? 'report.sheets' : 'common.sheet')}:</span> {fileStructure.activeSheets.join(', ')}
+          </span>
+          {referenceDate && (
+            <span>
+              <span className="font-medium">{t('referenceDate.activeAsOf')}:</span> {formatDate(parseDateInput(referenceDate))}
+            </span>
+          )}
+          <span><span className="font-medium">{t('report.generated')}:</span> {formatDateTime(reportGeneratedAt)}</span>
+        </div>
+      </div>
+      
+      <div className="report-section">
+        {renderHorizontalBarChart()}
+      </div>
+      
+      <div className="report-section mt-6">
+        <h3 className="text-lg font-medium mb-2">
+          {t('report.statisticsPer', { group: groupingLabel })}
+        </h3>
+        {renderStatisticsTable(true)}
+      </div>
+      
+      <div className="mt-6">
+        {renderStatisticsCharts(true)}
+      </div>
+      
+      <div className="mt-6">
+        <h3 className="text-lg font-medium mb-2">
+          {t('report.nonParticipants', {
+            count: formatNumber(reportNonParticipants.reduce((sum, [, employees]) => sum + employees.length, 0))
+          })}
+        </h3>
+        {reportNonParticipants.length ? (
+          <div className="grid grid-cols-2 gap-4 text-sm">
+            {reportNonParticipants.map(([manager, employees]) => (
+              <div key={manager} className="report-section">
+                <div className="font-medium">{manager} ({formatNumber(employees.length)})</div>
+                <div className="text-gray-700">
+                  {employees.map(employee => employee.name || t('report.noName')).join(', ')}
+                </div>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="text-sm text-gray-600">{t('report.everyoneParticipates')}</p>
+        )}
+      </div>
+    </div>
+  );
+
   const renderDeploymentInstructions = () => (
     <div className="bg-white p-4 rounded shadow mt-8">
-      <h2 className="text-lg font-semibold mb-3">GitHub Pages Deployment Instructions</h2>
+      <h2 className="text-lg font-semibold mb-3">{t('deploy.title')}</h2>
       <ol className="list-decimal pl-5 space-y-2">
-        <li>Create a new GitHub repository</li>
-        <li>Initialize your project with Create React App or Next.js</li>
+        <li>{t('deploy.createRepository')}</li>
+        <li>{t('deploy.initialize')}</li>
         <li>
-          Install required dependencies:
+          {t('deploy.install')}:
           <pre className="bg-gray-100 p-2 rounded mt-1 text-sm overflow-x-auto">
             npm install xlsx lodash gh-pages
           </pre>
         </li>
-        <li>Copy this component into your project</li>
-        <li>Set up GitHub Pages deployment in your repository settings</li>
+        <li>{t('deploy.copy')}</li>
+        <li>{t('deploy.setUpPages')}</li>
         <li>
-          Deploy your application with:
+          {t('deploy.deploy')}:
           <pre className="bg-gray-100 p-2 rounded mt-1 text-sm overflow-x-auto">
             npm run build
             npm run deploy
@@ -787,26 +2665,80 @@ const EmployeeDataVisualization = () => {
         </li>
       </ol>
       <p className="mt-4 text-sm">
-        <strong>Note:</strong> This application processes files entirely in the browser - no server is needed and no data is sent anywhere.
+        <strong>{t('common.note')}:</strong> {t('deploy.privacy')}
       </p>
     </div>
   );
 
   return (
     <div className="max-w-6xl mx-auto p-4">
-      <h1 className="text-2xl font-bold mb-6">Employee Data Analysis</h1>
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-6">
+        <h1 className="text-2xl font-bold">{t('app.title')}</h1>
+        <label className="flex items-center space-x-2 text-sm mr-20">
+          <span>{t('app.language')}:</span>
+          <select
+            className="border rounded px-2 py-1"
+            value={language}
+            onChange={(e) => setLanguage(e.target.value)}
+          >
+            {LANGUAGES.map(option => (
+              <option key={option.key} value={option.key}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {updateAvailable && (
+        <div className="mb-4 p-3 bg-blue-50 border border-blue-200 rounded flex flex-wrap items-center justify-between gap-2 text-sm" role="status">
+          <span>{t('update.available')}</span>
+          <div className="flex space-x-2">
+            <button className="px-3 py-1 bg-blue-500 text-white rounded hover:bg-blue-600 text-sm" onClick={applyUpdate}>
+              {t('update.reload')}
+            </button>
+            <button className="px-3 py-1 bg-gray-200 rounded hover:bg-gray-300 text-sm" onClick={dismissUpdate}>
+              {t('update.later')}
+            </button>
+          </div>
+        </div>
+      )}
 
       {loading ? (
-        <div className="flex justify-center items-center h-64 bg-white rounded shadow">
-          <div className="text-center">
+        <div className="flex justify-center items-center py-8 bg-white rounded shadow">
+          <div className="text-center w-full max-w-md">
             <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-gray-900 mb-2"></div>
-            <p className="text-lg">Processing your file...</p>
+            <p className="text-lg">{t('loading.processing')}</p>
+            {analysisProgress && (
+              <div className="mt-4 text-left">
+                {ANALYSIS_STAGES.map((stage, index) => {
+                  const currentIndex = ANALYSIS_STAGES.findIndex(s => s.key === analysisProgress.stage);
+                  const percent = index < currentIndex ? 100 : index === currentIndex ? analysisProgress.percent : 0;
+                  
+                  return (
+                    <div key={stage.key} className="mb-2">
+                      <div className={`flex justify-between text-sm ${index <= currentIndex ? 'text-gray-900' : 'text-gray-400'}`}>
+                        <span>{t(`stage.${stage.key}`)}</span>
+                        <span>{formatPercent(percent / 100, 0)}</span>
+                      </div>
+                      <div className="h-2 bg-gray-200 rounded overflow-hidden">
+                        <div className="h-2 bg-blue-500" style={{ width: `${percent}%` }}></div>
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+            <button
+              className="mt-3 px-4 py-2 bg-gray-200 rounded hover:bg-gray-300"
+              onClick={cancelAnalysis}
+            >
+              {t('common.cancel')}
+            </button>
           </div>
         </div>
       ) : error ? (
         <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
-          <p className="font-medium">Error:</p>
-          <p>{error}</p>
+          <p className="font-medium">{t('error.title')}:</p>
+          <p>{t(error)}</p>
           <button 
             className="mt-3 px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600"
             onClick={() => {
@@ -814,42 +2746,92 @@ const EmployeeDataVisualization = () => {
               setActiveTab('upload');
               setFile(null);
               setFileStructure(null);
+              setColumnMapping({});
               setData([]);
-              setStats({});
+              setAnalyzedData([]);
+              setManagerStats({});
+              setDataIssues([]);
+              setEditHistory(createEditHistory());
+              setComparison(null);
+              setSessionId(null);
             }}
           >
-            Try Again
+            {t('error.tryAgain')}
           </button>
         </div>
+      ) : fileStructure && data.length > 0 && reportGeneratedAt ? (
+        renderReport()
       ) : fileStructure && data.length > 0 ? (
         <div>
-          <div className="flex mb-4 border-b">
+          {sessionNotSaved && (
+            <div className="mb-4 flex items-center justify-between gap-2 bg-yellow-50 border border-yellow-300 rounded px-3 py-2 text-sm">
+              <span>{t('recent.notSaved')}</span>
+              <button className="px-3 py-1 bg-gray-200 rounded hover:bg-gray-300 text-sm" onClick={() => setSessionNotSaved(false)}>
+                {t('common.dismiss')}
+              </button>
+            </div>
+          )}
+          <div className="flex flex-wrap mb-4 border-b">
             <button 
               className={`py-2 px-4 font-medium ${activeTab === 'structure' ? 'border-b-2 border-blue-500 text-blue-500' : 'text-gray-500'}`}
               onClick={() => setActiveTab('structure')}
             >
-              File Structure
+              {t('tab.structure')}
             </button>
             <button 
               className={`py-2 px-4 font-medium ${activeTab === 'employees' ? 'border-b-2 border-blue-500 text-blue-500' : 'text-gray-500'}`}
               onClick={() => setActiveTab('employees')}
             >
-              Employees ({data.length})
+              {t('tab.employees', { count: formatNumber(activeData.length) })}
             </button>
             <button 
               className={`py-2 px-4 font-medium ${activeTab === 'statistics' ? 'border-b-2 border-blue-500 text-blue-500' : 'text-gray-500'}`}
               onClick={() => setActiveTab('statistics')}
             >
-              Statistics
+              {t('tab.statistics')}
+            </button>
+            <button 
+              className={`py-2 px-4 font-medium ${activeTab === 'trends' ? 'border-b-2 border-blue-500 text-blue-500' : 'text-gray-500'}`}
+              onClick={() => setActiveTab('trends')}
+            >
+              {t('tab.trends')}
+            </button>
+            <button 
+              className={`py-2 px-4 font-medium ${activeTab === 'tenure' ? 'border-b-2 border-blue-500 text-blue-500' : 'text-gray-500'}`}
+              onClick={() => setActiveTab('tenure')}
+            >
+              {t('tab.tenure')}
+            </button>
+            <button 
+              className={`py-2 px-4 font-medium ${activeTab === 'org' ? 'border-b-2 border-blue-500 text-blue-500' : 'text-gray-500'}`}
+              onClick={() => setActiveTab('org')}
+            >
+              {t('tab.org')}
+            </button>
+            <button 
+              className={`py-2 px-4 font-medium ${activeTab === 'comparison' ? 'border-b-2 border-blue-500 text-blue-500' : 'text-gray-500'}`}
+              onClick={() => setActiveTab('comparison')}
+            >
+              {t('tab.comparison')}{snapshotDiff ? ` (${formatNumber(snapshotChangeCount)})` : ''}
+            </button>
+            <button 
+              className={`py-2 px-4 font-medium ${activeTab === 'quality' ? 'border-b-2 border-blue-500 text-blue-500' : 'text-gray-500'}`}
+              onClick={() => setActiveTab('quality')}
+            >
+              {t('tab.quality')}{dataIssues.length ? ` (${formatNumber(dataIssues.length)})` : ''}
             </button>
             <button 
               className={`py-2 px-4 font-medium ${activeTab === 'deploy' ? 'border-b-2 border-blue-500 text-blue-500' : 'text-gray-500'}`}
               onClick={() => setActiveTab('deploy')}
             >
-              Deployment
+              {t('tab.deploy')}
             </button>
           </div>
 
+          {renderPseudonymControl()}
+
+          {(activeTab === 'employees' || activeTab === 'statistics' || activeTab === 'tenure' || activeTab === 'org') && renderReferenceDateControl()}
+
           {activeTab === 'structure' ? renderFileStructure() 
           : activeTab === 'employees' ? renderEmployeeTable() 
           : activeTab === 'statistics' ? (
@@ -857,13 +2839,17 @@ const EmployeeDataVisualization = () => {
               {renderHorizontalBarChart()}
               {renderStatisticsTab()}
             </>
-          ) : renderDeploymentInstructions()}
+          ) : activeTab === 'trends' ? renderTrendsTab()
+          : activeTab === 'tenure' ? renderTenureTab()
+          : activeTab === 'org' ? renderOrgTab()
+          : activeTab === 'comparison' ? renderComparisonTab()
+          : activeTab === 'quality' ? renderDataQualityTab()
+          : renderDeploymentInstructions()}
 
-          {activeTab !== 'deploy' && activeTab !== 'structure' && (
+          {(activeTab === 'employees' || activeTab === 'statistics') && (
             <div className="mt-4 bg-gray-100 p-3 rounded text-sm">
               <p>
-                <span className="font-medium">Note:</span> Employees who won't participate are highlighted in red.
-                Part-time percentages have been fixed and properly displayed.
+                <span className="font-medium">{t('common.note')}:</span> {t('employees.highlightNote')}
               </p>
             </div>
           )}
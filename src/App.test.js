@@ -1,8 +1,8 @@
 import { render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+test('asks for an Excel file to analyze', () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(screen.getByText(/drag & drop your excel file here/i)).toBeInTheDocument();
+  expect(screen.getByText('Browse Files')).toBeInTheDocument();
 });
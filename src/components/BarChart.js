@@ -0,0 +1,188 @@
+import React, { useState } from 'react';
+import { createLocale } from '../lib/i18n';
+import { getAxisTicks, layoutCategoryLabels } from '../lib/chartLayout';
+
+const WIDTH = 400;
+const PADDING = { top: 16, left: 48, right: 8 };
+const PLOT_HEIGHT = 200;
+const LINE_HEIGHT = 12;
+const CHAR_WIDTH = 6;
+const LABEL_ANGLE = 40;
+
+// Bars per category, stacked when there are several series, on a value axis
+// that scales to the largest bar, and reaches at least maxValue when set. Long category labels are wrapped or, when
+// they don't fit, rotated. Hovering a bar shows its exact values and, with
+// share set, their percentage: of the series total over all bars ('total')
+// or of the bar itself ('stack'). With onSelect, clicking a bar calls it with
+// its item and, when a segment was clicked, the key of that series.
+const BarChart = ({
+  data,
+  series,
+  formatValue,
+  formatAxisValue = formatValue,
+  share = null,
+  maxValue = null,
+  integer = false,
+  onSelect = null,
+  i18n = createLocale()
+}) => {
+  const [hoverIndex, setHoverIndex] = useState(null);
+  const { t, formatPercent } = i18n;
+
+  if (!data.length) {
+    return <p className="text-sm text-gray-500">{t('charts.noData')}</p>;
+  }
+
+  const barTotal = (item) => series.reduce((sum, { key }) => sum + (item.values[key] || 0), 0);
+  const seriesTotals = {};
+  series.forEach(({ key }) => {
+    seriesTotals[key] = data.reduce((sum, item) => sum + (item.values[key] || 0), 0);
+  });
+
+  const ticks = getAxisTicks(Math.max(maxValue || 0, ...data.map(barTotal)), { integer });
+  const axisMax = ticks[ticks.length - 1];
+  const valueY = (value) => PADDING.top + PLOT_HEIGHT - (value / axisMax) * PLOT_HEIGHT;
+
+  const slot = (WIDTH - PADDING.left - PADDING.right) / data.length;
+  const centerX = (index) => PADDING.left + slot * index + slot / 2;
+  const barWidth = Math.min(slot * 0.6, 48);
+
+  const labels = layoutCategoryLabels(data.map(item => item.label), slot, { charWidth: CHAR_WIDTH });
+  const longestLabel = Math.max(...labels.lines.map(lines => Math.max(...lines.map(line => line.length))));
+  const labelHeight = labels.rotated
+    ? longestLabel * CHAR_WIDTH * Math.sin((LABEL_ANGLE * Math.PI) / 180) + LINE_HEIGHT
+    : Math.max(...labels.lines.map(lines => lines.length)) * LINE_HEIGHT;
+  const baseline = PADDING.top + PLOT_HEIGHT;
+  const height = baseline + labelHeight + 8;
+
+  const getShare = (item, key) => {
+    const whole = share === 'total' ? seriesTotals[key] : barTotal(item);
+    return whole ? (item.values[key] || 0) / whole : 0;
+  };
+  const hovered = hoverIndex === null ? null : data[hoverIndex];
+
+  return (
+    <div className="relative">
+      <svg width="100%" viewBox={`0 0 ${WIDTH} ${height}`} onMouseLeave={() => setHoverIndex(null)}>
+        {/* Gridlines and value axis */}
+        {ticks.map(tick => (
+          <g key={`tick-${tick}`}>
+            <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={valueY(tick)} y2={valueY(tick)} stroke="#e5e7eb" />
+            <text x={PADDING.left - 6} y={valueY(tick)} textAnchor="end" dominantBaseline="middle" fontSize="11" fill="#6b7280">
+              {formatAxisValue(tick)}
+            </text>
+          </g>
+        ))}
+        <line x1={PADDING.left} x2={PADDING.left} y1={PADDING.top} y2={baseline} stroke="#9ca3af" />
+
+        {hoverIndex !== null && (
+          <rect x={PADDING.left + slot * hoverIndex} y={PADDING.top} width={slot} height={PLOT_HEIGHT} fill="#f3f4f6" />
+        )}
+
+        {/* Hover targets spanning the plot, below the bars so that a click
+            on a segment reaches the segment */}
+        {data.map((item, index) => (
+          <rect
+            key={`hover-${index}`}
+            x={PADDING.left + slot * index}
+            y={0}
+            width={slot}
+            height={baseline}
+            fill="transparent"
+            cursor={onSelect ? 'pointer' : undefined}
+            onMouseEnter={() => setHoverIndex(index)}
+            onClick={onSelect ? () => onSelect(item, null) : undefined}
+          />
+        ))}
+
+        {data.map((item, index) => {
+          let top = 0;
+          return (
+            <g key={`bar-${index}`}>
+              {series.map(({ key, color }) => {
+                const value = item.values[key] || 0;
+                top += value;
+                return value > 0 ? (
+                  <rect
+                    key={key}
+                    x={centerX(index) - barWidth / 2}
+                    y={valueY(top)}
+                    width={barWidth}
+                    height={valueY(top - value) - valueY(top)}
+                    fill={color}
+                    cursor={onSelect ? 'pointer' : undefined}
+                    onMouseEnter={() => setHoverIndex(index)}
+                    onClick={onSelect ? () => onSelect(item, key) : undefined}
+                  />
+                ) : null;
+              })}
+              {slot >= 28 && (
+                <text x={centerX(index)} y={valueY(barTotal(item)) - 4} textAnchor="middle" fontSize="10" fill="#374151" pointerEvents="none">
+                  {formatValue(barTotal(item))}
+                </text>
+              )}
+            </g>
+          );
+        })}
+
+        {/* Category labels, with the full label as title */}
+        {data.map((item, index) => (labels.rotated ? (
+          <text
+            key={`label-${index}`}
+            x={centerX(index)}
+            y={baseline + LINE_HEIGHT}
+            transform={`rotate(-${LABEL_ANGLE} ${centerX(index)} ${baseline + LINE_HEIGHT})`}
+            textAnchor="end"
+            fontSize="11"
+            fill="#374151"
+          >
+            <title>{item.label}</title>
+            {labels.lines[index][0]}
+          </text>
+        ) : (
+          <text key={`label-${index}`} x={centerX(index)} y={baseline + LINE_HEIGHT} textAnchor="middle" fontSize="11" fill="#374151">
+            <title>{item.label}</title>
+            {labels.lines[index].map((line, lineIndex) => (
+              <tspan key={lineIndex} x={centerX(index)} dy={lineIndex === 0 ? 0 : LINE_HEIGHT}>{line}</tspan>
+            ))}
+          </text>
+        )))}
+      </svg>
+
+      {hovered && (
+        <div
+          className="absolute top-0 bg-white border rounded shadow px-3 py-2 text-sm pointer-events-none z-10"
+          style={{
+            left: `${(centerX(hoverIndex) / WIDTH) * 100}%`,
+            transform: hoverIndex >= data.length / 2 ? 'translateX(-105%)' : 'translateX(5%)'
+          }}
+        >
+          <div className="font-medium mb-1">{hovered.label}</div>
+          {series.map(({ key, label, color }) => (
+            <div key={key} className="flex items-center whitespace-nowrap">
+              <div className="w-3 h-3 mr-2" style={{ backgroundColor: color }}></div>
+              <span>
+                {label}: {formatValue(hovered.values[key] || 0)}
+                {share && ` (${formatPercent(getShare(hovered, key))})`}
+              </span>
+            </div>
+          ))}
+          {onSelect && <div className="mt-1 text-xs text-gray-500">{t('drillDown.hint')}</div>}
+        </div>
+      )}
+
+      {series.length > 1 && (
+        <div className="flex items-center justify-center mt-2 space-x-4 text-sm">
+          {series.map(({ key, label, color }) => (
+            <div key={key} className="flex items-center">
+              <div className="w-4 h-4 mr-2" style={{ backgroundColor: color }}></div>
+              <span>{label}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BarChart;
@@ -0,0 +1,63 @@
+import React, { useState, useEffect, useRef } from 'react';
+
+// Dropdown with a checkbox per option; an empty selection means "all".
+// formatOption turns an option into the text shown next to its checkbox.
+const MultiSelectFilter = ({ label, options, selected, onChange, formatOption = option => option, clearLabel = 'Clear' }) => {
+  const [open, setOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  // Close the dropdown when clicking anywhere else
+  useEffect(() => {
+    if (!open) return undefined;
+
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const toggleOption = (option) => {
+    onChange(selected.includes(option)
+      ? selected.filter(value => value !== option)
+      : [...selected, option]);
+  };
+
+  return (
+    <div className="relative" ref={containerRef}>
+      <button
+        className={`px-3 py-1 border rounded text-sm ${selected.length ? 'bg-blue-100 border-blue-400' : 'bg-white'}`}
+        onClick={() => setOpen(!open)}
+      >
+        {label}{selected.length > 0 && ` (${selected.length})`} ▾
+      </button>
+      {open && (
+        <div className="absolute z-20 mt-1 bg-white border rounded shadow p-2 max-h-64 overflow-y-auto" style={{ minWidth: '12rem' }}>
+          {options.map(option => (
+            <label key={option} className="flex items-center text-sm py-1 whitespace-nowrap">
+              <input
+                type="checkbox"
+                className="mr-2"
+                checked={selected.includes(option)}
+                onChange={() => toggleOption(option)}
+              />
+              {formatOption(option)}
+            </label>
+          ))}
+          {selected.length > 0 && (
+            <button
+              className="mt-1 text-xs text-blue-600 hover:underline"
+              onClick={() => onChange([])}
+            >
+              {clearLabel}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MultiSelectFilter;
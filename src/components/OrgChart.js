@@ -0,0 +1,101 @@
+import React, { useState } from 'react';
+import { createLocale } from '../lib/i18n';
+
+const collectKeys = (nodes, keys = []) => {
+  nodes.forEach(node => {
+    if (node.children.length) {
+      keys.push(node.key);
+      collectKeys(node.children, keys);
+    }
+  });
+  return keys;
+};
+
+// Collapsible reporting tree from buildOrgTree(). Every manager shows the
+// roll-up of the people below it; the top level starts expanded.
+const OrgChart = ({ roots, i18n = createLocale() }) => {
+  const [expanded, setExpanded] = useState(() => new Set(roots.map(node => node.key)));
+  const { t, formatNumber } = i18n;
+
+  const toggle = (key) => {
+    setExpanded(current => {
+      const next = new Set(current);
+      if (next.has(key)) {
+        next.delete(key);
+      } else {
+        next.add(key);
+      }
+      return next;
+    });
+  };
+
+  const renderNode = (node, depth) => {
+    const isOpen = expanded.has(node.key);
+
+    return (
+      <li key={node.key}>
+        <div
+          className={`flex flex-wrap items-center gap-2 py-1 pr-2 border-b text-sm ${node.missing ? 'bg-yellow-50' : ''}`}
+          style={{ paddingLeft: `${depth * 1.5 + 0.5}rem` }}
+        >
+          {node.children.length ? (
+            <button
+              className="w-5 text-gray-500 hover:text-gray-800"
+              onClick={() => toggle(node.key)}
+              aria-label={t(isOpen ? 'org.collapse' : 'org.expand', { name: node.name })}
+            >
+              {isOpen ? '▾' : '▸'}
+            </button>
+          ) : (
+            <span className="w-5"></span>
+          )}
+          <span className="font-medium">{node.name || t('report.noName')}</span>
+          {node.employee && node.employee.function && (
+            <span className="text-gray-500">{node.employee.function}</span>
+          )}
+          {node.missing && (
+            <span className="px-2 rounded bg-yellow-200 text-xs">{t('org.notInRoster')}</span>
+          )}
+          {node.inCycle && (
+            <span className="px-2 rounded bg-red-200 text-xs">{t('org.inCycle')}</span>
+          )}
+          {node.children.length > 0 && (
+            <span className="ml-auto flex flex-wrap gap-3 text-gray-600">
+              <span>{t('org.direct')}: {formatNumber(node.directReports)}</span>
+              <span>{t('common.total')}: {formatNumber(node.totalReports)}</span>
+              <span className="text-green-600">{t('status.present')}: {formatNumber(node.present)}</span>
+              <span className="text-red-600">{t('status.absent')}: {formatNumber(node.absent)}</span>
+              {node.unknown > 0 && <span className="text-yellow-600">{t('status.unknown')}: {formatNumber(node.unknown)}</span>}
+              <span>{t('metric.fte')}: {formatNumber(node.fte, 1)}</span>
+            </span>
+          )}
+        </div>
+        {isOpen && node.children.length > 0 && (
+          <ul>{node.children.map(child => renderNode(child, depth + 1))}</ul>
+        )}
+      </li>
+    );
+  };
+
+  return (
+    <div className="bg-white rounded shadow">
+      <div className="flex justify-end space-x-2 p-2 border-b text-sm">
+        <button
+          className="px-2 py-1 bg-gray-200 rounded hover:bg-gray-300"
+          onClick={() => setExpanded(new Set(collectKeys(roots)))}
+        >
+          {t('org.expandAll')}
+        </button>
+        <button
+          className="px-2 py-1 bg-gray-200 rounded hover:bg-gray-300"
+          onClick={() => setExpanded(new Set())}
+        >
+          {t('org.collapseAll')}
+        </button>
+      </div>
+      <ul>{roots.map(node => renderNode(node, 0))}</ul>
+    </div>
+  );
+};
+
+export default OrgChart;
@@ -0,0 +1,133 @@
+import React, { useState } from 'react';
+import { createLocale } from '../lib/i18n';
+import { CHART_COLORS } from '../lib/chartColors';
+
+const SIZE = 200;
+const CENTER = SIZE / 2;
+const RADIUS = 95;
+
+const pointAt = (angle, radius) => ({
+  x: CENTER + radius * Math.cos(angle),
+  y: CENTER + radius * Math.sin(angle)
+});
+
+// Share of every category as a slice, with a legend beside it. Slices of more
+// than 5% show their percentage; hovering a slice or its legend entry shows
+// the exact value and percentage. With onSelect, clicking a slice or legend
+// entry calls it with its item.
+const PieChart = ({ data, formatValue, colors = CHART_COLORS, onSelect = null, i18n = createLocale() }) => {
+  const [hoverIndex, setHoverIndex] = useState(null);
+  const { t, formatPercent } = i18n;
+
+  const total = data.reduce((sum, item) => sum + item.value, 0);
+  if (!data.length || total <= 0) {
+    return <p className="text-sm text-gray-500">{t('charts.noData')}</p>;
+  }
+
+  let startAngle = -Math.PI / 2;
+  const slices = data.map((item, index) => {
+    const share = item.value / total;
+    const endAngle = startAngle + share * 2 * Math.PI;
+    const start = pointAt(startAngle, RADIUS);
+    const end = pointAt(endAngle, RADIUS);
+    const slice = {
+      ...item,
+      share,
+      color: colors[index % colors.length],
+      // A single category fills the circle, which an arc can't draw
+      path: share >= 1 ? null : [
+        `M ${CENTER},${CENTER}`,
+        `L ${start.x},${start.y}`,
+        `A ${RADIUS},${RADIUS} 0 ${share > 0.5 ? 1 : 0} 1 ${end.x},${end.y}`,
+        'Z'
+      ].join(' '),
+      labelPoint: share >= 1 ? { x: CENTER, y: CENTER } : pointAt((startAngle + endAngle) / 2, RADIUS * 0.65)
+    };
+    startAngle = endAngle;
+    return slice;
+  });
+  const hovered = hoverIndex === null ? null : slices[hoverIndex];
+
+  return (
+    <div className="flex flex-col sm:flex-row items-center sm:items-start gap-4">
+      <div className="relative w-48 h-48 flex-shrink-0">
+        <svg width="100%" height="100%" viewBox={`0 0 ${SIZE} ${SIZE}`} onMouseLeave={() => setHoverIndex(null)}>
+          {slices.map((slice, index) => (slice.value > 0 ? (
+            slice.path ? (
+              <path
+                key={`slice-${index}`}
+                d={slice.path}
+                fill={slice.color}
+                stroke="#fff"
+                strokeWidth="1"
+                opacity={hoverIndex === null || hoverIndex === index ? 1 : 0.6}
+                cursor={onSelect ? 'pointer' : undefined}
+                onMouseEnter={() => setHoverIndex(index)}
+                onClick={onSelect ? () => onSelect(data[index]) : undefined}
+              />
+            ) : (
+              <circle
+                key={`slice-${index}`}
+                cx={CENTER}
+                cy={CENTER}
+                r={RADIUS}
+                fill={slice.color}
+                cursor={onSelect ? 'pointer' : undefined}
+                onMouseEnter={() => setHoverIndex(index)}
+                onClick={onSelect ? () => onSelect(data[index]) : undefined}
+              />
+            )
+          ) : null))}
+          {slices.map((slice, index) => (slice.share > 0.05 ? (
+            <text
+              key={`label-${index}`}
+              x={slice.labelPoint.x}
+              y={slice.labelPoint.y}
+              textAnchor="middle"
+              dominantBaseline="middle"
+              fill="#fff"
+              fontWeight="bold"
+              fontSize="12"
+              pointerEvents="none"
+            >
+              {formatPercent(slice.share, 0)}
+            </text>
+          ) : null))}
+        </svg>
+
+        {hovered && (
+          <div
+            className="absolute bg-white border rounded shadow px-3 py-2 text-sm pointer-events-none whitespace-nowrap z-10"
+            style={{
+              left: `${(hovered.labelPoint.x / SIZE) * 100}%`,
+              top: `${(hovered.labelPoint.y / SIZE) * 100}%`,
+              transform: hovered.labelPoint.x > CENTER ? 'translateX(-105%)' : 'translateX(5%)'
+            }}
+          >
+            <div className="font-medium">{hovered.label}</div>
+            <div>{formatValue(hovered.value)} ({formatPercent(hovered.share)})</div>
+            {onSelect && <div className="mt-1 text-xs text-gray-500">{t('drillDown.hint')}</div>}
+          </div>
+        )}
+      </div>
+
+      <ul className="text-sm space-y-1 max-h-48 overflow-y-auto min-w-0">
+        {slices.map((slice, index) => (
+          <li
+            key={`legend-${index}`}
+            className={`flex items-center ${hoverIndex === index ? 'font-medium' : ''} ${onSelect ? 'cursor-pointer' : ''}`}
+            onMouseEnter={() => setHoverIndex(index)}
+            onMouseLeave={() => setHoverIndex(null)}
+            onClick={onSelect ? () => onSelect(data[index]) : undefined}
+          >
+            <div className="w-3 h-3 mr-2 flex-shrink-0" style={{ backgroundColor: slice.color }}></div>
+            <span className="truncate" title={slice.label}>{slice.label}</span>
+            <span className="ml-2 text-gray-600 whitespace-nowrap">{formatValue(slice.value)}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default PieChart;
@@ -0,0 +1,163 @@
+import React, { useState } from 'react';
+import { createLocale } from '../lib/i18n';
+import { parseMonthKey } from '../lib/trends';
+import { niceStep } from '../lib/chartLayout';
+
+const WIDTH = 800;
+const PADDING = { left: 50, right: 20 };
+const LINE_TOP = 10;
+const LINE_HEIGHT = 170;
+const BAR_TOP = 210;
+const BAR_HEIGHT = 80;
+const LABEL_Y = 310;
+const HEIGHT = 320;
+const TICKS = 4;
+
+// Monthly headcount (or FTE) as a line, with joiners and leavers as bars
+// below it. Hovering a month shows its exact numbers.
+const TrendChart = ({ months, values, metric = 'headcount', i18n = createLocale() }) => {
+  const [hoverIndex, setHoverIndex] = useState(null);
+  const { t, formatNumber } = i18n;
+
+  if (!months.length) {
+    return <p className="text-sm text-gray-500">{t('trends.noMonths')}</p>;
+  }
+
+  const metricKey = metric === 'fte' ? 'fte' : 'headcount';
+  const formatValue = (value) => (metric === 'fte' ? formatNumber(value, 1) : formatNumber(value));
+  const formatMonth = (key) => i18n.formatShortMonth(parseMonthKey(key));
+
+  const slot = (WIDTH - PADDING.left - PADDING.right) / months.length;
+  const centerX = (index) => PADDING.left + slot * index + slot / 2;
+
+  const lineStep = niceStep(Math.max(...values.map(value => value[metricKey])), TICKS);
+  const lineMax = lineStep * TICKS;
+  const lineY = (value) => LINE_TOP + LINE_HEIGHT - (value / lineMax) * LINE_HEIGHT;
+
+  const barStep = niceStep(Math.max(...values.map(value => Math.max(value.joiners, value.leavers))), TICKS);
+  const barMax = barStep * TICKS;
+  const barWidth = Math.min(slot * 0.35, 16);
+  const barLength = (value) => (value / barMax) * BAR_HEIGHT;
+
+  const labelEvery = Math.ceil(months.length / 12);
+  const hovered = hoverIndex === null ? null : values[hoverIndex];
+
+  return (
+    <div className="relative">
+      <svg width="100%" viewBox={`0 0 ${WIDTH} ${HEIGHT}`} onMouseLeave={() => setHoverIndex(null)}>
+        {/* Gridlines and axis labels */}
+        {Array.from({ length: TICKS + 1 }, (_, tick) => (
+          <g key={`line-tick-${tick}`}>
+            <line
+              x1={PADDING.left} x2={WIDTH - PADDING.right}
+              y1={lineY(tick * lineStep)} y2={lineY(tick * lineStep)}
+              stroke="#e5e7eb"
+            />
+            <text x={PADDING.left - 6} y={lineY(tick * lineStep)} textAnchor="end" dominantBaseline="middle" fontSize="11" fill="#6b7280">
+              {formatValue(tick * lineStep)}
+            </text>
+          </g>
+        ))}
+        {[0, barMax].map(value => (
+          <g key={`bar-tick-${value}`}>
+            <line
+              x1={PADDING.left} x2={WIDTH - PADDING.right}
+              y1={BAR_TOP + BAR_HEIGHT - barLength(value)} y2={BAR_TOP + BAR_HEIGHT - barLength(value)}
+              stroke="#e5e7eb"
+            />
+            <text x={PADDING.left - 6} y={BAR_TOP + BAR_HEIGHT - barLength(value)} textAnchor="end" dominantBaseline="middle" fontSize="11" fill="#6b7280">
+              {formatNumber(value)}
+            </text>
+          </g>
+        ))}
+
+        {hoverIndex !== null && (
+          <rect x={PADDING.left + slot * hoverIndex} y={LINE_TOP} width={slot} height={BAR_TOP + BAR_HEIGHT - LINE_TOP} fill="#f3f4f6" />
+        )}
+
+        {/* Headcount or FTE line */}
+        <polyline
+          points={values.map((value, index) => `${centerX(index)},${lineY(value[metricKey])}`).join(' ')}
+          fill="none"
+          stroke="#3b82f6"
+          strokeWidth="2"
+        />
+        {values.map((value, index) => (
+          <circle key={`point-${index}`} cx={centerX(index)} cy={lineY(value[metricKey])} r={hoverIndex === index ? 5 : 3} fill="#3b82f6" />
+        ))}
+
+        {/* Joiners and leavers */}
+        {values.map((value, index) => (
+          <g key={`bars-${index}`}>
+            <rect
+              x={centerX(index) - barWidth}
+              y={BAR_TOP + BAR_HEIGHT - barLength(value.joiners)}
+              width={barWidth}
+              height={barLength(value.joiners)}
+              fill="#10b981"
+            />
+            <rect
+              x={centerX(index)}
+              y={BAR_TOP + BAR_HEIGHT - barLength(value.leavers)}
+              width={barWidth}
+              height={barLength(value.leavers)}
+              fill="#ef4444"
+            />
+          </g>
+        ))}
+
+        {months.map((month, index) => (index % labelEvery === 0 ? (
+          <text key={`label-${month}`} x={centerX(index)} y={LABEL_Y} textAnchor="middle" fontSize="11" fill="#374151">
+            {formatMonth(month)}
+          </text>
+        ) : null))}
+
+        {/* Hover targets spanning both charts */}
+        {months.map((month, index) => (
+          <rect
+            key={`hover-${month}`}
+            x={PADDING.left + slot * index}
+            y={0}
+            width={slot}
+            height={HEIGHT}
+            fill="transparent"
+            onMouseEnter={() => setHoverIndex(index)}
+          />
+        ))}
+      </svg>
+
+      {hovered && (
+        <div
+          className="absolute top-0 bg-white border rounded shadow px-3 py-2 text-sm pointer-events-none"
+          style={{
+            left: `${(centerX(hoverIndex) / WIDTH) * 100}%`,
+            transform: hoverIndex > months.length / 2 ? 'translateX(-105%)' : 'translateX(5%)'
+          }}
+        >
+          <div className="font-medium mb-1">{formatMonth(months[hoverIndex])}</div>
+          <div>{t('metric.headcount')}: {formatNumber(hovered.headcount)}</div>
+          <div>{t('metric.fte')}: {formatNumber(hovered.fte, 1)}</div>
+          <div className="text-green-600">{t('trends.joiners')}: {formatNumber(hovered.joiners)}</div>
+          <div className="text-red-600">{t('trends.leavers')}: {formatNumber(hovered.leavers)}</div>
+        </div>
+      )}
+
+      <div className="flex items-center justify-center mt-2 space-x-4 text-sm">
+        <div className="flex items-center">
+          <div className="w-4 h-1 bg-blue-500 mr-2"></div>
+          <span>{t('trends.atMonthEnd', { metric: t(`metric.${metricKey}`) })}</span>
+        </div>
+        <div className="flex items-center">
+          <div className="w-4 h-4 bg-green-500 mr-2"></div>
+          <span>{t('trends.joiners')}</span>
+        </div>
+        <div className="flex items-center">
+          <div className="w-4 h-4 bg-red-500 mr-2"></div>
+          <span>{t('trends.leavers')}</span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TrendChart;
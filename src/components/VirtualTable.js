@@ -0,0 +1,76 @@
+import React, { useState, useRef, useEffect, useCallback } from 'react';
+import { getVisibleRange, getScrollTop } from '../lib/virtualWindow';
+
+// Table that only mounts the rows inside its scroll window. Rows must have a
+// fixed height; spacer rows stand in for everything outside the window. The
+// header stays visible while scrolling.
+const VirtualTable = ({ header, rowCount, rowHeight, height, columnCount, renderRow, resetKey }) => {
+  const containerRef = useRef(null);
+  const frameRef = useRef(null);
+  const [scroll, setScroll] = useState({ scrollTop: 0, resetKey });
+
+  // Batch scroll updates to one per animation frame
+  const handleScroll = useCallback(() => {
+    if (frameRef.current !== null) return;
+    frameRef.current = requestAnimationFrame(() => {
+      frameRef.current = null;
+      if (containerRef.current) {
+        setScroll({ scrollTop: containerRef.current.scrollTop, resetKey });
+      }
+    });
+  }, [resetKey]);
+
+  useEffect(() => () => {
+    if (frameRef.current !== null) cancelAnimationFrame(frameRef.current);
+  }, []);
+
+  // Jump back to the top when the rows are filtered or sorted differently
+  useEffect(() => {
+    if (containerRef.current) {
+      containerRef.current.scrollTop = 0;
+    }
+    setScroll({ scrollTop: 0, resetKey });
+  }, [resetKey]);
+
+  const { start, end, topHeight, bottomHeight } = getVisibleRange({
+    scrollTop: getScrollTop(scroll, resetKey),
+    rowCount,
+    rowHeight,
+    height
+  });
+
+  const rows = [];
+  for (let index = start; index < end; index++) {
+    rows.push(renderRow(index));
+  }
+
+  return (
+    <div
+      ref={containerRef}
+      className="overflow-auto border"
+      style={{ height: Math.min(height, (rowCount + 1) * rowHeight + 2) }}
+      onScroll={handleScroll}
+    >
+      <table className="min-w-full bg-white table-fixed">
+        <thead className="bg-gray-100 sticky top-0 z-10">
+          {header}
+        </thead>
+        <tbody>
+          {topHeight > 0 && (
+            <tr style={{ height: topHeight }}>
+              <td colSpan={columnCount} className="p-0" />
+            </tr>
+          )}
+          {rows}
+          {bottomHeight > 0 && (
+            <tr style={{ height: bottomHeight }}>
+              <td colSpan={columnCount} className="p-0" />
+            </tr>
+          )}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default VirtualTable;
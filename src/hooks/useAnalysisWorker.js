@@ -0,0 +1,91 @@
+import { useState, useCallback, useEffect, useRef } from 'react';
+import createAnalysisWorker from '../workers/createAnalysisWorker';
+
+// Stages reported by the analysis worker, in order
+export const ANALYSIS_STAGES = [
+  { key: 'read', label: 'Reading file' },
+  { key: 'parse', label: 'Parsing workbook' },
+  { key: 'transform', label: 'Transforming rows' },
+  { key: 'aggregate', label: 'Calculating statistics' }
+];
+
+const createCancelledError = (replaced) => {
+  const error = new Error(replaced ? 'Replaced by a newer task' : 'Cancelled');
+  error.cancelled = true;
+  error.replaced = replaced;
+  return error;
+};
+
+// Run workbook parsing and aggregation in a web worker. run() returns a
+// promise for the result; cancel() terminates the worker and rejects the
+// running task with an error that has `cancelled` set. Only the latest task
+// runs to the end: a new run() rejects the previous task the same way, with
+// `replaced` set as well, and the worker's reply to it is ignored.
+const useAnalysisWorker = () => {
+  const workerRef = useRef(null);
+  const taskRef = useRef(null);
+  const nextIdRef = useRef(0);
+  const [progress, setProgress] = useState(null);
+
+  const getWorker = useCallback(() => {
+    if (!workerRef.current) {
+      const worker = createAnalysisWorker();
+      worker.onmessage = (e) => {
+        const { id, type } = e.data;
+        const task = taskRef.current;
+        if (!task || task.id !== id) return;
+
+        if (type === 'progress') {
+          setProgress({ stage: e.data.stage, percent: e.data.percent });
+        } else {
+          taskRef.current = null;
+          setProgress(null);
+          if (type === 'result') {
+            task.resolve(e.data.result);
+          } else {
+            task.reject(new Error(e.data.message));
+          }
+        }
+      };
+      workerRef.current = worker;
+    }
+    return workerRef.current;
+  }, []);
+
+  const run = useCallback((type, payload) => new Promise((resolve, reject) => {
+    const id = ++nextIdRef.current;
+    const previous = taskRef.current;
+    taskRef.current = { id, resolve, reject };
+    if (previous) {
+      previous.reject(createCancelledError(true));
+    }
+    setProgress({ stage: type === 'analyze' ? 'transform' : 'read', percent: 0 });
+    getWorker().postMessage({ ...payload, id, type });
+  }), [getWorker]);
+
+  const cancel = useCallback(() => {
+    if (workerRef.current) {
+      workerRef.current.terminate();
+      workerRef.current = null;
+    }
+
+    const task = taskRef.current;
+    taskRef.current = null;
+    setProgress(null);
+    if (task) {
+      task.reject(createCancelledError(false));
+    }
+  }, []);
+
+  // Stop the worker when the component unmounts
+  useEffect(() => () => {
+    if (workerRef.current) {
+      workerRef.current.terminate();
+      workerRef.current = null;
+    }
+  }, []);
+
+  return { run, cancel, progress };
+};
+
+export default useAnalysisWorker;
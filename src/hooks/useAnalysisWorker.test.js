@@ -0,0 +1,90 @@
+import { renderHook, act } from '@testing-library/react';
+import createAnalysisWorker from '../workers/createAnalysisWorker';
+import useAnalysisWorker from './useAnalysisWorker';
+
+// A worker that replies only when the test tells it to
+jest.mock('../workers/createAnalysisWorker', () => jest.fn());
+
+let workers;
+beforeEach(() => {
+  workers = [];
+  createAnalysisWorker.mockImplementation(() => {
+    const worker = { onmessage: null, messages: [], postMessage: jest.fn(message => worker.messages.push(message)), terminate: jest.fn() };
+    workers.push(worker);
+    return worker;
+  });
+});
+
+const reply = (worker, data) => act(() => {
+  worker.onmessage({ data });
+});
+
+test('resolves a task with its result and reports progress', async () => {
+  const { result } = renderHook(() => useAnalysisWorker());
+  let task;
+  act(() => {
+    task = result.current.run('open', { file: 'staff.xlsx' });
+  });
+  const { id } = workers[0].messages[0];
+
+  expect(workers[0].messages[0]).toEqual({ file: 'staff.xlsx', id, type: 'open' });
+  expect(result.current.progress).toEqual({ stage: 'read', percent: 0 });
+  reply(workers[0], { id, type: 'progress', stage: 'parse', percent: 40 });
+  expect(result.current.progress).toEqual({ stage: 'parse', percent: 40 });
+  reply(workers[0], { id, type: 'result', result: 'done' });
+
+  await expect(task).resolves.toBe('done');
+  expect(result.current.progress).toBeNull();
+});
+
+test('rejects the previous task when a new one starts and ignores its reply', async () => {
+  const { result } = renderHook(() => useAnalysisWorker());
+  let first;
+  let second;
+  act(() => {
+    first = result.current.run('open', { file: 'a.xlsx' });
+  });
+  act(() => {
+    second = result.current.run('compare', { file: 'b.xlsx' });
+  });
+  const [firstMessage, secondMessage] = workers[0].messages;
+
+  await expect(first).rejects.toMatchObject({ cancelled: true, replaced: true });
+  reply(workers[0], { id: firstMessage.id, type: 'result', result: 'a' });
+  expect(result.current.progress).toEqual({ stage: 'read', percent: 0 });
+  reply(workers[0], { id: secondMessage.id, type: 'result', result: 'b' });
+  await expect(second).resolves.toBe('b');
+  expect(workers).toHaveLength(1);
+});
+
+test('cancels the running task by stopping the worker', async () => {
+  const { result } = renderHook(() => useAnalysisWorker());
+  let task;
+  act(() => {
+    task = result.current.run('open', { file: 'staff.xlsx' });
+  });
+  act(() => {
+    result.current.cancel();
+  });
+
+  await expect(task).rejects.toMatchObject({ cancelled: true, replaced: false });
+  expect(workers[0].terminate).toHaveBeenCalled();
+  expect(result.current.progress).toBeNull();
+
+  act(() => {
+    result.current.run('analyze', { file: 'staff.xlsx' });
+  });
+  expect(workers).toHaveLength(2);
+  expect(result.current.progress).toEqual({ stage: 'transform', percent: 0 });
+});
+
+test('rejects a task the worker could not finish', async () => {
+  const { result } = renderHook(() => useAnalysisWorker());
+  let task;
+  act(() => {
+    task = result.current.run('open', { file: 'staff.xlsx' });
+  });
+  reply(workers[0], { id: workers[0].messages[0].id, type: 'error', message: 'Error reading file.' });
+
+  await expect(task).rejects.toThrow('Error reading file.');
+});
@@ -0,0 +1,20 @@
+import { useState, useEffect, useCallback } from 'react';
+import { getWaitingWorker, subscribeToUpdates, applyUpdate } from '../serviceWorkerRegistration';
+
+// Whether a new version of the app has been installed and waits for a reload.
+// The notice can be dismissed until the next version arrives.
+const useAppUpdate = () => {
+  const [waitingWorker, setWaitingWorker] = useState(getWaitingWorker);
+  const [dismissed, setDismissed] = useState(false);
+
+  useEffect(() => subscribeToUpdates(worker => {
+    setWaitingWorker(worker);
+    setDismissed(false);
+  }), []);
+
+  const dismissUpdate = useCallback(() => setDismissed(true), []);
+
+  return { updateAvailable: Boolean(waitingWorker) && !dismissed, applyUpdate, dismissUpdate };
+};
+
+export default useAppUpdate;
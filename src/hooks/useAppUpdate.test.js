@@ -0,0 +1,57 @@
+import { renderHook, act } from '@testing-library/react';
+import { getWaitingWorker, applyUpdate } from '../serviceWorkerRegistration';
+import useAppUpdate from './useAppUpdate';
+
+// Updates are announced by the test through notifyUpdate()
+jest.mock('../serviceWorkerRegistration', () => {
+  const listeners = new Set();
+  return {
+    getWaitingWorker: jest.fn(() => null),
+    subscribeToUpdates: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    applyUpdate: jest.fn(),
+    notifyUpdate: (worker) => listeners.forEach(listener => listener(worker))
+  };
+});
+
+const { notifyUpdate } = jest.requireMock('../serviceWorkerRegistration');
+
+beforeEach(() => {
+  getWaitingWorker.mockReturnValue(null);
+});
+
+test('offers an update once a new version is waiting', () => {
+  const { result } = renderHook(() => useAppUpdate());
+
+  expect(result.current.updateAvailable).toBe(false);
+  act(() => notifyUpdate({ state: 'installed' }));
+  expect(result.current.updateAvailable).toBe(true);
+  expect(result.current.applyUpdate).toBe(applyUpdate);
+});
+
+test('offers a version that was already waiting', () => {
+  getWaitingWorker.mockReturnValue({ state: 'installed' });
+  const { result } = renderHook(() => useAppUpdate());
+
+  expect(result.current.updateAvailable).toBe(true);
+});
+
+test('hides a dismissed update until the next version arrives', () => {
+  const { result } = renderHook(() => useAppUpdate());
+  act(() => notifyUpdate({ state: 'installed' }));
+  act(() => result.current.dismissUpdate());
+
+  expect(result.current.updateAvailable).toBe(false);
+  act(() => notifyUpdate({ state: 'installed' }));
+  expect(result.current.updateAvailable).toBe(true);
+});
+
+test('stops listening when unmounted', () => {
+  const { result, unmount } = renderHook(() => useAppUpdate());
+  unmount();
+  act(() => notifyUpdate({ state: 'installed' }));
+
+  expect(result.current.updateAvailable).toBe(false);
+});
@@ -0,0 +1,58 @@
+import { analyzeSheets, getCompatibleSheets } from './workbook';
+import { suggestColumnMapping, getMissingRequiredFields, haveMatchingHeaders } from './columnMapping';
+import { selectEmployeeRows, transformRows, calculateGroupStats } from './employeeData';
+import { validateRows } from './dataQuality';
+
+// Rows transformed between two progress updates
+const TRANSFORM_CHUNK_SIZE = 2000;
+
+// Analyze the selected sheets of a parsed workbook: file structure, column
+// mapping, employee records, per-manager statistics and data quality issues.
+// Presence values are read with options.vocabulary, or the default one. A mapping is kept
+// when the headers it was made for match the selected sheets, otherwise the
+// columns are suggested again.
+export const analyzeWorkbook = (workbook, options = {}, onProgress = () => {}) => {
+  const { mapping, mappingHeaders, vocabulary } = options;
+  const sheetNames = options.sheetNames && options.sheetNames.length
+    ? options.sheetNames
+    : [workbook.SheetNames[0]];
+
+  const analysis = analyzeSheets(workbook, sheetNames);
+  const suggestedMapping = suggestColumnMapping(analysis.headers);
+  const columnMapping = mapping && mappingHeaders && haveMatchingHeaders(mappingHeaders, analysis.headers)
+    ? mapping
+    : suggestedMapping;
+
+  const structure = {
+    sheetNames: workbook.SheetNames,
+    activeSheets: sheetNames,
+    compatibleSheets: getCompatibleSheets(workbook, sheetNames[0]),
+    rowCount: analysis.rowCount,
+    columnCount: analysis.columnCount,
+    headers: analysis.headers,
+    columnTypes: analysis.columnTypes,
+    suggestedMapping,
+    sampleRows: analysis.sampleRows
+  };
+
+  // Without the required fields there is nothing meaningful to aggregate
+  if (getMissingRequiredFields(columnMapping).length > 0) {
+    return { structure, mapping: columnMapping, data: [], stats: {}, issues: [] };
+  }
+
+  const { rows, rowSheets, rowNumbers } = selectEmployeeRows(analysis.rows, columnMapping, analysis.rowSheets, analysis.rowNumbers);
+  const data = [];
+  for (let start = 0; start < rows.length; start += TRANSFORM_CHUNK_SIZE) {
+    onProgress('transform', (start / rows.length) * 100);
+    const end = start + TRANSFORM_CHUNK_SIZE;
+    data.push(...transformRows(rows.slice(start, end), columnMapping, rowSheets.slice(start, end), vocabulary));
+  }
+  onProgress('transform', 100);
+
+  onProgress('aggregate', 0);
+  const stats = calculateGroupStats(data);
+  const issues = validateRows(rows, columnMapping, rowSheets, rowNumbers, vocabulary);
+  onProgress('aggregate', 100);
+
+  return { structure, mapping: columnMapping, data, stats, issues };
+};
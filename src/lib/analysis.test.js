@@ -0,0 +1,88 @@
+import * as XLSX from 'xlsx';
+import { analyzeWorkbook } from './analysis';
+
+const workbook = XLSX.utils.book_new();
+XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+  ['Naam', 'Leidinggevende', 'Parttime (%)', 'Aanwezig'],
+  ['Anna', 'Bob', 100, 'ja'],
+  ['Cees', 'Bob', 50, 'nee'],
+  ['Dirk', '', 'half', 'ja']
+]), 'Roster');
+XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+  ['Remark'],
+  ['n/a']
+]), 'Notes');
+
+test('analyzes the first sheet by default and reports progress', () => {
+  const stages = [];
+  const result = analyzeWorkbook(workbook, {}, stage => stages.push(stage));
+
+  expect(result.structure.activeSheets).toEqual(['Roster']);
+  expect(result.structure.sheetNames).toEqual(['Roster', 'Notes']);
+  expect(result.data.map(employee => employee.name)).toEqual(['Anna', 'Cees', 'Dirk']);
+  expect(result.stats.Bob).toMatchObject({ totalEmployees: 2, presentEmployees: 1, absentEmployees: 1 });
+  expect(result.issues.map(({ type, row }) => [type, row])).toEqual([
+    ['missingManager', 4],
+    ['partTimeOutOfRange', 4]
+  ]);
+  expect(stages[0]).toBe('transform');
+  expect(stages[stages.length - 1]).toBe('aggregate');
+});
+
+test('keeps a mapping made for the same headers', () => {
+  const { mapping, structure } = analyzeWorkbook(workbook);
+  const result = analyzeWorkbook(workbook, {
+    mapping: { ...mapping, name: 3 },
+    mappingHeaders: structure.headers
+  });
+
+  expect(result.mapping.name).toBe(3);
+  expect(result.data[0].name).toBe('ja');
+});
+
+test('suggests a new mapping for other headers and skips the transform when fields are missing', () => {
+  const { mapping, structure } = analyzeWorkbook(workbook);
+  const result = analyzeWorkbook(workbook, {
+    sheetNames: ['Notes'],
+    mapping,
+    mappingHeaders: structure.headers
+  });
+
+  expect(result.mapping.manager).toBeNull();
+  expect(result.data).toEqual([]);
+  expect(result.stats).toEqual({});
+  expect(result.issues).toEqual([]);
+});
+
+test('does not count blank rows as employees', () => {
+  const staff = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(staff, XLSX.utils.aoa_to_sheet([
+    ['Naam', 'Leidinggevende', 'Parttime (%)', 'Aanwezig'],
+    ['Anna', 'Bob', 100, 'ja'],
+    ['Cees', 'Bob', 50, 'nee'],
+    [],
+    ['Dirk', 'Eva', 80, 'ja'],
+    ['Fien', 'Eva', 60, 'ja']
+  ]), 'Staff');
+  const result = analyzeWorkbook(staff);
+
+  expect(result.data.map(employee => employee.name)).toEqual(['Anna', 'Cees', 'Dirk', 'Fien']);
+  expect(Object.keys(result.stats)).toEqual(['Bob', 'Eva']);
+  expect(result.issues).toEqual([]);
+});
+
+test('does not count rows with data only in unmapped columns', () => {
+  const staff = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(staff, XLSX.utils.aoa_to_sheet([
+    ['Naam', 'Leidinggevende', 'Parttime (%)', 'Aanwezig', 'Opmerking'],
+    ['Anna', 'Bob', 100, 'ja', ''],
+    [null, null, null, null, 'Nog invullen'],
+    ['Cees', 'Bob', 50, 'nee', '']
+  ]), 'Staff');
+  const result = analyzeWorkbook(staff);
+
+  expect(result.mapping.name).toBe(0);
+  expect(result.data.map(employee => employee.name)).toEqual(['Anna', 'Cees']);
+  expect(result.stats.Bob.totalEmployees).toBe(2);
+  expect(result.issues).toEqual([]);
+});
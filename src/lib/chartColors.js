@@ -0,0 +1,9 @@
+// Colors shared by the on-screen charts and the PDF report
+export const CHART_COLORS = ['#4299e1', '#48bb78', '#ed8936', '#9f7aea', '#f56565', '#38b2ac'];
+
+// Tailwind green-500, red-500, amber-500, blue-500 and purple-500
+export const PRESENT_COLOR = '#10b981';
+export const ABSENT_COLOR = '#ef4444';
+export const UNKNOWN_COLOR = '#f59e0b';
+export const TOTAL_COLOR = '#3b82f6';
+export const PART_TIME_COLOR = '#8b5cf6';
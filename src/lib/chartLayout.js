@@ -0,0 +1,43 @@
+// Axis step for a maximum value: 1, 2 or 5 times a power of ten, such that
+// `ticks` steps cover the maximum
+export const niceStep = (max, ticks = 4) => {
+  const raw = Math.max(max, 1) / ticks;
+  const power = 10 ** Math.floor(Math.log10(raw));
+  const fraction = raw / power;
+  return (fraction <= 1 ? 1 : fraction <= 2 ? 2 : fraction <= 5 ? 5 : 10) * power;
+};
+
+// Values of the gridlines of a value axis, from 0 up to at least max. Counts
+// of people use whole steps.
+export const getAxisTicks = (max, { ticks = 4, integer = false } = {}) => {
+  const step = integer ? Math.max(niceStep(max, ticks), 1) : niceStep(max, ticks);
+  return Array.from({ length: ticks + 1 }, (_, tick) => Number((tick * step).toPrecision(12)));
+};
+
+// Split a label into lines of at most maxChars characters at spaces. A word
+// longer than a line gets a line of its own.
+export const wrapLabel = (label, maxChars) => String(label).split(/\s+/).filter(Boolean).reduce((lines, word) => {
+  const last = lines[lines.length - 1];
+  if (last !== undefined && `${last} ${word}`.length <= maxChars) {
+    lines[lines.length - 1] = `${last} ${word}`;
+  } else {
+    lines.push(word);
+  }
+  return lines;
+}, []);
+
+const truncate = (label, maxChars) => (label.length > maxChars ? `${label.slice(0, maxChars - 1)}…` : label);
+
+// How category labels fit under bars that are slotWidth apart, with an
+// average character width of charWidth: wrapped over at most maxLines lines
+// when every word fits the slot, otherwise rotated and shortened to
+// rotatedChars characters
+export const layoutCategoryLabels = (labels, slotWidth, { charWidth = 6, maxLines = 2, rotatedChars = 18 } = {}) => {
+  const maxChars = Math.max(1, Math.floor(slotWidth / charWidth));
+  const wrapped = labels.map(label => wrapLabel(label, maxChars));
+  const fits = wrapped.every(lines => lines.length <= maxLines && lines.every(line => line.length <= maxChars));
+
+  return fits
+    ? { rotated: false, lines: wrapped }
+    : { rotated: true, lines: labels.map(label => [truncate(String(label), rotatedChars)]) };
+};
@@ -0,0 +1,29 @@
+import { niceStep, getAxisTicks, wrapLabel, layoutCategoryLabels } from './chartLayout';
+
+test('rounds axis steps to 1, 2 or 5 times a power of ten', () => {
+  expect(niceStep(4)).toBe(1);
+  expect(niceStep(7)).toBe(2);
+  expect(niceStep(180)).toBe(50);
+  expect(niceStep(1234)).toBe(500);
+  expect(getAxisTicks(17)).toEqual([0, 5, 10, 15, 20]);
+  expect(getAxisTicks(1.2)).toEqual([0, 0.5, 1, 1.5, 2]);
+  expect(getAxisTicks(1.2, { integer: true })).toEqual([0, 1, 2, 3, 4]);
+  expect(getAxisTicks(100, { ticks: 5 })).toEqual([0, 20, 40, 60, 80, 100]);
+});
+
+test('wraps labels at spaces', () => {
+  expect(wrapLabel('Jan de Vries', 8)).toEqual(['Jan de', 'Vries']);
+  expect(wrapLabel('Anna', 8)).toEqual(['Anna']);
+  expect(wrapLabel('Maximiliaan Verhoeven', 8)).toEqual(['Maximiliaan', 'Verhoeven']);
+});
+
+test('rotates labels that do not fit their slot', () => {
+  expect(layoutCategoryLabels(['Bob', 'Jan de Vries'], 60)).toEqual({
+    rotated: false,
+    lines: [['Bob'], ['Jan de', 'Vries']]
+  });
+  expect(layoutCategoryLabels(['Bob', 'Maximiliaan van der Heijden-Verhoeven'], 60)).toEqual({
+    rotated: true,
+    lines: [['Bob'], ['Maximiliaan van d…']]
+  });
+});
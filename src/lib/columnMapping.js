@@ -0,0 +1,198 @@
+// Employee fields that can be mapped to a source column, with the Dutch and
+// English header spellings we have seen in HR exports.
+export const EMPLOYEE_FIELDS = [
+  {
+    key: 'id',
+    label: 'Employee ID',
+    aliases: ['id', 'personeelsnummer', 'medewerkernummer', 'personeelsnr', 'registratienummer', 'employee id', 'employee number', 'personnel number', 'emp id']
+  },
+  {
+    key: 'name',
+    label: 'Name',
+    aliases: ['naam', 'volledige naam', 'medewerker', 'name', 'full name', 'employee name', 'employee']
+  },
+  {
+    key: 'function',
+    label: 'Function',
+    aliases: ['functie', 'functienaam', 'rol', 'function', 'job title', 'title', 'role', 'position']
+  },
+  {
+    key: 'employmentType',
+    label: 'Employment type',
+    aliases: ['dienstverband', 'soort dienstverband', 'contractsoort', 'soort contract', 'employment type', 'contract type']
+  },
+  {
+    key: 'employeeType',
+    label: 'Employee type',
+    aliases: ['soort medewerker', 'medewerkertype', 'type medewerker', 'employee type', 'worker type']
+  },
+  {
+    key: 'startDate',
+    label: 'Start date',
+    aliases: ['startdatum', 'begindatum', 'datum in dienst', 'in dienst', 'ingangsdatum', 'start date', 'hire date']
+  },
+  {
+    key: 'endDate',
+    label: 'End date',
+    aliases: ['einddatum', 'datum uit dienst', 'uit dienst', 'end date', 'termination date', 'contract end date']
+  },
+  {
+    key: 'employer',
+    label: 'Employer',
+    aliases: ['werkgever', 'bedrijf', 'organisatie', 'employer', 'company', 'organization']
+  },
+  {
+    key: 'manager',
+    label: 'Manager',
+    required: true,
+    aliases: ['leidinggevende', 'teamleider', 'manager', 'line manager', 'supervisor', 'product owner']
+  },
+  {
+    key: 'partTimePercentage',
+    label: 'Part-time %',
+    required: true,
+    aliases: ['parttime (%)', 'parttime', 'parttime percentage', 'deeltijdpercentage', 'deeltijd', 'werktijdfactor', 'part-time %', 'part time percentage']
+  },
+  {
+    key: 'present',
+    label: 'Present',
+    aliases: ['aanwezig', 'aanwezigheid', 'deelname', 'present', 'participation', 'attendance']
+  }
+];
+
+// Spreadsheet letter of a 0-based column index: 0 is A, 26 is AA
+export const columnLetter = (index) => {
+  let letter = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+  }
+  return letter;
+};
+
+// Minimum similarity for a header to be suggested for a field
+const MATCH_THRESHOLD = 0.75;
+
+// Lowercase, strip accents and collapse punctuation so "Parttime (%)" and
+// "parttime %" compare equal
+export const normalizeHeader = (header) => {
+  if (header === undefined || header === null) return '';
+  return String(header)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+};
+
+// Headers reduced to a key that ignores spelling details such as case,
+// accents or trailing empty columns
+export const getHeadersKey = (headers) => {
+  const normalized = headers.map(normalizeHeader);
+  while (normalized.length && !normalized[normalized.length - 1]) normalized.pop();
+  return normalized.join('|');
+};
+
+// Two sheets can be combined when their headers only differ in spelling details
+export const haveMatchingHeaders = (a, b) => getHeadersKey(a) === getHeadersKey(b);
+
+const levenshtein = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(current[j - 1] + 1, previous[j] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Score between 0 and 1 for how well a normalised header matches an alias
+const scoreAlias = (header, alias) => {
+  if (!header || !alias) return 0;
+  if (header === alias) return 1;
+
+  const compactHeader = header.replace(/ /g, '');
+  const compactAlias = alias.replace(/ /g, '');
+  if (compactHeader === compactAlias) return 0.98;
+
+  // "Naam medewerker" contains "naam"; short aliases must match whole words
+  const words = header.split(' ');
+  if (alias.includes(' ') ? header.includes(alias) : words.includes(alias)) {
+    return 0.8 + 0.15 * (compactAlias.length / compactHeader.length);
+  }
+
+  const distance = levenshtein(compactHeader, compactAlias);
+  return 1 - distance / Math.max(compactHeader.length, compactAlias.length);
+};
+
+export const scoreHeader = (header, field) => {
+  const normalized = normalizeHeader(header);
+  return Math.max(0, ...field.aliases.map(alias => scoreAlias(normalized, normalizeHeader(alias))));
+};
+
+// Suggest a column index (or null) for every field. Best matches are assigned
+// first and each column is used at most once.
+export const suggestColumnMapping = (headers) => {
+  const candidates = [];
+  EMPLOYEE_FIELDS.forEach(field => {
+    headers.forEach((header, index) => {
+      const score = scoreHeader(header, field);
+      if (score >= MATCH_THRESHOLD) {
+        candidates.push({ field: field.key, index, score });
+      }
+    });
+  });
+  candidates.sort((a, b) => b.score - a.score || a.index - b.index);
+
+  const mapping = {};
+  EMPLOYEE_FIELDS.forEach(field => {
+    mapping[field.key] = null;
+  });
+
+  const usedColumns = new Set();
+  candidates.forEach(({ field, index }) => {
+    if (mapping[field] === null && !usedColumns.has(index)) {
+      mapping[field] = index;
+      usedColumns.add(index);
+    }
+  });
+
+  return mapping;
+};
+
+export const getMissingRequiredFields = (mapping) =>
+  EMPLOYEE_FIELDS.filter(field => field.required && (mapping[field.key] === null || mapping[field.key] === undefined));
+
+// Carry a mapping over to a sheet with a different column order. Mapped
+// columns are matched by header name; fields that can't be matched fall back
+// to the suggestion for the new headers.
+export const remapByHeaders = (mapping, fromHeaders, toHeaders) => {
+  const normalizedHeaders = toHeaders.map(normalizeHeader);
+  const suggestedMapping = suggestColumnMapping(toHeaders);
+  const remapped = {};
+  const usedColumns = new Set();
+
+  EMPLOYEE_FIELDS.forEach(field => {
+    const index = mapping[field.key];
+    const header = index === null || index === undefined ? '' : normalizeHeader(fromHeaders[index]);
+    const target = header ? normalizedHeaders.indexOf(header) : -1;
+    remapped[field.key] = target === -1 ? null : target;
+    if (target !== -1) usedColumns.add(target);
+  });
+
+  EMPLOYEE_FIELDS.forEach(field => {
+    const suggestion = suggestedMapping[field.key];
+    if (remapped[field.key] === null && suggestion !== null && !usedColumns.has(suggestion)) {
+      remapped[field.key] = suggestion;
+      usedColumns.add(suggestion);
+    }
+  });
+
+  return remapped;
+};
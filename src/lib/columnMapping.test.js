@@ -0,0 +1,60 @@
+import { normalizeHeader, suggestColumnMapping, getMissingRequiredFields, remapByHeaders, columnLetter } from './columnMapping';
+
+test('normalizes headers for comparison', () => {
+  expect(normalizeHeader('Parttime (%)')).toBe('parttime');
+  expect(normalizeHeader('  Begin-Datum ')).toBe('begin datum');
+  expect(normalizeHeader(null)).toBe('');
+});
+
+test('suggests columns for Dutch headers in any order', () => {
+  const headers = ['Naam', 'Parttime (%)', 'Personeelsnummer', 'Leidinggevende', 'Functie', 'Aanwezig', 'Werkgever'];
+  const mapping = suggestColumnMapping(headers);
+
+  expect(mapping.name).toBe(0);
+  expect(mapping.partTimePercentage).toBe(1);
+  expect(mapping.id).toBe(2);
+  expect(mapping.manager).toBe(3);
+  expect(mapping.function).toBe(4);
+  expect(mapping.present).toBe(5);
+  expect(mapping.employer).toBe(6);
+  expect(mapping.startDate).toBeNull();
+});
+
+test('suggests columns for English and misspelled headers', () => {
+  const mapping = suggestColumnMapping(['Employee ID', 'Full name', 'Line Manager', 'Part-time %', 'Start Date', 'Attendence']);
+
+  expect(mapping.id).toBe(0);
+  expect(mapping.name).toBe(1);
+  expect(mapping.manager).toBe(2);
+  expect(mapping.partTimePercentage).toBe(3);
+  expect(mapping.startDate).toBe(4);
+  expect(mapping.present).toBe(5);
+});
+
+test('uses every column at most once', () => {
+  const mapping = suggestColumnMapping(['Soort medewerker', 'Medewerker']);
+
+  expect(mapping.employeeType).toBe(0);
+  expect(mapping.name).toBe(1);
+});
+
+test('reports unmapped required fields', () => {
+  const missing = getMissingRequiredFields(suggestColumnMapping(['Naam', 'Leidinggevende']));
+
+  expect(missing.map(field => field.key)).toEqual(['partTimePercentage']);
+});
+
+test('carries a mapping over to reordered headers', () => {
+  const fromHeaders = ['Naam', 'Team', 'Parttime (%)'];
+  const mapping = { ...suggestColumnMapping(fromHeaders), manager: 1 };
+  const remapped = remapByHeaders(mapping, fromHeaders, ['Parttime (%)', 'Naam', 'Aanwezig', 'Team']);
+
+  expect(remapped.partTimePercentage).toBe(0);
+  expect(remapped.name).toBe(1);
+  expect(remapped.present).toBe(2);
+  expect(remapped.manager).toBe(3);
+});
+
+test('names columns with spreadsheet letters', () => {
+  expect([0, 25, 26, 51, 701, 702].map(columnLetter)).toEqual(['A', 'Z', 'AA', 'AZ', 'ZZ', 'AAA']);
+});
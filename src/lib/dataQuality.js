@@ -0,0 +1,123 @@
+import { getMappedValue, isBlankRow } from './employeeData';
+import { DEFAULT_PRESENCE_VOCABULARY, isRecognizedPresence } from './presence';
+
+// Kinds of problems the validation reports, in display order
+export const ISSUE_TYPES = [
+  { key: 'duplicateId', label: 'Duplicate ID' },
+  { key: 'missingManager', label: 'Missing manager' },
+  { key: 'partTimeOutOfRange', label: 'Part-time % outside 0–100' },
+  { key: 'invalidDate', label: 'Unreadable date' },
+  { key: 'endBeforeStart', label: 'End date before start date' },
+  { key: 'unrecognizedPresence', label: 'Unrecognised presence value' }
+];
+
+const isEmpty = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+// A date cell as a Date, or null when it can't be read
+const parseDateCell = (value) => {
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+
+// Check raw sheet rows against the column mapping and presence vocabulary.
+// Every issue has its type, the sheet and 1-based row number it was found on,
+// the employee name, the field and cell value involved, and a detail key with
+// its parameters for describeIssue(). Blank rows are skipped.
+export const validateRows = (rows, mapping, rowSheets = [], rowNumbers = [], vocabulary = DEFAULT_PRESENCE_VOCABULARY) => {
+  const issues = [];
+  const locate = (index) => ({
+    sheet: rowSheets[index],
+    row: rowNumbers[index] === undefined ? index + 2 : rowNumbers[index]
+  });
+
+  // Rows per employee id, to report every use of a duplicate id
+  const idRows = new Map();
+  rows.forEach((row, index) => {
+    if (isBlankRow(row)) return;
+    const id = getMappedValue(row, mapping, 'id');
+    if (isEmpty(id)) return;
+    const key = String(id).trim();
+    if (!idRows.has(key)) {
+      idRows.set(key, []);
+    }
+    idRows.get(key).push(index);
+  });
+
+  rows.forEach((row, index) => {
+    if (isBlankRow(row)) return;
+    const name = getMappedValue(row, mapping, 'name');
+    const addIssue = (type, field, value, detail, params = {}) => {
+      issues.push({ type, ...locate(index), name, field, value, detail, params });
+    };
+
+    const id = getMappedValue(row, mapping, 'id');
+    if (!isEmpty(id)) {
+      const others = idRows.get(String(id).trim()).filter(other => other !== index);
+      if (others.length) {
+        addIssue('duplicateId', 'id', id, 'alsoOn', { locations: others.map(locate) });
+      }
+    }
+
+    const manager = getMappedValue(row, mapping, 'manager');
+    if (mapping.manager !== null && mapping.manager !== undefined && isEmpty(manager)) {
+      addIssue('missingManager', 'manager', manager, 'noManager');
+    }
+
+    const partTime = getMappedValue(row, mapping, 'partTimePercentage');
+    if (!isEmpty(partTime)) {
+      const number = typeof partTime === 'number' ? partTime : parseFloat(partTime);
+      if (Number.isNaN(number)) {
+        addIssue('partTimeOutOfRange', 'partTimePercentage', partTime, 'notANumber');
+      } else if (number < 0 || number > 100) {
+        addIssue('partTimeOutOfRange', 'partTimePercentage', partTime, 'outOfRange');
+      }
+    }
+
+    const dates = {};
+    ['startDate', 'endDate'].forEach(field => {
+      const value = getMappedValue(row, mapping, field);
+      if (isEmpty(value)) return;
+      dates[field] = parseDateCell(value);
+      if (!dates[field]) {
+        addIssue('invalidDate', field, value, 'notADate');
+      }
+    });
+    if (dates.startDate && dates.endDate && startOfDay(dates.endDate) < startOfDay(dates.startDate)) {
+      addIssue('endBeforeStart', 'endDate', dates.endDate, 'endsBeforeStart', { startDate: dates.startDate });
+    }
+
+    const present = getMappedValue(row, mapping, 'present');
+    if (!isEmpty(present) && !isRecognizedPresence(present, vocabulary)) {
+      addIssue('unrecognizedPresence', 'present', present, 'countedAsUnknown');
+    }
+  });
+
+  return issues;
+};
+
+// Short explanation of an issue in the language of the createLocale() result
+export const describeIssue = (issue, { t, formatDate }) => {
+  const formatLocation = ({ sheet, row }) => (sheet
+    ? t('issueDetail.sheetRow', { sheet, row })
+    : t('issueDetail.row', { row }));
+  const params = issue.detail === 'alsoOn'
+    ? { locations: issue.params.locations.map(formatLocation).join(', ') }
+    : issue.detail === 'endsBeforeStart'
+      ? { startDate: formatDate(issue.params.startDate) }
+      : issue.params;
+  return t(`issueDetail.${issue.detail}`, params);
+};
+
+// Number of issues per type
+export const countIssuesByType = (issues) => {
+  const counts = {};
+  ISSUE_TYPES.forEach(type => {
+    counts[type.key] = 0;
+  });
+  issues.forEach(issue => {
+    counts[issue.type]++;
+  });
+  return counts;
+};
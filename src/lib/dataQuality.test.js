@@ -0,0 +1,59 @@
+import { validateRows, countIssuesByType, describeIssue } from './dataQuality';
+import { createLocale } from './i18n';
+
+const mapping = { id: 0, name: 1, manager: 2, partTimePercentage: 3, startDate: 4, endDate: 5, present: 6 };
+
+const rows = [
+  [1, 'Anna', 'Bob', 100, new Date(2020, 0, 1), null, 'ja'],
+  [2, 'Bob', '', '80%', '2019-01-01', 'soon', 'nee'],
+  [],
+  [1, 'Cees', 'Bob', 'full', new Date(2021, 0, 1), new Date(2020, 0, 1), 'later'],
+  [3, 'Dirk', 'Bob', 120, undefined, undefined, '']
+];
+const rowSheets = ['Sales', 'Sales', 'Sales', 'Support', 'Support'];
+const rowNumbers = [2, 3, 4, 2, 3];
+
+test('reports each issue with its sheet and row number', () => {
+  const issues = validateRows(rows, mapping, rowSheets, rowNumbers);
+
+  expect(issues.map(({ type, sheet, row, name }) => [type, sheet, row, name])).toEqual([
+    ['duplicateId', 'Sales', 2, 'Anna'],
+    ['missingManager', 'Sales', 3, 'Bob'],
+    ['invalidDate', 'Sales', 3, 'Bob'],
+    ['duplicateId', 'Support', 2, 'Cees'],
+    ['partTimeOutOfRange', 'Support', 2, 'Cees'],
+    ['endBeforeStart', 'Support', 2, 'Cees'],
+    ['unrecognizedPresence', 'Support', 2, 'Cees'],
+    ['partTimeOutOfRange', 'Support', 3, 'Dirk']
+  ]);
+  expect(issues[0]).toMatchObject({ detail: 'alsoOn', params: { locations: [{ sheet: 'Support', row: 2 }] } });
+  expect(issues[2]).toMatchObject({ field: 'endDate', value: 'soon' });
+});
+
+test('describes issues in the chosen language', () => {
+  const issues = validateRows(rows, mapping, rowSheets, rowNumbers);
+
+  expect(describeIssue(issues[0], createLocale('en'))).toBe('Also on Support row 2');
+  expect(describeIssue(issues[0], createLocale('nl'))).toBe('Ook op Support rij 2');
+  expect(describeIssue(issues[5], createLocale('en'))).toBe('Ends before the start date 1 Jan 2021');
+  expect(describeIssue(issues[7], createLocale('nl'))).toBe('Buiten 0–100');
+});
+
+test('skips checks for unmapped fields', () => {
+  const issues = validateRows(rows, { name: 1, manager: null, partTimePercentage: 3 }, rowSheets, rowNumbers);
+
+  expect(issues.map(issue => issue.type)).toEqual(['partTimeOutOfRange', 'partTimeOutOfRange']);
+});
+
+test('counts issues per type', () => {
+  const counts = countIssuesByType(validateRows(rows, mapping, rowSheets, rowNumbers));
+
+  expect(counts).toEqual({
+    duplicateId: 2,
+    missingManager: 1,
+    partTimeOutOfRange: 2,
+    invalidDate: 1,
+    endBeforeStart: 1,
+    unrecognizedPresence: 1
+  });
+});
@@ -0,0 +1,94 @@
+import { formatPresenceStatus, getPresenceStatus } from './presence';
+import { createLocale } from './i18n';
+
+// Changes in the order they were made; the first `position` are applied,
+// the rest have been undone and can be redone
+export const createEditHistory = () => ({ changes: [], position: 0 });
+
+// Set a field of the employee at change.index to the old or new value.
+// Presence is edited as a status, so the record's status is set directly.
+const setField = (employees, change, value) => {
+  const next = employees.slice();
+  const employee = employees[change.index];
+  next[change.index] = change.field === 'present'
+    ? { ...employee, present: formatPresenceStatus(value), presence: value }
+    : { ...employee, [change.field]: value };
+  return next;
+};
+
+// Apply a new change; changes that were undone can no longer be redone
+export const recordChange = ({ history, employees }, change) => ({
+  history: {
+    changes: [...history.changes.slice(0, history.position), change],
+    position: history.position + 1
+  },
+  employees: setField(employees, change, change.newValue)
+});
+
+export const undoChange = ({ history, employees }) => {
+  if (history.position === 0) return { history, employees };
+  const change = history.changes[history.position - 1];
+  return {
+    history: { ...history, position: history.position - 1 },
+    employees: setField(employees, change, change.oldValue)
+  };
+};
+
+export const redoChange = ({ history, employees }) => {
+  if (history.position === history.changes.length) return { history, employees };
+  const change = history.changes[history.position];
+  return {
+    history: { ...history, position: history.position + 1 },
+    employees: setField(employees, change, change.newValue)
+  };
+};
+
+const isEmpty = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// Index of the employee a change was made to, by id or, without one, by name;
+// -1 when no single employee matches
+const findEmployee = (employees, change) => {
+  const field = isEmpty(change.id) ? 'name' : 'id';
+  if (isEmpty(change[field])) return -1;
+  const key = String(change[field]).trim();
+  const matches = employees.reduce((indexes, employee, index) => (
+    !isEmpty(employee[field]) && String(employee[field]).trim() === key ? [...indexes, index] : indexes
+  ), []);
+  return matches.length === 1 ? matches[0] : -1;
+};
+
+// Apply the changes of a history again to the employees of a new analysis of
+// the same file, such as with another mapping or presence vocabulary. Old
+// values are taken from the new records. Changes that were undone are
+// dropped; changes to employees that can't be found again are returned as
+// `skipped`.
+export const reapplyChanges = (history, employees) => {
+  let state = { history: createEditHistory(), employees };
+  const skipped = [];
+  history.changes.slice(0, history.position).forEach(change => {
+    const index = findEmployee(employees, change);
+    if (index === -1) {
+      skipped.push(change);
+      return;
+    }
+    const employee = state.employees[index];
+    const oldValue = change.field === 'present' ? getPresenceStatus(employee) : employee.partTimePercentage;
+    state = recordChange(state, { ...change, index, oldValue });
+  });
+  return { ...state, skipped };
+};
+
+// Changes that are currently applied, oldest first
+export const getAppliedChanges = (history) => history.changes.slice(0, history.position);
+
+// Make the applied changes of a history again on the employees it was made
+// to, such as a saved analysis of the same file
+export const replayChanges = (history, employees) => (
+  getAppliedChanges(history).reduce((edited, change) => setField(edited, change, change.newValue), employees)
+);
+
+// Old and new values as shown in the change log
+export const formatChangeValue = (field, value, i18n = createLocale()) => {
+  if (field === 'present') return i18n.t(`presence.${value}`);
+  return value === undefined || value === null || value === '' ? '' : i18n.formatPercent(value / 100, 0);
+};
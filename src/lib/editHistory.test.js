@@ -0,0 +1,90 @@
+import {
+  createEditHistory,
+  recordChange,
+  undoChange,
+  redoChange,
+  getAppliedChanges,
+  formatChangeValue,
+  reapplyChanges,
+  replayChanges
+} from './editHistory';
+import { calculateGroupStats } from './employeeData';
+import { createLocale } from './i18n';
+
+const employees = [
+  { name: 'Anna', manager: 'Jan', partTimePercentage: 100, present: 'ja', presence: 'present' },
+  { name: 'Bob', manager: 'Jan', partTimePercentage: 50, present: 'nee', presence: 'absent' }
+];
+
+const presenceChange = { index: 1, field: 'present', oldValue: 'absent', newValue: 'present', user: 'Eva' };
+const partTimeChange = { index: 0, field: 'partTimePercentage', oldValue: 100, newValue: 80, user: 'Eva' };
+
+test('applies changes to a copy of the records', () => {
+  const state = recordChange({ history: createEditHistory(), employees }, presenceChange);
+
+  expect(state.employees[1]).toMatchObject({ present: 'Yes', presence: 'present' });
+  expect(state.employees[0]).toBe(employees[0]);
+  expect(employees[1].presence).toBe('absent');
+  expect(calculateGroupStats(state.employees).Jan.presentEmployees).toBe(2);
+});
+
+test('undoes and redoes changes in order', () => {
+  let state = { history: createEditHistory(), employees };
+  state = recordChange(state, presenceChange);
+  state = recordChange(state, partTimeChange);
+
+  state = undoChange(state);
+  expect(state.employees[0].partTimePercentage).toBe(100);
+  expect(getAppliedChanges(state.history)).toEqual([presenceChange]);
+
+  state = undoChange(undoChange(state));
+  expect(state.employees[1].presence).toBe('absent');
+  expect(state.history.position).toBe(0);
+
+  state = redoChange(redoChange(state));
+  expect(state.employees[0].partTimePercentage).toBe(80);
+  expect(redoChange(state)).toEqual(state);
+});
+
+test('drops undone changes when a new change is made', () => {
+  let state = recordChange({ history: createEditHistory(), employees }, presenceChange);
+  state = recordChange(undoChange(state), partTimeChange);
+
+  expect(state.history.changes).toEqual([partTimeChange]);
+  expect(state.employees[1].presence).toBe('absent');
+});
+
+test('makes the applied changes again on the saved records', () => {
+  let state = recordChange({ history: createEditHistory(), employees }, presenceChange);
+  state = undoChange(recordChange(state, partTimeChange));
+
+  expect(replayChanges(state.history, employees)).toEqual(state.employees);
+  expect(replayChanges(createEditHistory(), employees)).toBe(employees);
+});
+
+test('formats old and new values for the log', () => {
+  expect(formatChangeValue('present', 'unknown')).toBe('Unknown');
+  expect(formatChangeValue('partTimePercentage', 80)).toBe('80%');
+  expect(formatChangeValue('partTimePercentage', undefined)).toBe('');
+  expect(formatChangeValue('present', 'absent', createLocale('nl'))).toBe('Nee');
+});
+
+test('applies the changes again to a new analysis by employee id or name', () => {
+  let state = { history: createEditHistory(), employees: employees.map((employee, index) => ({ ...employee, id: index === 0 ? 7 : null })) };
+  state = recordChange(state, { ...partTimeChange, id: 7, name: 'Anna' });
+  state = recordChange(state, { ...presenceChange, id: null, name: 'Bob' });
+  state = recordChange(state, { index: 1, id: null, name: 'Bob', field: 'partTimePercentage', oldValue: 50, newValue: 40 });
+  state = undoChange(state);
+
+  // Reanalyzed with another vocabulary, in another order, with Bob gone
+  const reanalyzed = [
+    { id: 8, name: 'Carla', partTimePercentage: 60, presence: 'present' },
+    { id: 7, name: 'Anna', partTimePercentage: 100, presence: 'unknown' }
+  ];
+  const result = reapplyChanges(state.history, reanalyzed);
+
+  expect(result.employees[1].partTimePercentage).toBe(80);
+  expect(result.history).toMatchObject({ position: 1, changes: [{ index: 1, field: 'partTimePercentage', oldValue: 100, newValue: 80 }] });
+  expect(result.skipped.map(change => change.name)).toEqual(['Bob']);
+  expect(reanalyzed[1].partTimePercentage).toBe(100);
+});
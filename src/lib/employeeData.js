@@ -0,0 +1,141 @@
+import { DEFAULT_PRESENCE_VOCABULARY, normalizePresence, getPresenceStatus } from './presence';
+
+// Read the cell mapped to a field, or undefined when the field is unmapped
+export const getMappedValue = (row, mapping, field) => {
+  const index = mapping[field];
+  return index === null || index === undefined ? undefined : row[index];
+};
+
+const isEmptyCell = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+// A sheet row without any filled-in cell
+export const isBlankRow = (row) => !row || row.every(isEmptyCell);
+
+// The rows that hold an employee: a value in at least one mapped column. Rows
+// with data only in unmapped columns would give empty records. rowSheets and
+// rowNumbers are filtered along with the rows.
+export const selectEmployeeRows = (rows, mapping, rowSheets = [], rowNumbers = []) => {
+  const columns = Object.values(mapping).filter(index => index !== null && index !== undefined);
+  const selected = { rows: [], rowSheets: [], rowNumbers: [] };
+  rows.forEach((row, index) => {
+    if (!row || columns.every(column => isEmptyCell(row[column]))) return;
+    selected.rows.push(row);
+    selected.rowSheets.push(rowSheets[index]);
+    selected.rowNumbers.push(rowNumbers[index]);
+  });
+  return selected;
+};
+
+// Transform raw sheet rows into employee records using a column mapping.
+// rowSheets holds the name of the sheet each row was read from. `present`
+// keeps the cell value, `presence` its status under the presence vocabulary.
+export const transformRows = (rows, mapping, rowSheets = [], vocabulary = DEFAULT_PRESENCE_VOCABULARY) => rows.map((row, index) => {
+  const startDate = getMappedValue(row, mapping, 'startDate');
+  const endDate = getMappedValue(row, mapping, 'endDate');
+  const presentValue = getMappedValue(row, mapping, 'present');
+
+  return {
+    id: getMappedValue(row, mapping, 'id'),
+    name: getMappedValue(row, mapping, 'name'),
+    function: getMappedValue(row, mapping, 'function'),
+    employmentType: getMappedValue(row, mapping, 'employmentType'),
+    employeeType: getMappedValue(row, mapping, 'employeeType'),
+    startDate: startDate ? new Date(startDate) : null,
+    endDate: endDate ? new Date(endDate) : null,
+    employer: getMappedValue(row, mapping, 'employer'),
+    manager: getMappedValue(row, mapping, 'manager'),
+    partTimePercentage: getMappedValue(row, mapping, 'partTimePercentage'),
+    present: presentValue,
+    presence: normalizePresence(presentValue, vocabulary),
+    sourceSheet: rowSheets[index]
+  };
+});
+
+// Part-time percentage as a number; empty and unreadable values count as 0
+export const parsePartTimePercentage = (value) => {
+  const number = typeof value === 'string' ? parseFloat(value) : value;
+  return typeof number === 'number' && !Number.isNaN(number) ? number : 0;
+};
+
+// Calculate statistics per group, by default per manager. Present, absent
+// and unknown presence are counted apart. FTE is the sum of part-time
+// percentages / 100. With subGroupBy every group also gets `subgroups`: the
+// same statistics for its employees grouped by that second field.
+export const calculateGroupStats = (employees, groupBy = 'manager', subGroupBy = null) => {
+  const groupStats = {};
+  const partTimeByStatus = {};
+  employees.forEach(employee => {
+    const group = employee[groupBy];
+    if (group) {
+      if (!groupStats[group]) {
+        groupStats[group] = {
+          totalEmployees: 0,
+          presentEmployees: 0,
+          absentEmployees: 0,
+          unknownEmployees: 0,
+          totalPartTimePercentage: 0,
+          avgPartTimePercentage: 0,
+          totalFte: 0,
+          presentFte: 0,
+          absentFte: 0,
+          unknownFte: 0
+        };
+        partTimeByStatus[group] = { present: 0, absent: 0, unknown: 0 };
+      }
+
+      const partTimePercentage = parsePartTimePercentage(employee.partTimePercentage);
+      const status = getPresenceStatus(employee);
+      groupStats[group].totalEmployees++;
+      groupStats[group].totalPartTimePercentage += partTimePercentage;
+      groupStats[group][`${status}Employees`]++;
+      partTimeByStatus[group][status] += partTimePercentage;
+    }
+  });
+
+  // Calculate averages and FTE; percentages are summed first to avoid rounding drift
+  Object.keys(groupStats).forEach(group => {
+    const stat = groupStats[group];
+    stat.avgPartTimePercentage = (stat.totalPartTimePercentage / stat.totalEmployees).toFixed(2);
+    stat.totalFte = stat.totalPartTimePercentage / 100;
+    stat.presentFte = partTimeByStatus[group].present / 100;
+    stat.absentFte = partTimeByStatus[group].absent / 100;
+    stat.unknownFte = partTimeByStatus[group].unknown / 100;
+  });
+
+  if (subGroupBy) {
+    const members = {};
+    employees.forEach(employee => {
+      const group = employee[groupBy];
+      if (group) {
+        if (!members[group]) {
+          members[group] = [];
+        }
+        members[group].push(employee);
+      }
+    });
+    Object.keys(groupStats).forEach(group => {
+      groupStats[group].subgroups = calculateGroupStats(members[group], subGroupBy);
+    });
+  }
+
+  return groupStats;
+};
+
+// Non-participating (absent) employees grouped by a field, by default per manager.
+// Groups and the employees within them are sorted by name.
+export const groupNonParticipants = (employees, groupBy = 'manager') => {
+  const compare = (a, b) => String(a).localeCompare(String(b), undefined, { numeric: true });
+  const groups = {};
+  employees.forEach(employee => {
+    if (getPresenceStatus(employee) !== 'absent') return;
+    const group = employee[groupBy] || '(empty)';
+    if (!groups[group]) {
+      groups[group] = [];
+    }
+    groups[group].push(employee);
+  });
+
+  return Object.keys(groups)
+    .sort(compare)
+    .map(group => [group, groups[group].sort((a, b) => compare(a.name || '', b.name || ''))]);
+};
@@ -0,0 +1,74 @@
+import { calculateGroupStats, transformRows, selectEmployeeRows } from './employeeData';
+
+const employees = [
+  { name: 'Anna', employer: 'Acme', manager: 'Jan', partTimePercentage: 100, present: 'ja' },
+  { name: 'Bob', employer: 'Acme', manager: 'Piet', partTimePercentage: '50', present: 'nee' },
+  { name: 'Carla', employer: 'Globex', manager: 'Jan', partTimePercentage: 80, present: 'yes' },
+  { name: 'Dirk', manager: 'Jan', partTimePercentage: 60, present: 'ja' }
+];
+
+test('groups on any field and skips employees without a value', () => {
+  const stats = calculateGroupStats(employees, 'employer');
+
+  expect(Object.keys(stats)).toEqual(['Acme', 'Globex']);
+  expect(stats.Acme).toMatchObject({
+    totalEmployees: 2,
+    presentEmployees: 1,
+    absentEmployees: 1,
+    avgPartTimePercentage: '75.00'
+  });
+  expect(stats.Acme.subgroups).toBeUndefined();
+});
+
+test('adds sub-group statistics within each group', () => {
+  const stats = calculateGroupStats(employees, 'employer', 'manager');
+
+  expect(Object.keys(stats.Acme.subgroups)).toEqual(['Jan', 'Piet']);
+  expect(stats.Acme.subgroups.Piet).toMatchObject({ totalEmployees: 1, absentEmployees: 1 });
+  expect(stats.Globex.subgroups).toEqual({
+    Jan: expect.objectContaining({ totalEmployees: 1, presentEmployees: 1, avgPartTimePercentage: '80.00' })
+  });
+});
+
+test('sums part-time percentages into FTE present and absent', () => {
+  const stats = calculateGroupStats([...employees, { name: 'Eva', manager: 'Jan', partTimePercentage: 'n/a', present: 'nee' }]);
+
+  expect(stats.Jan).toMatchObject({ totalEmployees: 4, totalFte: 2.4, presentFte: 2.4, absentFte: 0 });
+  expect(stats.Piet).toMatchObject({ totalFte: 0.5, presentFte: 0, absentFte: 0.5 });
+});
+
+test('counts unknown presence apart from absent', () => {
+  const stats = calculateGroupStats([
+    { name: 'Anna', manager: 'Jan', partTimePercentage: 100, present: 'ja' },
+    { name: 'Bob', manager: 'Jan', partTimePercentage: 50, present: '' },
+    { name: 'Cees', manager: 'Jan', partTimePercentage: 80, present: 'nee' },
+    { name: 'Dirk', manager: 'Jan', partTimePercentage: 60, presence: 'unknown' }
+  ]);
+
+  expect(stats.Jan).toMatchObject({
+    presentEmployees: 1,
+    absentEmployees: 1,
+    unknownEmployees: 2,
+    presentFte: 1,
+    absentFte: 0.8,
+    unknownFte: 1.1
+  });
+});
+
+test('normalises presence with the given vocabulary', () => {
+  const vocabulary = { yes: ['aanwezig'], no: ['weg'], maybe: [] };
+  const records = transformRows([['Aanwezig'], ['weg'], ['ja'], []], { present: 0 }, [], vocabulary);
+
+  expect(records.map(record => record.presence)).toEqual(['present', 'absent', 'unknown', 'unknown']);
+  expect(records[3].present).toBeUndefined();
+});
+
+test('selects the rows with a value in a mapped column', () => {
+  const rows = [['Anna', 'Bob', ''], ['', '  ', 'note'], [undefined, undefined, 'note'], [null, 'Bob']];
+
+  expect(selectEmployeeRows(rows, { name: 0, manager: 1, id: null }, ['A', 'A', 'B', 'B'], [2, 3, 2, 3])).toEqual({
+    rows: [rows[0], rows[3]],
+    rowSheets: ['A', 'B'],
+    rowNumbers: [2, 3]
+  });
+});
@@ -0,0 +1,105 @@
+import { getPresenceStatus, formatPresenceStatus } from './presence';
+
+const collator = new Intl.Collator(undefined, { numeric: true });
+
+// Fields the employee table can be filtered on
+export const FILTER_FIELDS = [
+  { key: 'manager', label: 'Manager' },
+  { key: 'present', label: 'Present' },
+  { key: 'employer', label: 'Employer' },
+  { key: 'employmentType', label: 'Employment Type' },
+  { key: 'sourceSheet', label: 'Sheet' }
+];
+
+export const createEmptyFilters = () => {
+  const filters = {};
+  FILTER_FIELDS.forEach(field => {
+    filters[field.key] = [];
+  });
+  return filters;
+};
+
+// Filters that show the employees behind a statistics group and, optionally,
+// one of its sub-groups and a presence status. Groups are keyed by the field
+// value as text, like filter values.
+export const createDrillDownFilters = ({ groupBy, group, subGroupBy = null, subGroup = null, status = null }) => {
+  const filters = createEmptyFilters();
+  filters[groupBy] = [String(group)];
+  if (subGroupBy && subGroup !== null) {
+    filters[subGroupBy] = [String(subGroup)];
+  }
+  if (status) {
+    filters.present = [formatPresenceStatus(status)];
+  }
+  return filters;
+};
+
+// Value of a field as it is shown in filters; presence is reduced to Yes/No/Unknown
+export const getFilterValue = (employee, field) => {
+  if (field === 'present') {
+    return formatPresenceStatus(getPresenceStatus(employee));
+  }
+  const value = employee[field];
+  return value === undefined || value === null || value === '' ? '(empty)' : String(value);
+};
+
+// Distinct values of a field, sorted for display
+export const getFilterOptions = (employees, field) => {
+  const values = new Set(employees.map(employee => getFilterValue(employee, field)));
+  return Array.from(values).sort(collator.compare);
+};
+
+// Keep employees that match the search term on name or function, and one of
+// the selected values of every active filter
+export const filterEmployees = (employees, { search = '', filters = {} } = {}) => {
+  const term = search.trim().toLowerCase();
+  const activeFilters = Object.entries(filters).filter(([, values]) => values && values.length > 0);
+
+  if (!term && !activeFilters.length) return employees;
+
+  return employees.filter(employee => {
+    if (term) {
+      const haystack = `${employee.name || ''} ${employee.function || ''}`.toLowerCase();
+      if (!haystack.includes(term)) return false;
+    }
+    return activeFilters.every(([field, values]) => values.includes(getFilterValue(employee, field)));
+  });
+};
+
+const getSortValue = (employee, key) => {
+  if (key === 'present') return { present: 2, unknown: 1, absent: 0 }[getPresenceStatus(employee)];
+  if (key === 'partTimePercentage') {
+    const value = typeof employee.partTimePercentage === 'string'
+      ? parseFloat(employee.partTimePercentage)
+      : employee.partTimePercentage;
+    return typeof value === 'number' && !Number.isNaN(value) ? value : null;
+  }
+  const value = employee[key];
+  if (value instanceof Date) return value.getTime();
+  return value === undefined || value === '' ? null : value;
+};
+
+// Sort on a field; empty values always go last. Sort values are computed
+// once per employee rather than on every comparison.
+export const sortEmployees = (employees, { key, direction = 'asc' } = {}) => {
+  if (!key) return employees;
+
+  const factor = direction === 'desc' ? -1 : 1;
+  const entries = employees.map(employee => {
+    const value = getSortValue(employee, key);
+    return { employee, value: value === null || typeof value === 'number' ? value : String(value) };
+  });
+
+  entries.sort((a, b) => {
+    if (a.value === null && b.value === null) return 0;
+    if (a.value === null) return 1;
+    if (b.value === null) return -1;
+
+    if (typeof a.value === 'number' && typeof b.value === 'number') {
+      return (a.value - b.value) * factor;
+    }
+    return collator.compare(String(a.value), String(b.value)) * factor;
+  });
+
+  return entries.map(entry => entry.employee);
+};
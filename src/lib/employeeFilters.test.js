@@ -0,0 +1,53 @@
+import { createEmptyFilters, createDrillDownFilters, getFilterOptions, filterEmployees, sortEmployees } from './employeeFilters';
+
+const employees = [
+  { name: 'Anna', function: 'Developer', manager: 'Bob', employer: 'Acme', partTimePercentage: 100, present: 'ja' },
+  { name: 'Cees', function: 'Tester', manager: 'Bob', employer: 'Other', partTimePercentage: '50', present: 'nee' },
+  { name: 'Dirk', function: 'Lead developer', manager: 'Eva', partTimePercentage: 80, present: 'nee' },
+  { name: 'Bram', function: 'Designer', manager: 'Eva', employer: 'Acme', present: 'yes' }
+];
+
+test('lists filter options including empty values', () => {
+  expect(getFilterOptions(employees, 'employer')).toEqual(['(empty)', 'Acme', 'Other']);
+  expect(getFilterOptions(employees, 'present')).toEqual(['No', 'Yes']);
+});
+
+test('searches name and function', () => {
+  const names = filterEmployees(employees, { search: 'DEVELOPER' }).map(employee => employee.name);
+  expect(names).toEqual(['Anna', 'Dirk']);
+});
+
+test('combines filters across fields', () => {
+  const filters = { ...createEmptyFilters(), manager: ['Bob', 'Eva'], present: ['No'] };
+  const names = filterEmployees(employees, { filters }).map(employee => employee.name);
+  expect(names).toEqual(['Cees', 'Dirk']);
+});
+
+test('drills down to a group, sub-group and presence status', () => {
+  const byGroup = createDrillDownFilters({ groupBy: 'manager', group: 'Bob', status: 'absent' });
+  expect(byGroup.present).toEqual(['No']);
+  expect(filterEmployees(employees, { filters: byGroup }).map(employee => employee.name)).toEqual(['Cees']);
+
+  // Fields without a filter in the table, such as function, work as well
+  const bySubGroup = createDrillDownFilters({ groupBy: 'employer', group: 'Acme', subGroupBy: 'function', subGroup: 'Designer' });
+  expect(filterEmployees(employees, { filters: bySubGroup }).map(employee => employee.name)).toEqual(['Bram']);
+});
+
+test('returns the same array without active filters', () => {
+  expect(filterEmployees(employees, { search: ' ', filters: createEmptyFilters() })).toBe(employees);
+});
+
+test('sorts numbers numerically with empty values last', () => {
+  const ascending = sortEmployees(employees, { key: 'partTimePercentage', direction: 'asc' });
+  expect(ascending.map(employee => employee.name)).toEqual(['Cees', 'Dirk', 'Anna', 'Bram']);
+
+  const descending = sortEmployees(employees, { key: 'partTimePercentage', direction: 'desc' });
+  expect(descending.map(employee => employee.name)).toEqual(['Anna', 'Dirk', 'Cees', 'Bram']);
+});
+
+test('sorts text and presence', () => {
+  expect(sortEmployees(employees, { key: 'name' }).map(employee => employee.name))
+    .toEqual(['Anna', 'Bram', 'Cees', 'Dirk']);
+  expect(sortEmployees(employees, { key: 'present', direction: 'desc' }).map(employee => employee.name))
+    .toEqual(['Anna', 'Bram', 'Cees', 'Dirk']);
+});
@@ -0,0 +1,484 @@
+import ExcelJS from 'exceljs';
+import { calculateGroupStats } from './employeeData';
+import { getPresenceStatus } from './presence';
+import { describeIssue } from './dataQuality';
+import { formatChangeValue } from './editHistory';
+import { createLocale } from './i18n';
+import { findMatchingRule } from './highlightRules';
+import { columnLetter } from './columnMapping';
+
+const HEADER_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE5E7EB' } };
+const HIGHLIGHT_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFECACA' } };
+const UNKNOWN_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFEF3C7' } };
+const TOTAL_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFEFF6FF' } };
+const PERCENTAGE_FORMAT = '0.0%';
+const FTE_FORMAT = '0.00';
+const DATE_FORMAT = 'yyyy-mm-dd';
+const DATE_TIME_FORMAT = 'yyyy-mm-dd hh:mm:ss';
+
+const toFill = (color) => ({ type: 'pattern', pattern: 'solid', fgColor: { argb: `FF${color.slice(1).toUpperCase()}` } });
+
+// Part-time percentages are stored as fractions so Excel can format them
+const toFraction = (value) => {
+  const number = typeof value === 'string' ? parseFloat(value) : value;
+  if (typeof number === 'number' && !Number.isNaN(number)) return number / 100;
+  return value === undefined || value === '' ? null : value;
+};
+
+// Columns of the Employees sheet. Statistics formulas refer to the columns
+// by position, so `field` marks the columns they can group on.
+const getEmployeeColumns = (includeSourceSheet, t) => [
+  { header: t('field.name'), value: employee => employee.name },
+  { header: t('field.function'), value: employee => employee.function, field: 'function' },
+  { header: t('field.manager'), value: employee => employee.manager, field: 'manager' },
+  { header: t('field.partTimePercentage'), value: employee => toFraction(employee.partTimePercentage), numFmt: PERCENTAGE_FORMAT, field: 'partTimePercentage' },
+  { header: t('field.present'), value: employee => t(`presence.${getPresenceStatus(employee)}`), field: 'present' },
+  ...(includeSourceSheet ? [{ header: t('common.sheet'), value: employee => employee.sourceSheet, field: 'sourceSheet' }] : [])
+];
+
+// Sheet names with spaces or punctuation have to be quoted in formulas
+const sheetReference = (name) => (/^[A-Za-z_][A-Za-z0-9_.]*$/.test(name) ? name : `'${name.replace(/'/g, "''")}'`);
+
+const getDisplayLength = (value, numFmt) => {
+  if (value === null || value === undefined) return 0;
+  if (value instanceof Date) return (numFmt || DATE_FORMAT).length;
+  if (typeof value === 'object' && 'formula' in value) return getDisplayLength(value.result);
+  if (typeof value === 'number') return String(Math.round(value * 100) / 100).length + 1;
+  return String(value).length;
+};
+
+// Add a sheet with a bold, frozen header row, an auto-filter over the data
+// rows and columns sized to their content. Options:
+//   numFmts   number format per column index
+//   rowFill   function returning a fill for a data row, or null
+//   rowFont   function returning a font for a data row, or null
+//   totalRow  values of a bold total row below the filtered range
+const addTableSheet = (workbook, name, headers, rows, options = {}) => {
+  const { numFmts = {}, rowFill, rowFont, totalRow } = options;
+  const worksheet = workbook.addWorksheet(name, {
+    views: [{ state: 'frozen', ySplit: 1 }]
+  });
+
+  const header = worksheet.addRow(headers);
+  header.font = { bold: true };
+  header.eachCell(cell => {
+    cell.fill = HEADER_FILL;
+    cell.border = { bottom: { style: 'thin' } };
+  });
+
+  rows.forEach((values, index) => {
+    const row = worksheet.addRow(values);
+    const fill = rowFill ? rowFill(index) : null;
+    const font = rowFont ? rowFont(index) : null;
+    if (font) {
+      row.font = font;
+    }
+    if (fill) {
+      for (let column = 1; column <= headers.length; column++) {
+        row.getCell(column).fill = fill;
+      }
+    }
+  });
+
+  worksheet.autoFilter = {
+    from: { row: 1, column: 1 },
+    to: { row: rows.length + 1, column: headers.length }
+  };
+
+  if (totalRow) {
+    const row = worksheet.addRow(totalRow);
+    row.font = { bold: true };
+    for (let column = 1; column <= headers.length; column++) {
+      row.getCell(column).fill = TOTAL_FILL;
+    }
+  }
+
+  const allRows = [headers, ...rows, ...(totalRow ? [totalRow] : [])];
+  headers.forEach((_, index) => {
+    const column = worksheet.getColumn(index + 1);
+    const longest = Math.max(...allRows.map(values => getDisplayLength(values[index], numFmts[index])));
+    column.width = Math.min(Math.max(longest + 2, 8), 50);
+    if (numFmts[index]) {
+      column.numFmt = numFmts[index];
+    }
+  });
+
+  return worksheet;
+};
+
+// COUNTIF and SUMIF read * ? and ~ in a criterion as wildcards and a leading
+// <, > or = as an operator. Labels with those are matched exactly: after "="
+// and with the wildcards escaped by ~.
+const needsExactCriterion = (label) => /[*?~]|^[<>=]/.test(String(label));
+
+const labelCriterion = (label, cell) => (needsExactCriterion(label)
+  ? `"="&SUBSTITUTE(SUBSTITUTE(SUBSTITUTE(${cell},"~","~~"),"*","~*"),"?","~?")`
+  : cell);
+
+// COUNTIF also ignores case, so labels that only differ in case can't be told
+// apart by a formula
+const findCaseTwins = (labels) => {
+  const counts = new Map();
+  labels.forEach(label => {
+    const key = String(label).toLowerCase();
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  return new Set(labels.filter(label => counts.get(String(label).toLowerCase()) > 1));
+};
+
+// Build the analysis workbook: the employees with the rows that match a
+// highlight rule filled in its colour and other non-participating rows
+// highlighted, statistics per group as live formulas over the Employees
+// sheet, and optionally the snapshot comparison, the monthly trends from
+// calculateMonthlyTrends() and the log of edits made in the table. With
+// subGroupBy every group row is followed by rows for its sub-groups. Sheet
+// names, headers and presence values are in the language of `i18n`.
+export const createAnalysisWorkbook = ({
+  employees,
+  groupBy = 'manager',
+  subGroupBy = null,
+  includeSourceSheet = false,
+  snapshotDiff = null,
+  trends = null,
+  changes = [],
+  highlightRules = [],
+  referenceDate = new Date(),
+  i18n = createLocale()
+}) => {
+  const { t } = i18n;
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+
+  // Employees sheet, with columns for the groupings that aren't shown already
+  const columns = getEmployeeColumns(includeSourceSheet, t);
+  [groupBy, subGroupBy].forEach(field => {
+    if (field && !columns.some(column => column.field === field)) {
+      columns.push({ header: t(`field.${field}`), value: employee => employee[field], field });
+    }
+  });
+
+  const numFmts = {};
+  columns.forEach((column, index) => {
+    if (column.numFmt) numFmts[index] = column.numFmt;
+  });
+
+  const employeesSheet = t('sheet.employees');
+  addTableSheet(
+    workbook,
+    employeesSheet,
+    columns.map(column => column.header),
+    employees.map(employee => columns.map(column => column.value(employee))),
+    {
+      numFmts,
+      rowFill: index => {
+        const rule = findMatchingRule(employees[index], highlightRules, referenceDate);
+        if (rule) return toFill(rule.color);
+        return { absent: HIGHLIGHT_FILL, unknown: UNKNOWN_FILL }[getPresenceStatus(employees[index])] || null;
+      }
+    }
+  );
+
+  // Statistics sheet; the cached results match the formulas for viewers that don't recalculate
+  const range = (field) => {
+    const letter = columnLetter(columns.findIndex(column => column.field === field));
+    return `${sheetReference(employeesSheet)}!$${letter}:$${letter}`;
+  };
+  const groupRange = range(groupBy);
+  const subGroupRange = subGroupBy ? range(subGroupBy) : null;
+  const presentRange = range('present');
+  const partTimeRange = range('partTimePercentage');
+  const yes = `"${t('presence.present')}"`;
+  const no = `"${t('presence.absent')}"`;
+
+  // Group labels take one or two columns, the numbers follow
+  const labelCount = subGroupBy ? 2 : 1;
+  const [
+    totalColumn, presentColumn, absentColumn, unknownColumn, averageColumn,
+    fteColumn, presentFteColumn, absentFteColumn, unknownFteColumn
+  ] = [0, 1, 2, 3, 4, 5, 6, 7, 8].map(index => columnLetter(labelCount + index));
+
+  // Rows of groups that formulas can't tell apart only get the values
+  const createStatsRow = (labels, stat, row, isSubGroup, withFormulas) => {
+    const criteria = isSubGroup
+      ? `${groupRange},${labelCriterion(labels[0], `$A${row}`)},${subGroupRange},${labelCriterion(labels[1], `$B${row}`)}`
+      : `${groupRange},${labelCriterion(labels[0], `$A${row}`)}`;
+    // Part-time % is stored as a fraction, so its sum is the FTE
+    const fte = isSubGroup
+      ? `SUMIFS(${partTimeRange},${criteria})`
+      : `SUMIF(${criteria},${partTimeRange})`;
+    const cells = [
+      { formula: isSubGroup ? `COUNTIFS(${criteria})` : `COUNTIF(${criteria})`, result: stat.totalEmployees },
+      { formula: `COUNTIFS(${criteria},${presentRange},${yes})`, result: stat.presentEmployees },
+      { formula: `COUNTIFS(${criteria},${presentRange},${no})`, result: stat.absentEmployees },
+      { formula: `${totalColumn}${row}-${presentColumn}${row}-${absentColumn}${row}`, result: stat.unknownEmployees },
+      {
+        formula: `IFERROR(${fte}/${totalColumn}${row},0)`,
+        result: stat.totalPartTimePercentage / stat.totalEmployees / 100
+      },
+      { formula: fte, result: stat.totalFte },
+      { formula: `SUMIFS(${partTimeRange},${criteria},${presentRange},${yes})`, result: stat.presentFte },
+      { formula: `SUMIFS(${partTimeRange},${criteria},${presentRange},${no})`, result: stat.absentFte },
+      { formula: `${fteColumn}${row}-${presentFteColumn}${row}-${absentFteColumn}${row}`, result: stat.unknownFte }
+    ];
+    return [...labels, ...(withFormulas ? cells : cells.map(cell => cell.result))];
+  };
+
+  const stats = Object.entries(calculateGroupStats(employees, groupBy, subGroupBy));
+  const groupTwins = findCaseTwins(stats.map(([group]) => group));
+  const statsRows = [];
+  const groupRowIndexes = new Set();
+  stats.forEach(([group, stat]) => {
+    const groupFormulas = !groupTwins.has(group);
+    groupRowIndexes.add(statsRows.length);
+    statsRows.push(createStatsRow(subGroupBy ? [group, null] : [group], stat, statsRows.length + 2, false, groupFormulas));
+    if (subGroupBy) {
+      const subGroupTwins = findCaseTwins(Object.keys(stat.subgroups));
+      Object.entries(stat.subgroups).forEach(([subGroup, subStat]) => {
+        const subGroupFormulas = groupFormulas && !subGroupTwins.has(subGroup);
+        statsRows.push(createStatsRow([group, subGroup], subStat, statsRows.length + 2, true, subGroupFormulas));
+      });
+    }
+  });
+
+  const lastRow = statsRows.length + 1;
+  const totals = stats.reduce((sum, [, stat]) => ({
+    total: sum.total + stat.totalEmployees,
+    present: sum.present + stat.presentEmployees,
+    absent: sum.absent + stat.absentEmployees,
+    unknown: sum.unknown + stat.unknownEmployees,
+    partTime: sum.partTime + stat.totalPartTimePercentage,
+    fte: sum.fte + stat.totalFte,
+    presentFte: sum.presentFte + stat.presentFte,
+    absentFte: sum.absentFte + stat.absentFte,
+    unknownFte: sum.unknownFte + stat.unknownFte
+  }), { total: 0, present: 0, absent: 0, unknown: 0, partTime: 0, fte: 0, presentFte: 0, absentFte: 0, unknownFte: 0 });
+  const totalRowNumber = lastRow + 1;
+
+  // Totals only count the group rows; sub-group rows have a value in column B
+  const sumColumn = (column) => (subGroupBy
+    ? `SUMIF($B$2:$B$${lastRow},"",${column}2:${column}${lastRow})`
+    : `SUM(${column}2:${column}${lastRow})`);
+  const weights = subGroupBy
+    ? `($B$2:$B$${lastRow}="")*${averageColumn}2:${averageColumn}${lastRow}`
+    : `${averageColumn}2:${averageColumn}${lastRow}`;
+
+  addTableSheet(
+    workbook,
+    t('sheet.statistics'),
+    [
+      t(`field.${groupBy}`),
+      ...(subGroupBy ? [t(`field.${subGroupBy}`)] : []),
+      t('statistics.headcount.total'),
+      t('statistics.headcount.present'),
+      t('statistics.headcount.absent'),
+      t('statistics.headcount.unknown'),
+      t('statistics.averagePartTime'),
+      t('statistics.fte.total'),
+      t('statistics.fte.present'),
+      t('statistics.fte.absent'),
+      t('statistics.fte.unknown')
+    ],
+    statsRows,
+    {
+      numFmts: {
+        [labelCount + 4]: PERCENTAGE_FORMAT,
+        [labelCount + 5]: FTE_FORMAT,
+        [labelCount + 6]: FTE_FORMAT,
+        [labelCount + 7]: FTE_FORMAT,
+        [labelCount + 8]: FTE_FORMAT
+      },
+      rowFont: index => (subGroupBy && groupRowIndexes.has(index) ? { bold: true } : null),
+      totalRow: [
+        t('common.total'),
+        ...(subGroupBy ? [null] : []),
+        { formula: sumColumn(totalColumn), result: totals.total },
+        { formula: sumColumn(presentColumn), result: totals.present },
+        { formula: sumColumn(absentColumn), result: totals.absent },
+        { formula: sumColumn(unknownColumn), result: totals.unknown },
+        {
+          formula: `IFERROR(SUMPRODUCT(${weights},${totalColumn}2:${totalColumn}${lastRow})/${totalColumn}${totalRowNumber},0)`,
+          result: totals.total ? totals.partTime / totals.total / 100 : 0
+        },
+        { formula: sumColumn(fteColumn), result: totals.fte },
+        { formula: sumColumn(presentFteColumn), result: totals.presentFte },
+        { formula: sumColumn(absentFteColumn), result: totals.absentFte },
+        { formula: sumColumn(unknownFteColumn), result: totals.unknownFte }
+      ]
+    }
+  );
+
+  if (snapshotDiff) {
+    addComparisonSheets(workbook, snapshotDiff, i18n);
+  }
+
+  if (trends) {
+    addTrendsSheet(workbook, trends, t);
+  }
+
+  if (changes.length) {
+    addChangesSheet(workbook, changes, i18n);
+  }
+
+  return workbook;
+};
+
+// Snapshot comparison: one row per change, and the per-manager deltas
+const addComparisonSheets = (workbook, snapshotDiff, { t }) => {
+  const changeRows = [
+    ...snapshotDiff.joiners.map(employee => [t('comparison.joiner'), employee.id, employee.name, employee.manager, '', '']),
+    ...snapshotDiff.leavers.map(employee => [t('comparison.leaver'), employee.id, employee.name, employee.manager, '', '']),
+    ...snapshotDiff.managerChanges.map(({ employee, from, to }) =>
+      [t('field.manager'), employee.id, employee.name, employee.manager, from, to]),
+    ...snapshotDiff.partTimeChanges.map(({ employee, from, to }) =>
+      [t('field.partTimePercentage'), employee.id, employee.name, employee.manager, from, to]),
+    ...snapshotDiff.presenceChanges.map(({ employee, from, to }) =>
+      [t('field.present'), employee.id, employee.name, employee.manager, t(`presence.${from}`), t(`presence.${to}`)])
+  ];
+
+  addTableSheet(
+    workbook,
+    t('sheet.comparison'),
+    [t('comparison.change'), t('common.id'), t('field.name'), t('field.manager'), t('comparison.previous'), t('comparison.current')],
+    changeRows
+  );
+
+  addTableSheet(
+    workbook,
+    t('sheet.managerDeltas'),
+    [
+      t('field.manager'),
+      t('comparison.previousTotal'),
+      t('comparison.currentTotal'),
+      t('comparison.change'),
+      t('comparison.presentChange'),
+      t('comparison.absentChange'),
+      t('comparison.joiners'),
+      t('comparison.leavers'),
+      t('comparison.transfersIn'),
+      t('comparison.transfersOut')
+    ],
+    Object.entries(snapshotDiff.managerDeltas).map(([manager, delta]) => [
+      manager,
+      delta.previousTotal,
+      delta.currentTotal,
+      delta.totalDelta,
+      delta.presentDelta,
+      delta.absentDelta,
+      delta.joiners,
+      delta.leavers,
+      delta.transfersIn,
+      delta.transfersOut
+    ])
+  );
+};
+
+// Edits made in the employee table, oldest first
+const addChangesSheet = (workbook, changes, i18n) => {
+  const { t } = i18n;
+  addTableSheet(
+    workbook,
+    t('sheet.changes'),
+    [
+      t('changeLog.time'),
+      t('changeLog.changedBy'),
+      t('common.id'),
+      t('field.name'),
+      t('common.field'),
+      t('changeLog.oldValue'),
+      t('changeLog.newValue')
+    ],
+    changes.map(change => [
+      change.timestamp,
+      change.user,
+      change.id,
+      change.name,
+      t(`field.${change.field}`),
+      formatChangeValue(change.field, change.oldValue, i18n),
+      formatChangeValue(change.field, change.newValue, i18n)
+    ]),
+    { numFmts: { 0: DATE_TIME_FORMAT } }
+  );
+};
+
+// Monthly series, first for all employees and then per manager
+const addTrendsSheet = (workbook, { months, overall, groups }, t) => {
+  const rows = [];
+  [[t('trends.allEmployees'), overall], ...Object.entries(groups)].forEach(([manager, values]) => {
+    months.forEach((month, index) => {
+      const { headcount, fte, joiners, leavers } = values[index];
+      rows.push([month, manager, headcount, fte, joiners, leavers]);
+    });
+  });
+
+  addTableSheet(
+    workbook,
+    t('tab.trends'),
+    [t('trends.month'), t('field.manager'), t('metric.headcount'), t('metric.fte'), t('trends.joiners'), t('trends.leavers')],
+    rows,
+    { numFmts: { 3: FTE_FORMAT } }
+  );
+};
+
+// Standalone workbook with the contracts from getExpiringContracts()
+export const createExpiringContractsWorkbook = (contracts, { t } = createLocale()) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+
+  addTableSheet(
+    workbook,
+    t('sheet.contractsEnding'),
+    [
+      t('field.name'),
+      t('field.function'),
+      t('field.manager'),
+      t('field.employmentType'),
+      t('field.startDate'),
+      t('field.endDate'),
+      t('tenure.daysLeft')
+    ],
+    contracts.map(({ employee, daysLeft }) => [
+      employee.name,
+      employee.function,
+      employee.manager,
+      employee.employmentType,
+      employee.startDate,
+      employee.endDate,
+      daysLeft
+    ]),
+    { numFmts: { 4: DATE_FORMAT, 5: DATE_FORMAT } }
+  );
+
+  return workbook;
+};
+
+// Standalone workbook with the issues from validateRows()
+export const createDataQualityWorkbook = (issues, i18n = createLocale()) => {
+  const { t } = i18n;
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+
+  addTableSheet(
+    workbook,
+    t('tab.quality'),
+    [
+      t('common.sheet'),
+      t('quality.row'),
+      t('field.name'),
+      t('quality.issue'),
+      t('common.field'),
+      t('quality.value'),
+      t('quality.details')
+    ],
+    issues.map(issue => [
+      issue.sheet,
+      issue.row,
+      issue.name,
+      t(`issue.${issue.type}`),
+      t(`field.${issue.field}`),
+      issue.value === undefined ? null : issue.value,
+      describeIssue(issue, i18n)
+    ])
+  );
+
+  return workbook;
+};
@@ -0,0 +1,221 @@
+import ExcelJS from 'exceljs';
+import { createAnalysisWorkbook, createExpiringContractsWorkbook, createDataQualityWorkbook } from './excelExport';
+import { createLocale } from './i18n';
+
+const employees = [
+{ name: 'Anna', function: 'Developer', manager: 'Jan', partTimePercentage: 100, present: 'ja' },
+{ name: 'Bob', function: 'Tester', manager: 'Jan', partTimePercentage: 50, present: 'nee' },
+{ name: 'Carla', function: 'Designer', manager: 'Piet', partTimePercentage: 80, present: 'ja' }
+];
+
+test('highlights non-participating rows and formats part-time as a percentage', () => {
+  const sheet = createAnalysisWorkbook({ employees }).getWorksheet('Employees');
+
+  expect(sheet.getRow(1).values.slice(1)).toEqual(['Name', 'Function', 'Manager', 'Part-time %', 'Present']);
+  expect(sheet.getRow(1).font.bold).toBe(true);
+  expect(sheet.views[0]).toMatchObject({ state: 'frozen', ySplit: 1 });
+  expect(sheet.autoFilter).toEqual({ from: { row: 1, column: 1 }, to: { row: 4, column: 5 } });
+
+  expect(sheet.getCell('D2').value).toBe(1);
+  expect(sheet.getColumn(4).numFmt).toBe('0.0%');
+  expect(sheet.getCell('A3').fill.fgColor.argb).toBe('FFFECACA');
+  expect(sheet.getCell('A2').fill).toBeUndefined();
+});
+
+test('fills rows in the colour of their first matching highlight rule', () => {
+  const highlightRules = [
+    { id: 1, label: 'Part-time', color: '#bfdbfe', combinator: 'and', conditions: [{ field: 'partTimePercentage', operator: 'lessThan', value: '90' }] },
+    { id: 2, label: 'Piet', color: '#e9d5ff', combinator: 'and', conditions: [{ field: 'manager', operator: 'equals', value: 'piet' }] }
+  ];
+  const sheet = createAnalysisWorkbook({ employees, highlightRules }).getWorksheet('Employees');
+
+  expect(sheet.getCell('A2').fill).toBeUndefined();
+  expect(sheet.getCell('A3').fill.fgColor.argb).toBe('FFBFDBFE');
+  expect(sheet.getCell('E4').fill.fgColor.argb).toBe('FFBFDBFE');
+});
+
+test('writes statistics as formulas with cached results', () => {
+  const sheet = createAnalysisWorkbook({ employees }).getWorksheet('Statistics');
+
+  expect(sheet.getCell('A2').value).toBe('Jan');
+  expect(sheet.getCell('B2').value).toEqual({ formula: 'COUNTIF(Employees!$C:$C,$A2)', result: 2 });
+  expect(sheet.getCell('C2').value.result).toBe(1);
+  expect(sheet.getCell('D2').value).toEqual({ formula: 'COUNTIFS(Employees!$C:$C,$A2,Employees!$E:$E,"No")', result: 1 });
+  expect(sheet.getCell('E2').value.formula).toBe('B2-C2-D2');
+  expect(sheet.getCell('F2').value).toEqual({
+    formula: 'IFERROR(SUMIF(Employees!$C:$C,$A2,Employees!$D:$D)/B2,0)',
+    result: 0.75
+  });
+  expect(sheet.getCell('A4').value).toBe('Total');
+  expect(sheet.getCell('B4').value).toEqual({ formula: 'SUM(B2:B3)', result: 3 });
+});
+
+test('adds a column for groupings that are not exported already', () => {
+  const workbook = createAnalysisWorkbook({
+    employees: employees.map(employee => ({ ...employee, employer: 'Acme' })),
+    groupBy: 'employer'
+  });
+
+  expect(workbook.getWorksheet('Employees').getCell('F1').value).toBe('Employer');
+  expect(workbook.getWorksheet('Statistics').getCell('B2').value.formula).toBe('COUNTIF(Employees!$F:$F,$A2)');
+});
+
+test('round-trips through xlsx', async () => {
+  const buffer = await createAnalysisWorkbook({ employees }).xlsx.writeBuffer();
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  expect(workbook.worksheets.map(sheet => sheet.name)).toEqual(['Employees', 'Statistics']);
+  expect(workbook.getWorksheet('Statistics').getCell('C3').value).toEqual({
+    formula: 'COUNTIFS(Employees!$C:$C,$A3,Employees!$E:$E,"Yes")',
+    result: 1
+  });
+});
+
+test('matches group labels with wildcards or operators exactly', () => {
+  const sheet = createAnalysisWorkbook({
+    employees: ['A*', 'AB', '=x', 'AB'].map((manager, index) => ({ ...employees[index % 3], manager }))
+  }).getWorksheet('Statistics');
+  const exactly = (cell) => `"="&SUBSTITUTE(SUBSTITUTE(SUBSTITUTE(${cell},"~","~~"),"*","~*"),"?","~?")`;
+
+  expect(sheet.getRow(2).values.slice(1, 3)).toEqual(['A*', { formula: `COUNTIF(Employees!$C:$C,${exactly('$A2')})`, result: 1 }]);
+  expect(sheet.getRow(3).values.slice(1, 3)).toEqual(['AB', { formula: 'COUNTIF(Employees!$C:$C,$A3)', result: 2 }]);
+  expect(sheet.getRow(4).values.slice(1, 3)).toEqual(['=x', { formula: `COUNTIF(Employees!$C:$C,${exactly('$A4')})`, result: 1 }]);
+  expect(sheet.getCell('D4').value.formula).toBe(`COUNTIFS(Employees!$C:$C,${exactly('$A4')},Employees!$E:$E,"No")`);
+});
+
+test('writes values without formulas for groups that only differ in case', () => {
+  const sheet = createAnalysisWorkbook({
+    employees: employees.map((employee, index) => ({ ...employee, manager: ['Jan', 'jan', 'Piet'][index] }))
+  }).getWorksheet('Statistics');
+
+  expect(sheet.getRow(2).values.slice(1, 7)).toEqual(['Jan', 1, 1, 0, 0, 1]);
+  expect(sheet.getRow(3).values.slice(1, 3)).toEqual(['jan', 1]);
+  expect(sheet.getCell('B4').value).toEqual({ formula: 'COUNTIF(Employees!$C:$C,$A4)', result: 1 });
+  expect(sheet.getCell('B5').value).toEqual({ formula: 'SUM(B2:B4)', result: 3 });
+});
+
+test('writes sub-group rows below each group', () => {
+  const workbook = createAnalysisWorkbook({
+    employees: employees.map((employee, index) => ({ ...employee, employer: index < 2 ? 'Acme' : 'Globex' })),
+    groupBy: 'employer',
+    subGroupBy: 'manager'
+  });
+  const sheet = workbook.getWorksheet('Statistics');
+
+  expect(sheet.getRow(1).values.slice(1, 4)).toEqual(['Employer', 'Manager', 'Total Employees']);
+  expect(sheet.getCell('A2').value).toBe('Acme');
+  expect(sheet.getCell('B2').value).toBeNull();
+  expect(sheet.getRow(2).font.bold).toBe(true);
+  expect(sheet.getRow(3).values.slice(1, 3)).toEqual(['Acme', 'Jan']);
+  expect(sheet.getCell('C3').value).toEqual({
+    formula: 'COUNTIFS(Employees!$F:$F,$A3,Employees!$C:$C,$B3)',
+    result: 2
+  });
+  expect(sheet.getCell('A6').value).toBe('Total');
+  expect(sheet.getCell('C6').value).toEqual({ formula: 'SUMIF($B$2:$B$5,"",C2:C5)', result: 3 });
+});
+
+test('adds FTE columns to the statistics', () => {
+  const sheet = createAnalysisWorkbook({ employees }).getWorksheet('Statistics');
+
+  expect(sheet.getRow(1).values.slice(7)).toEqual(['Total FTE', 'Present FTE', 'Absent FTE', 'Unknown FTE']);
+  expect(sheet.getCell('G2').value).toEqual({ formula: 'SUMIF(Employees!$C:$C,$A2,Employees!$D:$D)', result: 1.5 });
+  expect(sheet.getCell('H2').value).toEqual({
+    formula: 'SUMIFS(Employees!$D:$D,Employees!$C:$C,$A2,Employees!$E:$E,"Yes")',
+    result: 1
+  });
+  expect(sheet.getCell('I2').value).toEqual({
+    formula: 'SUMIFS(Employees!$D:$D,Employees!$C:$C,$A2,Employees!$E:$E,"No")',
+    result: 0.5
+  });
+  expect(sheet.getCell('J2').value.formula).toBe('G2-H2-I2');
+  expect(sheet.getCell('G4').value).toEqual({ formula: 'SUM(G2:G3)', result: 2.3 });
+  expect(sheet.getColumn(7).numFmt).toBe('0.00');
+});
+
+test('adds the monthly trends per manager', () => {
+  const trends = {
+    months: ['2024-01', '2024-02'],
+    overall: [
+      { headcount: 3, fte: 2.3, joiners: 1, leavers: 0 },
+      { headcount: 2, fte: 1.8, joiners: 0, leavers: 1 }
+    ],
+    groups: {
+      Jan: [
+        { headcount: 2, fte: 1.5, joiners: 1, leavers: 0 },
+        { headcount: 1, fte: 1, joiners: 0, leavers: 1 }
+      ]
+    }
+  };
+  const sheet = createAnalysisWorkbook({ employees, trends }).getWorksheet('Trends');
+
+  expect(sheet.getRow(1).values.slice(1)).toEqual(['Month', 'Manager', 'Headcount', 'FTE', 'Joiners', 'Leavers']);
+  expect(sheet.getRow(2).values.slice(1)).toEqual(['2024-01', 'All employees', 3, 2.3, 1, 0]);
+  expect(sheet.getRow(5).values.slice(1)).toEqual(['2024-02', 'Jan', 1, 1, 0, 1]);
+});
+
+test('exports expiring contracts with date formats', () => {
+  const endDate = new Date(2024, 6, 1);
+  const contracts = [
+    { employee: { ...employees[0], employmentType: 'Tijdelijk', startDate: null, endDate }, daysLeft: 16 }
+  ];
+  const sheet = createExpiringContractsWorkbook(contracts).getWorksheet('Contracts Ending');
+
+  expect(sheet.getRow(1).values.slice(1)).toEqual(['Name', 'Function', 'Manager', 'Employment Type', 'Start Date', 'End Date', 'Days Left']);
+  expect(sheet.getCell('D2').value).toBe('Tijdelijk');
+  expect(sheet.getCell('F2').value).toEqual(endDate);
+  expect(sheet.getCell('G2').value).toBe(16);
+  expect(sheet.getColumn(6).numFmt).toBe('yyyy-mm-dd');
+});
+
+test('exports data quality issues with readable labels', () => {
+  const issues = [
+    { type: 'partTimeOutOfRange', sheet: 'Sales', row: 4, name: 'Dirk', field: 'partTimePercentage', value: 'half', detail: 'notANumber', params: {} }
+  ];
+  const sheet = createDataQualityWorkbook(issues).getWorksheet('Data Quality');
+
+  expect(sheet.getRow(1).values.slice(1)).toEqual(['Sheet', 'Row', 'Name', 'Issue', 'Field', 'Value', 'Details']);
+  expect(sheet.getRow(2).values.slice(1)).toEqual(['Sales', 4, 'Dirk', 'Part-time % outside 0–100', 'Part-time %', 'half', 'Not a number; counted as 0']);
+});
+
+test('shows unknown presence and fills those rows apart', () => {
+  const workbook = createAnalysisWorkbook({
+    employees: [...employees, { name: 'Dirk', function: 'Tester', manager: 'Piet', partTimePercentage: 60, present: 'later' }]
+  });
+  const sheet = workbook.getWorksheet('Employees');
+
+  expect(sheet.getCell('E5').value).toBe('Unknown');
+  expect(sheet.getCell('A5').fill.fgColor.argb).toBe('FFFEF3C7');
+  expect(workbook.getWorksheet('Statistics').getCell('E3').value).toEqual({ formula: 'B3-C3-D3', result: 1 });
+});
+
+test('adds the table edits as a Changes sheet', () => {
+  const timestamp = new Date(2024, 5, 3, 14, 30);
+  const changes = [
+    { index: 1, id: 2, name: 'Bob', field: 'present', oldValue: 'absent', newValue: 'present', user: 'Eva', timestamp },
+    { index: 0, id: 1, name: 'Anna', field: 'partTimePercentage', oldValue: 100, newValue: 80, user: 'Eva', timestamp }
+  ];
+  const workbook = createAnalysisWorkbook({ employees, changes });
+  const sheet = workbook.getWorksheet('Changes');
+
+  expect(sheet.getRow(1).values.slice(1)).toEqual(['Time', 'Changed By', 'ID', 'Name', 'Field', 'Old Value', 'New Value']);
+  expect(sheet.getRow(2).values.slice(1)).toEqual([timestamp, 'Eva', 2, 'Bob', 'Present', 'No', 'Yes']);
+  expect(sheet.getRow(3).values.slice(5)).toEqual(['Part-time %', '100%', '80%']);
+  expect(sheet.getColumn(1).numFmt).toBe('yyyy-mm-dd hh:mm:ss');
+  expect(createAnalysisWorkbook({ employees }).getWorksheet('Changes')).toBeUndefined();
+});
+
+test('writes sheet names, headers and presence criteria in the chosen language', () => {
+  const workbook = createAnalysisWorkbook({ employees, i18n: createLocale('nl') });
+  const sheet = workbook.getWorksheet('Statistieken');
+
+  expect(workbook.getWorksheet('Medewerkers').getRow(1).values.slice(1))
+    .toEqual(['Naam', 'Functie', 'Leidinggevende', 'Parttime %', 'Aanwezig']);
+  expect(workbook.getWorksheet('Medewerkers').getCell('E3').value).toBe('Nee');
+  expect(sheet.getCell('C2').value).toEqual({
+    formula: 'COUNTIFS(Medewerkers!$C:$C,$A2,Medewerkers!$E:$E,"Ja")',
+    result: 1
+  });
+  expect(sheet.getCell('A4').value).toBe('Totaal');
+});
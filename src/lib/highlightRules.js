@@ -0,0 +1,202 @@
+import { getPresenceStatus } from './presence';
+import { parsePartTimePercentage } from './employeeData';
+import { parseDateInput } from './referenceDate';
+
+// Highlight rules flag employees, such as "part-time below 50% and absent"
+// or "no manager". A rule has a label, a colour and conditions on fields that
+// are all ('and') or any ('or') met. Rules are checked in order: the first
+// matching rule colours a row in the table and the exported workbook; rows
+// without a matching rule keep the presence colours.
+
+// Fields rules can test and the kind of value they hold
+export const RULE_FIELDS = [
+  { key: 'name', type: 'text' },
+  { key: 'function', type: 'text' },
+  { key: 'manager', type: 'text' },
+  { key: 'employer', type: 'text' },
+  { key: 'employmentType', type: 'text' },
+  { key: 'employeeType', type: 'text' },
+  { key: 'partTimePercentage', type: 'number' },
+  { key: 'present', type: 'status' },
+  { key: 'startDate', type: 'date' },
+  { key: 'endDate', type: 'date' },
+  { key: 'sourceSheet', type: 'text' }
+];
+
+// Operators per kind of field; unary operators take no value
+export const RULE_OPERATORS = {
+  text: [
+    { key: 'equals' },
+    { key: 'notEquals' },
+    { key: 'contains' },
+    { key: 'isEmpty', unary: true },
+    { key: 'isNotEmpty', unary: true }
+  ],
+  number: [
+    { key: 'lessThan' },
+    { key: 'greaterThan' },
+    { key: 'equals' },
+    { key: 'isEmpty', unary: true }
+  ],
+  status: [
+    { key: 'equals' },
+    { key: 'notEquals' }
+  ],
+  date: [
+    { key: 'before' },
+    { key: 'after' },
+    { key: 'thisMonth', unary: true },
+    { key: 'isEmpty', unary: true },
+    { key: 'isNotEmpty', unary: true }
+  ]
+};
+
+// Light fills that keep the text of a row readable
+export const RULE_COLORS = [
+  { key: 'red', value: '#fecaca' },
+  { key: 'orange', value: '#fed7aa' },
+  { key: 'yellow', value: '#fef08a' },
+  { key: 'green', value: '#bbf7d0' },
+  { key: 'blue', value: '#bfdbfe' },
+  { key: 'purple', value: '#e9d5ff' },
+  { key: 'gray', value: '#e5e7eb' }
+];
+
+export const getRuleField = (key) => RULE_FIELDS.find(field => field.key === key) || RULE_FIELDS[0];
+
+export const getOperators = (fieldKey) => RULE_OPERATORS[getRuleField(fieldKey).type];
+
+const isUnary = (condition) => getOperators(condition.field).some(operator => operator.key === condition.operator && operator.unary);
+
+export const createCondition = (field = 'name') => ({ field, operator: getOperators(field)[0].key, value: '' });
+
+export const createRule = (id) => ({
+  id,
+  label: '',
+  color: RULE_COLORS[0].value,
+  combinator: 'and',
+  conditions: [createCondition()]
+});
+
+// Copy of a condition on another field; the operator and value are kept when
+// the new field has the same kind of value
+export const changeConditionField = (condition, field) => (
+  getRuleField(field).type === getRuleField(condition.field).type
+    ? { ...condition, field }
+    : createCondition(field)
+);
+
+export const isConditionComplete = (condition) => (
+  getOperators(condition.field).some(operator => operator.key === condition.operator) &&
+  (isUnary(condition) || String(condition.value).trim() !== '')
+);
+
+// A rule is applied once it has a label and every condition is filled in
+export const isRuleComplete = (rule) => (
+  rule.label.trim() !== '' && rule.conditions.length > 0 && rule.conditions.every(isConditionComplete)
+);
+
+const isEmpty = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const isValidDate = (value) => value instanceof Date && !Number.isNaN(value.getTime());
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+
+const matchesText = (raw, operator, expected) => {
+  const value = isEmpty(raw) ? '' : String(raw).trim().toLowerCase();
+  const search = String(expected).trim().toLowerCase();
+  switch (operator) {
+    case 'equals': return value === search;
+    case 'notEquals': return value !== search;
+    case 'contains': return value.includes(search);
+    case 'isEmpty': return value === '';
+    case 'isNotEmpty': return value !== '';
+    default: return false;
+  }
+};
+
+// Part-time percentages are compared as numbers; unreadable values never match
+const matchesNumber = (raw, operator, expected) => {
+  if (operator === 'isEmpty') return isEmpty(raw);
+  if (isEmpty(raw) || Number.isNaN(parseFloat(raw))) return false;
+
+  const value = parsePartTimePercentage(raw);
+  const limit = parseFloat(expected);
+  switch (operator) {
+    case 'lessThan': return value < limit;
+    case 'greaterThan': return value > limit;
+    case 'equals': return value === limit;
+    default: return false;
+  }
+};
+
+// Dates are compared per day. "This month" is the month of the reference
+// date, which is today unless the table is limited to another date.
+const matchesDate = (raw, operator, expected, referenceDate) => {
+  if (operator === 'isEmpty') return !isValidDate(raw);
+  if (operator === 'isNotEmpty') return isValidDate(raw);
+  if (!isValidDate(raw)) return false;
+
+  if (operator === 'thisMonth') {
+    return raw.getFullYear() === referenceDate.getFullYear() && raw.getMonth() === referenceDate.getMonth();
+  }
+  const limit = parseDateInput(expected);
+  if (!limit) return false;
+  return operator === 'before' ? startOfDay(raw) < startOfDay(limit) : startOfDay(raw) > startOfDay(limit);
+};
+
+export const matchesCondition = (employee, condition, referenceDate = new Date()) => {
+  const { type } = getRuleField(condition.field);
+  const raw = employee[condition.field];
+  switch (type) {
+    case 'number': return matchesNumber(raw, condition.operator, condition.value);
+    case 'date': return matchesDate(raw, condition.operator, condition.value, referenceDate);
+    case 'status': {
+      const same = getPresenceStatus(employee) === condition.value;
+      return condition.operator === 'equals' ? same : !same;
+    }
+    default: return matchesText(raw, condition.operator, condition.value);
+  }
+};
+
+// Incomplete rules match no one
+export const matchesRule = (employee, rule, referenceDate = new Date()) => {
+  if (!isRuleComplete(rule)) return false;
+  const matches = (condition) => matchesCondition(employee, condition, referenceDate);
+  return rule.combinator === 'or' ? rule.conditions.some(matches) : rule.conditions.every(matches);
+};
+
+// The rule that colours an employee's row, or null
+export const findMatchingRule = (employee, rules, referenceDate = new Date()) => (
+  rules.find(rule => matchesRule(employee, rule, referenceDate)) || null
+);
+
+// Number of employees every rule matches, by rule id. An employee counts for
+// every rule it matches, not only the one that colours the row.
+export const countRuleMatches = (employees, rules, referenceDate = new Date()) => {
+  const counts = {};
+  rules.forEach(rule => {
+    counts[rule.id] = 0;
+  });
+  employees.forEach(employee => {
+    rules.forEach(rule => {
+      if (matchesRule(employee, rule, referenceDate)) counts[rule.id]++;
+    });
+  });
+  return counts;
+};
+
+// Rules as saved in the browser; anything unreadable gives no rules
+export const parseRules = (text) => {
+  try {
+    const rules = JSON.parse(text);
+    if (!Array.isArray(rules)) return [];
+    return rules.filter(rule => (
+      rule && typeof rule.id === 'number' && typeof rule.label === 'string' && typeof rule.color === 'string' &&
+      ['and', 'or'].includes(rule.combinator) && Array.isArray(rule.conditions) &&
+      rule.conditions.every(condition => condition && RULE_FIELDS.some(field => field.key === condition.field))
+    ));
+  } catch (err) {
+    return [];
+  }
+};
@@ -0,0 +1,61 @@
+import {
+  createRule, createCondition, changeConditionField, isRuleComplete, matchesRule,
+  findMatchingRule, countRuleMatches, parseRules
+} from './highlightRules';
+
+const employees = [
+  { name: 'Anna', manager: 'Bob', employer: 'Acme', partTimePercentage: 40, present: 'nee', endDate: new Date(2024, 2, 31) },
+  { name: 'Bob', manager: '', employer: 'Extern BV', partTimePercentage: '80', present: 'ja', endDate: null },
+  { name: 'Cees', manager: 'Bob', employer: 'Acme', partTimePercentage: '', present: 'nee', endDate: new Date(2024, 3, 1) }
+];
+
+const rule = (id, combinator, conditions) => ({ ...createRule(id), label: `Rule ${id}`, combinator, conditions });
+
+test('combines conditions with and or or', () => {
+  const partTimeAbsent = rule(1, 'and', [
+    { field: 'partTimePercentage', operator: 'lessThan', value: '50' },
+    { field: 'present', operator: 'equals', value: 'absent' }
+  ]);
+  expect(employees.map(employee => matchesRule(employee, partTimeAbsent))).toEqual([true, false, false]);
+
+  const either = rule(2, 'or', [
+    { field: 'manager', operator: 'isEmpty', value: '' },
+    { field: 'employer', operator: 'contains', value: 'EXTERN' },
+    { field: 'name', operator: 'equals', value: ' cees ' }
+  ]);
+  expect(employees.map(employee => matchesRule(employee, either))).toEqual([false, true, true]);
+});
+
+test('matches dates in the month of the reference date', () => {
+  const endsThisMonth = rule(1, 'and', [{ field: 'endDate', operator: 'thisMonth', value: '' }]);
+  expect(employees.map(employee => matchesRule(employee, endsThisMonth, new Date(2024, 2, 15)))).toEqual([true, false, false]);
+
+  const endsBefore = rule(2, 'and', [{ field: 'endDate', operator: 'before', value: '2024-04-01' }]);
+  expect(employees.map(employee => matchesRule(employee, endsBefore))).toEqual([true, false, false]);
+});
+
+test('ignores incomplete rules and counts every match', () => {
+  const unlabelled = { ...rule(1, 'and', [{ field: 'present', operator: 'equals', value: 'absent' }]), label: ' ' };
+  const noValue = rule(2, 'and', [createCondition('manager')]);
+  expect(isRuleComplete(unlabelled)).toBe(false);
+  expect(isRuleComplete(noValue)).toBe(false);
+  expect(matchesRule(employees[0], noValue)).toBe(false);
+
+  const absent = rule(3, 'and', [{ field: 'present', operator: 'equals', value: 'absent' }]);
+  const acme = rule(4, 'and', [{ field: 'employer', operator: 'equals', value: 'Acme' }]);
+  expect(findMatchingRule(employees[2], [unlabelled, acme, absent])).toBe(acme);
+  expect(countRuleMatches(employees, [unlabelled, absent, acme])).toEqual({ 1: 0, 3: 2, 4: 2 });
+});
+
+test('keeps operators when the field has the same kind of value', () => {
+  const condition = { field: 'manager', operator: 'contains', value: 'Bo' };
+  expect(changeConditionField(condition, 'employer')).toEqual({ field: 'employer', operator: 'contains', value: 'Bo' });
+  expect(changeConditionField(condition, 'partTimePercentage')).toEqual({ field: 'partTimePercentage', operator: 'lessThan', value: '' });
+});
+
+test('reads saved rules and drops anything unreadable', () => {
+  const saved = [rule(1, 'or', [createCondition('employer')]), { id: 2, label: 'Broken' }];
+  expect(parseRules(JSON.stringify(saved))).toEqual([saved[0]]);
+  expect(parseRules('not json')).toEqual([]);
+  expect(parseRules('{}')).toEqual([]);
+});
@@ -0,0 +1,65 @@
+import { TRANSLATIONS } from './translations';
+
+// Languages of the interface, with the locale used to format numbers and dates
+export const LANGUAGES = [
+  { key: 'en', label: 'English', locale: 'en-GB' },
+  { key: 'nl', label: 'Nederlands', locale: 'nl-NL' }
+];
+
+export const DEFAULT_LANGUAGE = 'en';
+
+const getLanguage = (key) => LANGUAGES.find(language => language.key === key) || LANGUAGES[0];
+
+// First supported language of the browser, or English
+export const detectLanguage = (preferred = []) => {
+  const match = preferred
+    .map(tag => String(tag).toLowerCase().split('-')[0])
+    .find(key => LANGUAGES.some(language => language.key === key));
+  return match || DEFAULT_LANGUAGE;
+};
+
+// Intl formatters are expensive to create, so they are kept per locale and options
+const formatters = new Map();
+const getFormatter = (Formatter, locale, options) => {
+  const cacheKey = `${Formatter.name}|${locale}|${JSON.stringify(options)}`;
+  if (!formatters.has(cacheKey)) {
+    formatters.set(cacheKey, new Formatter(locale, options));
+  }
+  return formatters.get(cacheKey);
+};
+
+const toDigits = (digits) => (digits === undefined ? {} : { minimumFractionDigits: digits, maximumFractionDigits: digits });
+
+export const formatNumber = (value, locale = getLanguage(DEFAULT_LANGUAGE).locale, digits) => (
+  getFormatter(Intl.NumberFormat, locale, toDigits(digits)).format(Number.isFinite(value) ? value : 0)
+);
+
+// Replace {name} placeholders with the matching parameter
+const interpolate = (message, params) => message.replace(
+  /\{(\w+)\}/g,
+  (placeholder, name) => (params && params[name] !== undefined ? String(params[name]) : placeholder)
+);
+
+// Translation and formatting for one language. Keys missing from a language
+// fall back to English, and to the key itself when English lacks them too.
+export const createLocale = (language = DEFAULT_LANGUAGE) => {
+  const { key, locale } = getLanguage(language);
+  const messages = TRANSLATIONS[key];
+  const fallback = TRANSLATIONS[DEFAULT_LANGUAGE];
+  const format = (Formatter, options) => (value) => getFormatter(Formatter, locale, options).format(value);
+
+  return {
+    language: key,
+    locale,
+    t: (messageKey, params) => interpolate(messages[messageKey] ?? fallback[messageKey] ?? messageKey, params),
+    // Numbers with a fixed number of decimals, or as many as needed
+    formatNumber: (value, digits) => formatNumber(value, locale, digits),
+    // Fractions as percentages: 0.25 is 25%
+    formatPercent: (fraction, digits = 1) => getFormatter(Intl.NumberFormat, locale, { style: 'percent', ...toDigits(digits) })
+      .format(Number.isFinite(fraction) ? fraction : 0),
+    formatDate: format(Intl.DateTimeFormat, { day: 'numeric', month: 'short', year: 'numeric' }),
+    formatDateTime: format(Intl.DateTimeFormat, { day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' }),
+    formatMonth: format(Intl.DateTimeFormat, { month: 'short', year: 'numeric' }),
+    formatShortMonth: format(Intl.DateTimeFormat, { month: 'short', year: '2-digit' })
+  };
+};
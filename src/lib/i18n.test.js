@@ -0,0 +1,36 @@
+import { LANGUAGES, createLocale, detectLanguage, formatNumber } from './i18n';
+import { TRANSLATIONS } from './translations';
+
+test('translates every English key to Dutch', () => {
+  expect(LANGUAGES.map(language => language.key)).toEqual(Object.keys(TRANSLATIONS));
+  expect(Object.keys(TRANSLATIONS.nl).sort()).toEqual(Object.keys(TRANSLATIONS.en).sort());
+});
+
+test('fills in parameters and falls back to the key', () => {
+  const { t } = createLocale('nl');
+
+  expect(t('tab.employees', { count: 4 })).toBe('Medewerkers (4)');
+  expect(t('structure.column', {})).toBe('Kolom {column}');
+  expect(t('no.such.key')).toBe('no.such.key');
+  expect(createLocale('fr').language).toBe('en');
+});
+
+test('formats numbers, percentages and dates for the language', () => {
+  const en = createLocale('en');
+  const nl = createLocale('nl');
+  const date = new Date(2024, 2, 5, 9, 30);
+
+  expect(en.formatPercent(1 / 3)).toBe('33.3%');
+  expect(nl.formatPercent(1 / 3)).toBe('33,3%');
+  expect(nl.formatNumber(1234.5, 1)).toBe('1.234,5');
+  expect(formatNumber(1234.5)).toBe('1,234.5');
+  expect(en.formatDate(date)).toBe('5 Mar 2024');
+  expect(nl.formatDate(date)).toBe('5 mrt 2024');
+  expect(nl.formatMonth(date)).toBe('mrt 2024');
+});
+
+test('picks the first supported browser language', () => {
+  expect(detectLanguage(['de-DE', 'nl-BE', 'en'])).toBe('nl');
+  expect(detectLanguage(['fr'])).toBe('en');
+  expect(detectLanguage()).toBe('en');
+});
@@ -0,0 +1,151 @@
+import { getHeadersKey } from './columnMapping';
+
+// Recent sessions and mapping profiles are kept in the browser's IndexedDB and
+// never leave it. A session is split in a small summary, listed on the upload
+// screen, and parts only read when it is reopened: the file, its analysis and
+// the corrections made since. Each part is written when it changes, so a
+// correction doesn't write the file and every employee again.
+const DATABASE_NAME = 'employee-excel-viewer';
+const DATABASE_VERSION = 2;
+const SESSIONS = 'sessions';
+const SESSION_DATA = 'sessionData';
+const SESSION_FILES = 'sessionFiles';
+const SESSION_EDITS = 'sessionEdits';
+const PROFILES = 'profiles';
+const SESSION_STORES = [SESSIONS, SESSION_DATA, SESSION_FILES, SESSION_EDITS];
+const STORE_KEYS = {
+  [SESSIONS]: 'id',
+  [SESSION_DATA]: 'id',
+  [SESSION_FILES]: 'id',
+  [SESSION_EDITS]: 'id',
+  [PROFILES]: 'key'
+};
+
+// Older sessions are forgotten when more are saved
+export const MAX_RECENT_SESSIONS = 10;
+
+// The same file opened again continues its earlier session
+export const getSessionId = (file) => `${file.name}|${file.size}|${file.lastModified || 0}`;
+
+// Sessions beyond the most recently saved ones
+export const getSessionsToForget = (sessions, limit = MAX_RECENT_SESSIONS) => (
+  [...sessions]
+    .sort((a, b) => b.savedAt - a.savedAt)
+    .slice(limit)
+);
+
+// Some browsers and private windows have no IndexedDB; nothing is kept there
+export const isLocalStoreAvailable = () => typeof indexedDB !== 'undefined';
+
+const openDatabase = () => new Promise((resolve, reject) => {
+  if (!isLocalStoreAvailable()) {
+    reject(new Error('IndexedDB is not available.'));
+    return;
+  }
+
+  const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+  // Version 1 kept the file and corrections in the analysis; those sessions
+  // are still read as they were saved
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    Object.entries(STORE_KEYS)
+      .filter(([name]) => !db.objectStoreNames.contains(name))
+      .forEach(([name, keyPath]) => db.createObjectStore(name, { keyPath }));
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Run an operation on the named stores in one transaction. The operation gets
+// the stores and returns a request, or a list of requests, whose results are
+// resolved once the transaction has completed.
+const runTransaction = async (storeNames, mode, operation) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, mode);
+    const requests = operation(...storeNames.map(name => transaction.objectStore(name)));
+
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(Array.isArray(requests) ? requests.map(request => request.result) : requests && requests.result);
+    };
+    transaction.onerror = transaction.onabort = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+};
+
+// Summaries of the saved sessions, most recent first
+export const listSessions = async () => {
+  const sessions = await runTransaction([SESSIONS], 'readonly', store => store.getAll());
+  return sessions.sort((a, b) => b.savedAt - a.savedAt);
+};
+
+export const deleteSessions = (ids) => runTransaction(SESSION_STORES, 'readwrite', (...stores) => {
+  ids.forEach(id => stores.forEach(store => store.delete(id)));
+});
+
+// Save the summary of a session; it becomes the most recent one
+export const saveSession = async (summary) => {
+  await runTransaction([SESSIONS], 'readwrite', store => store.put({ ...summary, savedAt: new Date() }));
+
+  const expired = getSessionsToForget(await listSessions());
+  if (expired.length) {
+    await deleteSessions(expired.map(session => session.id));
+  }
+};
+
+// Save the file of a session, once when it is opened
+export const saveSessionFile = (id, file) => (
+  runTransaction([SESSION_FILES], 'readwrite', store => store.put({ id, file }))
+);
+
+// Save the analysis of a session: its structure, mapping and employees as analyzed
+export const saveSessionData = (id, sessionData) => (
+  runTransaction([SESSION_DATA], 'readwrite', store => store.put({ ...sessionData, id }))
+);
+
+// Save the corrections of a session and the pseudonyms shown for it
+export const saveSessionEdits = (id, edits) => (
+  runTransaction([SESSION_EDITS], 'readwrite', store => store.put({ ...edits, id }))
+);
+
+// Summary, file, analysis and corrections of a session, or null when it is gone
+export const loadSession = async (id) => {
+  const [summary, sessionData, sessionFile, sessionEdits] = await runTransaction(
+    SESSION_STORES,
+    'readonly',
+    (...stores) => stores.map(store => store.get(id))
+  );
+  if (!summary || !sessionData) return null;
+  const session = { ...sessionData, ...sessionFile, ...sessionEdits, ...summary };
+  return session.file ? session : null;
+};
+
+// Remember the column mapping and presence vocabulary for files with these headers
+export const saveProfile = (headers, profile) => runTransaction([PROFILES], 'readwrite', store => store.put({
+  ...profile,
+  key: getHeadersKey(headers),
+  headers,
+  savedAt: new Date()
+}));
+
+// The profile saved for files with these headers, or null
+export const findProfile = async (headers) => (
+  (await runTransaction([PROFILES], 'readonly', store => store.get(getHeadersKey(headers)))) || null
+);
+
+// Remove the database with all sessions and profiles. When another tab still
+// has it open, it is removed as soon as that tab closes it.
+export const forgetLocalData = () => new Promise((resolve, reject) => {
+  if (!isLocalStoreAvailable()) {
+    resolve();
+    return;
+  }
+
+  const request = indexedDB.deleteDatabase(DATABASE_NAME);
+  request.onsuccess = () => resolve();
+  request.onblocked = () => resolve();
+  request.onerror = () => reject(request.error);
+});
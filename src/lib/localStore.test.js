@@ -0,0 +1,27 @@
+import { isLocalStoreAvailable, getSessionId, getSessionsToForget, listSessions, findProfile, forgetLocalData } from './localStore';
+
+test('identifies a session by the file name, size and modification time', () => {
+  const file = { name: 'staff.xlsx', size: 2048, lastModified: 1700000000000 };
+
+  expect(getSessionId(file)).toBe('staff.xlsx|2048|1700000000000');
+  expect(getSessionId({ ...file, size: 4096 })).not.toBe(getSessionId(file));
+});
+
+test('forgets the sessions saved longest ago beyond the limit', () => {
+  const sessions = [
+    { id: 'a', savedAt: new Date(2024, 0, 3) },
+    { id: 'b', savedAt: new Date(2024, 0, 1) },
+    { id: 'c', savedAt: new Date(2024, 0, 4) },
+    { id: 'd', savedAt: new Date(2024, 0, 2) }
+  ];
+
+  expect(getSessionsToForget(sessions, 2).map(session => session.id)).toEqual(['d', 'b']);
+  expect(getSessionsToForget(sessions)).toEqual([]);
+});
+
+test('rejects reads when the browser has no IndexedDB', async () => {
+  expect(isLocalStoreAvailable()).toBe(false);
+  await expect(listSessions()).rejects.toThrow('IndexedDB is not available.');
+  await expect(findProfile(['Name'])).rejects.toThrow('IndexedDB is not available.');
+  await expect(forgetLocalData()).resolves.toBeUndefined();
+});
@@ -0,0 +1,35 @@
+import { formatNumber } from './i18n';
+
+// Statistics can be shown as headcount or as FTE (part-time % / 100)
+export const METRICS = [
+  { key: 'headcount', label: 'Headcount' },
+  { key: 'fte', label: 'FTE' }
+];
+
+// Total, present, absent and unknown of a statistics row in the chosen metric
+export const getMetricValues = (stat, metric = 'headcount') => (metric === 'fte'
+  ? { total: stat.totalFte, present: stat.presentFte, absent: stat.absentFte, unknown: stat.unknownFte }
+  : { total: stat.totalEmployees, present: stat.presentEmployees, absent: stat.absentEmployees, unknown: stat.unknownEmployees });
+
+// Sum the metric over all statistics rows
+export const sumMetricValues = (stats, metric = 'headcount') => Object.values(stats).reduce((sum, stat) => {
+  const values = getMetricValues(stat, metric);
+  return {
+    total: sum.total + values.total,
+    present: sum.present + values.present,
+    absent: sum.absent + values.absent,
+    unknown: sum.unknown + values.unknown
+  };
+}, { total: 0, present: 0, absent: 0, unknown: 0 });
+
+// Average part-time % over all employees of the statistics rows, 0 when there are none
+export const averagePartTime = stats => {
+  const employees = Object.values(stats).reduce((sum, stat) => sum + stat.totalEmployees, 0);
+  const partTime = Object.values(stats).reduce((sum, stat) => sum + stat.totalPartTimePercentage, 0);
+  return employees ? partTime / employees : 0;
+};
+
+// FTE is shown with one decimal, headcount as is, in the number format of the locale
+export const formatMetricValue = (value, metric = 'headcount', locale) => (metric === 'fte'
+  ? formatNumber(Math.round(value * 10) / 10, locale, 1)
+  : formatNumber(value, locale));
@@ -0,0 +1,150 @@
+import { parsePartTimePercentage } from './employeeData';
+import { getPresenceStatus } from './presence';
+
+const normalizeKey = (value) => (value === undefined || value === null ? '' : String(value).trim().toLowerCase());
+
+const compareNames = (a, b) => String(a.name || '').localeCompare(String(b.name || ''), undefined, { numeric: true });
+
+// Index of the employee a manager value refers to, matched on id first and
+// then on name. The first employee in the file wins when names repeat.
+const createManagerLookup = (employees) => {
+  const byId = new Map();
+  const byName = new Map();
+  employees.forEach((employee, index) => {
+    const id = normalizeKey(employee.id);
+    const name = normalizeKey(employee.name);
+    if (id && !byId.has(id)) byId.set(id, index);
+    if (name && !byName.has(name)) byName.set(name, index);
+  });
+  return (manager) => {
+    const key = normalizeKey(manager);
+    if (!key) return null;
+    if (byId.has(key)) return byId.get(key);
+    return byName.has(key) ? byName.get(key) : null;
+  };
+};
+
+// Follow every employee's chain of managers and return the loops found, as
+// lists of employee indexes in reporting order
+const findCycles = (parents) => {
+  const state = new Array(parents.length).fill(0);
+  const cycles = [];
+
+  parents.forEach((_, start) => {
+    const path = [];
+    let node = start;
+    while (node !== null && state[node] === 0) {
+      state[node] = 1;
+      path.push(node);
+      node = parents[node];
+    }
+    if (node !== null && state[node] === 1) {
+      cycles.push(path.slice(path.indexOf(node)));
+    }
+    path.forEach(index => {
+      state[index] = 2;
+    });
+  });
+
+  return cycles;
+};
+
+// Add up the reports below a node: direct and total reports, present, absent
+// and unknown reports and their FTE. The node itself is not counted.
+const rollUp = (node) => {
+  node.directReports = node.children.length;
+  node.totalReports = 0;
+  node.present = 0;
+  node.absent = 0;
+  node.unknown = 0;
+  node.fte = 0;
+  node.children.forEach(child => {
+    rollUp(child);
+    node.totalReports += 1 + child.totalReports;
+    node.present += child.present;
+    node.absent += child.absent;
+    node.unknown += child.unknown;
+    node[getPresenceStatus(child.employee)]++;
+    node.fte += child.fte + parsePartTimePercentage(child.employee.partTimePercentage) / 100;
+  });
+};
+
+// Build the reporting tree from the manager column. Managers are resolved
+// against employee ids and names; managers that are not in the roster become
+// extra root nodes flagged `missing`. Every loop is broken at its first
+// employee in file order, which then becomes a root, and its members are
+// flagged `inCycle`.
+// With pseudonymisation, pass the real records as well, in the same order:
+// managers are then resolved against the real names and ids, so they match
+// whichever fields are pseudonymised, while the tree only shows the
+// pseudonymised records.
+export const buildOrgTree = (employees, realEmployees = employees) => {
+  const findManager = createManagerLookup(realEmployees);
+  const parents = realEmployees.map(employee => findManager(employee.manager));
+  const cycles = findCycles(parents);
+
+  const inCycle = new Set();
+  cycles.forEach(cycle => {
+    cycle.forEach(index => inCycle.add(index));
+    parents[Math.min(...cycle)] = null;
+  });
+
+  const nodes = employees.map((employee, index) => ({
+    key: `employee-${index}`,
+    name: employee.name,
+    employee,
+    missing: false,
+    inCycle: inCycle.has(index),
+    children: []
+  }));
+
+  const roots = [];
+  const missingManagers = new Map();
+  employees.forEach((employee, index) => {
+    if (parents[index] !== null) {
+      nodes[parents[index]].children.push(nodes[index]);
+    } else if (normalizeKey(realEmployees[index].manager) && !inCycle.has(index)) {
+      const key = normalizeKey(realEmployees[index].manager);
+      if (!missingManagers.has(key)) {
+        const missing = { key: `missing-${normalizeKey(employee.manager)}`, name: String(employee.manager).trim(), employee: null, missing: true, inCycle: false, children: [] };
+        missingManagers.set(key, missing);
+        roots.push(missing);
+      }
+      missingManagers.get(key).children.push(nodes[index]);
+    } else {
+      roots.push(nodes[index]);
+    }
+  });
+
+  const sortChildren = (node) => {
+    node.children.sort(compareNames);
+    node.children.forEach(sortChildren);
+  };
+  roots.sort(compareNames);
+  roots.forEach(node => {
+    sortChildren(node);
+    rollUp(node);
+  });
+
+  return {
+    roots,
+    cycles: cycles.map(cycle => cycle.map(index => employees[index].name)),
+    missingManagers: [...missingManagers.values()].map(node => node.name).sort()
+  };
+};
+
+// Span of control over every node with at least one direct report
+export const summarizeSpanOfControl = (roots) => {
+  const spans = [];
+  const visit = (node) => {
+    if (node.directReports > 0) spans.push(node.directReports);
+    node.children.forEach(visit);
+  };
+  roots.forEach(visit);
+
+  return {
+    managers: spans.length,
+    average: spans.length ? spans.reduce((sum, span) => sum + span, 0) / spans.length : 0,
+    max: spans.length ? Math.max(...spans) : 0
+  };
+};
@@ -0,0 +1,61 @@
+import { buildOrgTree, summarizeSpanOfControl } from './orgTree';
+
+const employees = [
+  { id: 1, name: 'Carol', manager: '', partTimePercentage: 100, present: 'ja' },
+  { id: 2, name: 'Bob', manager: 'Carol', partTimePercentage: 80, present: 'nee' },
+  { id: 3, name: 'Anna', manager: '2', partTimePercentage: 100, present: 'ja' },
+  { id: 4, name: 'Cees', manager: 'bob ', partTimePercentage: 50, present: 'ja' },
+  { id: 5, name: 'Dirk', manager: 'Erik', partTimePercentage: 100, present: 'nee' }
+];
+
+test('resolves managers by id or name and rolls up the counts', () => {
+  const { roots, cycles, missingManagers } = buildOrgTree(employees);
+  const carol = roots.find(node => node.name === 'Carol');
+  const bob = carol.children[0];
+
+  expect(bob.children.map(node => node.name)).toEqual(['Anna', 'Cees']);
+  expect(carol).toMatchObject({ directReports: 1, totalReports: 3, present: 2, absent: 1, unknown: 0 });
+  expect(carol.fte).toBeCloseTo(2.3);
+  expect(bob).toMatchObject({ directReports: 2, totalReports: 2, present: 2, absent: 0 });
+  expect(cycles).toEqual([]);
+  expect(missingManagers).toEqual(['Erik']);
+});
+
+test('groups employees under managers missing from the roster', () => {
+  const { roots } = buildOrgTree(employees);
+  const erik = roots.find(node => node.name === 'Erik');
+
+  expect(erik).toMatchObject({ missing: true, employee: null, directReports: 1, absent: 1 });
+});
+
+test('flags reporting cycles and breaks them at the first employee', () => {
+  const { roots, cycles } = buildOrgTree([
+    { name: 'Anna', manager: 'Bob' },
+    { name: 'Bob', manager: 'Cees' },
+    { name: 'Cees', manager: 'Anna' },
+    { name: 'Dirk', manager: 'Dirk' }
+  ]);
+
+  expect(cycles).toEqual([['Anna', 'Bob', 'Cees'], ['Dirk']]);
+  expect(roots.map(node => node.name)).toEqual(['Anna', 'Dirk']);
+  expect(roots[0]).toMatchObject({ inCycle: true, totalReports: 2 });
+});
+
+test('summarises the span of control', () => {
+  const { roots } = buildOrgTree(employees);
+
+  expect(summarizeSpanOfControl(roots)).toEqual({ managers: 3, average: 4 / 3, max: 2 });
+});
+
+test('resolves managers on the real values and shows the pseudonymised records', () => {
+  const pseudonyms = { Carol: 'Person 0001', Bob: 'Person 0002', Anna: 'Person 0003', Cees: 'Person 0004', Dirk: 'Person 0005' };
+  const shown = employees.map(employee => ({ ...employee, id: `ID-${employee.id}`, name: pseudonyms[employee.name] }));
+  const { roots, missingManagers } = buildOrgTree(shown, employees);
+  const carol = roots.find(node => node.name === 'Person 0001');
+
+  expect(roots.map(node => node.name)).toEqual(['Erik', 'Person 0001']);
+  expect(carol.totalReports).toBe(3);
+  expect(carol.children[0].children.map(node => node.name)).toEqual(['Person 0003', 'Person 0004']);
+  expect(carol.children[0].employee).toBe(shown[1]);
+  expect(missingManagers).toEqual(['Erik']);
+});
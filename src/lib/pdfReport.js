@@ -0,0 +1,414 @@
+import { jsPDF } from 'jspdf';
+import { CHART_COLORS, PRESENT_COLOR, ABSENT_COLOR, UNKNOWN_COLOR, TOTAL_COLOR, PART_TIME_COLOR } from './chartColors';
+import { getMetricValues, sumMetricValues, averagePartTime, formatMetricValue } from './metrics';
+import { createLocale } from './i18n';
+
+const MARGIN = 15;
+const LINE_HEIGHT = 5;
+const ROW_HEIGHT = 6;
+const CHART_HEIGHT = 70;
+const CHART_GAP = 6;
+
+// Totals in the chosen metric, plus the average part-time % over all employees
+const sumStats = (stats, metric) => ({ ...sumMetricValues(stats, metric), averagePartTime: averagePartTime(stats) });
+
+// Shorten text with an ellipsis until it fits the width
+const fitText = (doc, text, width) => {
+  let value = String(text ?? '');
+  if (doc.getTextWidth(value) <= width) return value;
+  while (value.length > 1 && doc.getTextWidth(`${value}...`) > width) {
+    value = value.slice(0, -1);
+  }
+  return `${value}...`;
+};
+
+// Keeps track of the vertical position and starts new pages when needed
+const createCursor = (doc) => {
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const cursor = {
+    y: MARGIN,
+    // Start a new page when a block of this height doesn't fit; returns
+    // whether a page was added
+    ensureSpace: (height) => {
+      if (cursor.y + height <= pageHeight - MARGIN) return false;
+      doc.addPage();
+      cursor.y = MARGIN;
+      return true;
+    }
+  };
+  return cursor;
+};
+
+const drawSectionTitle = (doc, cursor, title) => {
+  cursor.ensureSpace(LINE_HEIGHT * 3);
+  cursor.y += LINE_HEIGHT;
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(12);
+  doc.setTextColor('#111827');
+  doc.text(title, MARGIN, cursor.y);
+  cursor.y += LINE_HEIGHT;
+};
+
+const drawHeader = (doc, cursor, { title, fileName, sheetNames, referenceDate, generatedAt }, { t, formatDate, formatDateTime }) => {
+  const width = doc.internal.pageSize.getWidth();
+
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(16);
+  doc.setTextColor('#111827');
+  doc.text(title, MARGIN, cursor.y + 4);
+  cursor.y += LINE_HEIGHT * 2;
+
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  doc.setTextColor('#4b5563');
+  [
+    `${t('report.file')}: ${fileName}`,
+    `${t(sheetNames.length > 1 ? 'report.sheets' : 'common.sheet')}: ${sheetNames.join(', ')}`,
+    ...(referenceDate ? [`${t('referenceDate.activeAsOf')}: ${formatDate(referenceDate)}`] : []),
+    `${t('report.generated')}: ${formatDateTime(generatedAt)}`
+  ].forEach(line => {
+    doc.text(fitText(doc, line, width - MARGIN * 2), MARGIN, cursor.y);
+    cursor.y += LINE_HEIGHT - 1;
+  });
+
+  doc.setDrawColor('#d1d5db');
+  doc.line(MARGIN, cursor.y, width - MARGIN, cursor.y);
+  cursor.y += 2;
+};
+
+// Present, absent and unknown as one bar across the page
+const drawParticipationBar = (doc, cursor, totals, metric, { t, locale, formatPercent }) => {
+  const width = doc.internal.pageSize.getWidth() - MARGIN * 2;
+  const presentShare = totals.total ? totals.present / totals.total : 0;
+  const absentShare = totals.total ? totals.absent / totals.total : 0;
+  const unknownShare = totals.total ? totals.unknown / totals.total : 0;
+
+  drawSectionTitle(doc, cursor, `${t('charts.participation')}${metric === 'fte' ? ' (FTE)' : ''}`);
+  cursor.ensureSpace(LINE_HEIGHT + 8);
+
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(9);
+  doc.setTextColor(PRESENT_COLOR);
+  doc.text(
+    `${t('status.present')}: ${formatMetricValue(totals.present, metric, locale)} (${formatPercent(presentShare)})`,
+    MARGIN,
+    cursor.y
+  );
+  doc.setTextColor(ABSENT_COLOR);
+  doc.text(
+    `${t('status.absent')}: ${formatMetricValue(totals.absent, metric, locale)} (${formatPercent(absentShare)})`,
+    MARGIN + width,
+    cursor.y,
+    { align: 'right' }
+  );
+  if (totals.unknown) {
+    doc.setTextColor(UNKNOWN_COLOR);
+    doc.text(
+      `${t('status.unknown')}: ${formatMetricValue(totals.unknown, metric, locale)} (${formatPercent(unknownShare)})`,
+      MARGIN + width / 2,
+      cursor.y,
+      { align: 'center' }
+    );
+  }
+  cursor.y += 2;
+
+  doc.setFillColor('#e5e7eb');
+  doc.rect(MARGIN, cursor.y, width, 6, 'F');
+  if (totals.total) {
+    doc.setFillColor(PRESENT_COLOR);
+    doc.rect(MARGIN, cursor.y, width * presentShare, 6, 'F');
+    doc.setFillColor(ABSENT_COLOR);
+    doc.rect(MARGIN + width * presentShare, cursor.y, width * absentShare, 6, 'F');
+    doc.setFillColor(UNKNOWN_COLOR);
+    doc.rect(MARGIN + width * (presentShare + absentShare), cursor.y, width * unknownShare, 6, 'F');
+  }
+  cursor.y += 8;
+};
+
+// Statistics table; the header row is repeated on every page and sub-groups
+// are indented below their group
+const drawStatisticsTable = (doc, cursor, { groupLabel, subGroupLabel, stats, totals, metric }, { t, locale, formatPercent }) => {
+  const width = doc.internal.pageSize.getWidth() - MARGIN * 2;
+  const numberWidth = 26;
+  const labelWidth = width - numberWidth * 5;
+
+  const drawRow = (cells, { bold = false, fill = null, indent = 0 } = {}) => {
+    if (fill) {
+      doc.setFillColor(fill);
+      doc.rect(MARGIN, cursor.y, width, ROW_HEIGHT, 'F');
+    }
+    doc.setFont('helvetica', bold ? 'bold' : 'normal');
+    doc.setFontSize(9);
+    doc.setTextColor(indent ? '#374151' : '#111827');
+    const textY = cursor.y + ROW_HEIGHT - 1.8;
+    doc.text(fitText(doc, cells[0], labelWidth - 4 - indent), MARGIN + 2 + indent, textY);
+    cells.slice(1).forEach((cell, index) => {
+      doc.text(String(cell), MARGIN + labelWidth + numberWidth * (index + 1) - 2, textY, { align: 'right' });
+    });
+    doc.setDrawColor('#e5e7eb');
+    doc.line(MARGIN, cursor.y + ROW_HEIGHT, MARGIN + width, cursor.y + ROW_HEIGHT);
+    cursor.y += ROW_HEIGHT;
+  };
+
+  const label = subGroupLabel ? `${groupLabel} / ${subGroupLabel}` : groupLabel;
+  const header = metric === 'fte'
+    ? [label, ...['total', 'present', 'absent', 'unknown'].map(key => t(`statistics.fte.${key}`)), t('statistics.averagePartTime')]
+    : [label, t('common.total'), t('status.present'), t('status.absent'), t('status.unknown'), t('statistics.averagePartTime')];
+  const format = (values) => ['total', 'present', 'absent', 'unknown'].map(key => formatMetricValue(values[key], metric, locale));
+  const drawStatRow = (name, stat, options) => {
+    if (cursor.ensureSpace(ROW_HEIGHT)) {
+      drawRow(header, { bold: true, fill: '#f3f4f6' });
+    }
+    drawRow([name, ...format(getMetricValues(stat, metric)), formatPercent(stat.avgPartTimePercentage / 100, 2)], options);
+  };
+
+  drawSectionTitle(doc, cursor, t('report.statisticsPer', { group: label }));
+  cursor.ensureSpace(ROW_HEIGHT * 2);
+  drawRow(header, { bold: true, fill: '#f3f4f6' });
+
+  Object.entries(stats).forEach(([group, stat], index) => {
+    drawStatRow(group, stat, { bold: Boolean(stat.subgroups), fill: index % 2 === 0 ? '#f9fafb' : null });
+    Object.entries(stat.subgroups || {}).forEach(([subGroup, subStat]) => {
+      drawStatRow(subGroup, subStat, { indent: 6 });
+    });
+  });
+
+  cursor.ensureSpace(ROW_HEIGHT);
+  drawRow(
+    [t('common.total'), ...format(totals), formatPercent(totals.averagePartTime / 100)],
+    { bold: true, fill: '#eff6ff' }
+  );
+};
+
+const drawChartFrame = (doc, x, y, width, title) => {
+  doc.setDrawColor('#e5e7eb');
+  doc.rect(x, y, width, CHART_HEIGHT, 'S');
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(10);
+  doc.setTextColor('#111827');
+  doc.text(fitText(doc, title, width - 6), x + 3, y + 6);
+};
+
+// Pie slices are drawn as polygons that follow the arc
+const drawPieChart = (doc, x, y, width, { title, entries, formatValue = String, formatShare, moreLabel }) => {
+  drawChartFrame(doc, x, y, width, title);
+
+  const total = entries.reduce((sum, [, value]) => sum + value, 0);
+  const radius = 20;
+  const center = { x: x + 4 + radius, y: y + CHART_HEIGHT / 2 + 3 };
+  let startAngle = -Math.PI / 2;
+
+  entries.forEach(([, value], index) => {
+    if (!value) return;
+    const angle = (value / total) * 2 * Math.PI;
+    const steps = Math.max(2, Math.ceil(angle / (Math.PI / 36)));
+    const points = [[center.x, center.y]];
+    for (let step = 0; step <= steps; step++) {
+      const pointAngle = startAngle + (angle * step) / steps;
+      points.push([center.x + radius * Math.cos(pointAngle), center.y + radius * Math.sin(pointAngle)]);
+    }
+    const deltas = points.slice(1).map((point, i) => [point[0] - points[i][0], point[1] - points[i][1]]);
+
+    doc.setFillColor(CHART_COLORS[index % CHART_COLORS.length]);
+    doc.lines(deltas, center.x, center.y, [1, 1], 'F', true);
+    startAngle += angle;
+  });
+
+  // Legend to the right of the pie, as many entries as fit
+  const legendX = center.x + radius + 5;
+  const legendWidth = x + width - legendX - 3;
+  const maxEntries = Math.floor((CHART_HEIGHT - 12) / 4);
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(7);
+  doc.setTextColor('#111827');
+  entries.slice(0, maxEntries).forEach(([label, value], index) => {
+    const legendY = y + 12 + index * 4;
+    doc.setFillColor(CHART_COLORS[index % CHART_COLORS.length]);
+    doc.rect(legendX, legendY - 2.2, 2.5, 2.5, 'F');
+    const share = formatShare(total ? value / total : 0);
+    doc.text(fitText(doc, `${label} (${formatValue(value)}, ${share})`, legendWidth - 4), legendX + 4, legendY);
+  });
+  if (entries.length > maxEntries) {
+    doc.text(moreLabel(entries.length - maxEntries), legendX + 4, y + 12 + maxEntries * 4);
+  }
+};
+
+// Vertical bars per group; series are stacked on top of each other. The
+// scale reaches at least maxValue, or further when a bar is higher.
+const drawBarChart = (doc, x, y, width, { title, labels, series, maxValue, formatValue = String }) => {
+  drawChartFrame(doc, x, y, width, title);
+
+  const plot = { x: x + 4, y: y + 16, width: width - 8, height: CHART_HEIGHT - 34 };
+  const totals = labels.map((_, index) => series.reduce((sum, serie) => sum + serie.values[index], 0));
+  const scale = Math.max(maxValue || 1, ...totals);
+  const slot = plot.width / Math.max(1, labels.length);
+  const barWidth = Math.min(slot * 0.7, 12);
+  const baseline = plot.y + plot.height;
+
+  doc.setDrawColor('#9ca3af');
+  doc.line(plot.x, baseline, plot.x + plot.width, baseline);
+
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(Math.max(4, Math.min(7, slot * 1.2)));
+  doc.setTextColor('#111827');
+
+  labels.forEach((label, index) => {
+    const barX = plot.x + slot * index + (slot - barWidth) / 2;
+    let top = baseline;
+    series.forEach(serie => {
+      const height = (serie.values[index] / scale) * plot.height;
+      top -= height;
+      doc.setFillColor(serie.color);
+      doc.rect(barX, top, barWidth, height, 'F');
+    });
+
+    if (slot >= 5) {
+      doc.text(formatValue(totals[index]), barX + barWidth / 2, top - 1, { align: 'center' });
+    }
+    doc.text(fitText(doc, label, 16), barX + barWidth / 2, baseline + 2, { angle: -45 });
+  });
+
+  // Legend for stacked series, below the title
+  if (series.length > 1) {
+    doc.setFontSize(7);
+    series.forEach((serie, index) => {
+      const legendX = x + 3 + index * 20;
+      doc.setFillColor(serie.color);
+      doc.rect(legendX, y + 8.8, 2.5, 2.5, 'F');
+      doc.text(serie.label, legendX + 3.5, y + 11);
+    });
+  }
+};
+
+const drawCharts = (doc, cursor, { groupLabel, stats, metric }, { t, locale, formatNumber, formatPercent }) => {
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const chartWidth = (pageWidth - MARGIN * 2 - CHART_GAP) / 2;
+  const entries = Object.entries(stats);
+  const labels = entries.map(([group]) => group);
+  const values = entries.map(([, stat]) => getMetricValues(stat, metric));
+  const suffix = metric === 'fte' ? ' (FTE)' : '';
+  const formatValue = value => formatMetricValue(value, metric, locale);
+
+  const charts = [
+    (x, y) => drawPieChart(doc, x, y, chartWidth, {
+      title: `${t('charts.share', { group: groupLabel })}${suffix}`,
+      entries: entries.map(([group], index) => [group, values[index].total]),
+      formatValue,
+      formatShare: share => formatPercent(share, 0),
+      moreLabel: count => t('report.more', { count: formatNumber(count) })
+    }),
+    (x, y) => drawBarChart(doc, x, y, chartWidth, {
+      title: t(`charts.${metric}PerGroup`, { group: groupLabel }),
+      labels,
+      series: [{ label: t('common.total'), color: TOTAL_COLOR, values: values.map(value => value.total) }],
+      formatValue
+    }),
+    (x, y) => drawBarChart(doc, x, y, chartWidth, {
+      title: `${t('charts.presence', { group: groupLabel })}${suffix}`,
+      labels,
+      series: [
+        { label: t('status.present'), color: PRESENT_COLOR, values: values.map(value => value.present) },
+        { label: t('status.absent'), color: ABSENT_COLOR, values: values.map(value => value.absent) },
+        { label: t('status.unknown'), color: UNKNOWN_COLOR, values: values.map(value => value.unknown) }
+      ],
+      formatValue
+    }),
+    (x, y) => drawBarChart(doc, x, y, chartWidth, {
+      title: t('charts.partTime', { group: groupLabel }),
+      labels,
+      series: [{ label: t('field.partTimePercentage'), color: PART_TIME_COLOR, values: entries.map(([, stat]) => parseFloat(stat.avgPartTimePercentage) || 0) }],
+      maxValue: 100,
+      formatValue: value => formatPercent(value / 100, 0)
+    })
+  ];
+
+  drawSectionTitle(doc, cursor, t('report.chartsPer', { group: groupLabel }));
+  for (let index = 0; index < charts.length; index += 2) {
+    cursor.ensureSpace(CHART_HEIGHT);
+    charts[index](MARGIN, cursor.y);
+    charts[index + 1](MARGIN + chartWidth + CHART_GAP, cursor.y);
+    cursor.y += CHART_HEIGHT + CHART_GAP;
+  }
+};
+
+const drawNonParticipants = (doc, cursor, nonParticipants, { t, formatNumber }) => {
+  const width = doc.internal.pageSize.getWidth() - MARGIN * 2;
+  const count = nonParticipants.reduce((sum, [, employees]) => sum + employees.length, 0);
+
+  drawSectionTitle(doc, cursor, t('report.nonParticipants', { count: formatNumber(count) }));
+  doc.setFontSize(9);
+
+  if (!nonParticipants.length) {
+    doc.setFont('helvetica', 'normal');
+    doc.text(t('report.everyoneParticipates'), MARGIN, cursor.y + 1);
+    cursor.y += LINE_HEIGHT;
+    return;
+  }
+
+  nonParticipants.forEach(([manager, employees]) => {
+    cursor.ensureSpace(LINE_HEIGHT * 2);
+    doc.setFont('helvetica', 'bold');
+    doc.setTextColor('#111827');
+    doc.text(fitText(doc, `${manager} (${formatNumber(employees.length)})`, width), MARGIN, cursor.y + 1);
+    cursor.y += LINE_HEIGHT - 0.5;
+
+    doc.setFont('helvetica', 'normal');
+    doc.setTextColor('#374151');
+    const names = employees.map(employee => employee.name || t('report.noName')).join(', ');
+    doc.splitTextToSize(names, width - 4).forEach(line => {
+      cursor.ensureSpace(LINE_HEIGHT);
+      doc.text(line, MARGIN + 4, cursor.y + 1);
+      cursor.y += LINE_HEIGHT - 0.5;
+    });
+    cursor.y += 1.5;
+  });
+};
+
+const drawFooters = (doc, fileName, { t }) => {
+  const pageCount = doc.getNumberOfPages();
+  const width = doc.internal.pageSize.getWidth();
+  const height = doc.internal.pageSize.getHeight();
+
+  for (let page = 1; page <= pageCount; page++) {
+    doc.setPage(page);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(7);
+    doc.setTextColor('#6b7280');
+    doc.text(fitText(doc, fileName, width / 2), MARGIN, height - 7);
+    doc.text(t('report.page', { page, pageCount }), width - MARGIN, height - 7, { align: 'right' });
+  }
+};
+
+// Build the management report as a PDF document: header, overall
+// participation, the statistics table, the charts and the non-participants
+// per manager. Counts are headcount or FTE depending on metric;
+// nonParticipants comes from groupNonParticipants(). Text, numbers and dates
+// are in the language of `i18n`.
+export const createReportPdf = ({
+  i18n = createLocale(),
+  title = i18n.t('report.title'),
+  fileName,
+  sheetNames,
+  referenceDate = null,
+  generatedAt = new Date(),
+  groupLabel = i18n.t('field.manager'),
+  subGroupLabel = null,
+  metric = 'headcount',
+  stats,
+  nonParticipants
+}) => {
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  const cursor = createCursor(doc);
+  const totals = sumStats(stats, metric);
+
+  doc.setProperties({ title: `${title} - ${fileName}`, creator: i18n.t('app.title') });
+
+  drawHeader(doc, cursor, { title, fileName, sheetNames, referenceDate, generatedAt }, i18n);
+  drawParticipationBar(doc, cursor, totals, metric, i18n);
+  drawStatisticsTable(doc, cursor, { groupLabel, subGroupLabel, stats, totals, metric }, i18n);
+  drawCharts(doc, cursor, { groupLabel, stats, metric }, i18n);
+  drawNonParticipants(doc, cursor, nonParticipants, i18n);
+  drawFooters(doc, fileName, i18n);
+
+  return doc;
+};
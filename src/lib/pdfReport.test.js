@@ -0,0 +1,83 @@
+/**
+ * @jest-environment node
+ */
+
+import { createReportPdf } from './pdfReport';
+import { calculateGroupStats, groupNonParticipants } from './employeeData';
+import { createLocale } from './i18n';
+
+const employees = [
+  { name: 'Anna', manager: 'Jan', partTimePercentage: 100, present: 'ja' },
+  { name: 'Bob', manager: 'Jan', partTimePercentage: 50, present: 'nee' },
+  { name: 'Carla', manager: 'Piet', partTimePercentage: 80, present: '' }
+];
+
+const createReport = (rows) => createReportPdf({
+  fileName: 'staff.xlsx',
+  sheetNames: ['Sheet1'],
+  generatedAt: new Date(2024, 0, 15),
+  stats: calculateGroupStats(rows),
+  nonParticipants: groupNonParticipants(rows)
+});
+
+test('groups non-participants per manager, sorted by name', () => {
+  const groups = groupNonParticipants([...employees, { name: 'Aart', manager: 'Jan', present: 'no' }]);
+
+  // Carla's blank presence is unknown, not absent
+  expect(groups.map(([manager, group]) => [manager, group.map(employee => employee.name)])).toEqual([
+    ['Jan', ['Aart', 'Bob']]
+  ]);
+});
+
+test('writes the header, statistics and non-participants', () => {
+  const output = createReport(employees).output();
+
+  expect(output).toContain('(Management Report)');
+  expect(output).toContain('(File: staff.xlsx)');
+  expect(output).toContain('(Present: 1 \\(33.3%\\))');
+  expect(output).toContain('(Unknown: 1 \\(33.3%\\))');
+  expect(output).toContain('(Non-participants by Manager \\(1\\))');
+  expect(output).toContain('(Bob)');
+});
+
+test('continues on new pages for long lists', () => {
+  const many = Array.from({ length: 400 }, (_, index) => ({
+    name: `Employee ${index}`,
+    manager: `Manager ${index % 80}`,
+    partTimePercentage: 100,
+    present: 'nee'
+  }));
+
+  const doc = createReport(many);
+
+  expect(doc.getNumberOfPages()).toBeGreaterThan(2);
+  expect(doc.output()).toContain(`(Page 1 of ${doc.getNumberOfPages()})`);
+});
+
+test('shows FTE instead of headcount when asked', () => {
+  const output = createReportPdf({
+    fileName: 'staff.xlsx',
+    sheetNames: ['Sheet1'],
+    metric: 'fte',
+    stats: calculateGroupStats(employees),
+    nonParticipants: groupNonParticipants(employees)
+  }).output();
+
+  expect(output).toContain('(Overall Participation Rate \\(FTE\\))');
+  expect(output).toContain('(Present: 1.0 \\(43.5%\\))');
+  expect(output).toContain('(Total FTE)');
+});
+
+test('writes the report in the chosen language', () => {
+  const output = createReportPdf({
+    fileName: 'staff.xlsx',
+    sheetNames: ['Sheet1'],
+    stats: calculateGroupStats(employees),
+    nonParticipants: groupNonParticipants(employees),
+    i18n: createLocale('nl')
+  }).output();
+
+  expect(output).toContain('(Managementrapportage)');
+  expect(output).toContain('(Aanwezig: 1 \\(33,3%\\))');
+  expect(output).toContain('(Niet-deelnemers per leidinggevende \\(1\\))');
+});
@@ -0,0 +1,43 @@
+// Presence statuses; the labels are what the table and exports show
+export const PRESENCE_STATUSES = [
+  { key: 'present', label: 'Yes' },
+  { key: 'absent', label: 'No' },
+  { key: 'unknown', label: 'Unknown' }
+];
+
+// Cell values meaning yes, no or maybe, compared without case and surrounding
+// spaces. Booleans and numbers are matched by their text ('true', '1').
+export const DEFAULT_PRESENCE_VOCABULARY = {
+  yes: ['ja', 'yes', 'y', 'true', '1', 'aanwezig', 'x', '✓', '✔'],
+  no: ['nee', 'no', 'n', 'false', '0', 'afwezig', 'niet aanwezig'],
+  maybe: ['misschien', 'maybe', 'onbekend', 'unknown', '?']
+};
+
+const toToken = (value) => (value === undefined || value === null ? '' : String(value).trim().toLowerCase());
+
+// Status of a presence cell. Maybe values, blank cells and values that are in
+// none of the lists are unknown.
+export const normalizePresence = (value, vocabulary = DEFAULT_PRESENCE_VOCABULARY) => {
+  const token = toToken(value);
+  if (!token) return 'unknown';
+  if (vocabulary.yes.includes(token)) return 'present';
+  if (vocabulary.no.includes(token)) return 'absent';
+  return 'unknown';
+};
+
+// Whether a non-blank value is in one of the lists
+export const isRecognizedPresence = (value, vocabulary = DEFAULT_PRESENCE_VOCABULARY) => {
+  const token = toToken(value);
+  return ['yes', 'no', 'maybe'].some(list => vocabulary[list].includes(token));
+};
+
+// Status of an employee record: set by transformRows() with the chosen
+// vocabulary, or derived from the raw value with the default vocabulary
+export const getPresenceStatus = (employee) => employee.presence || normalizePresence(employee.present);
+
+export const formatPresenceStatus = (status) => PRESENCE_STATUSES.find(entry => entry.key === status).label;
+
+// Read a comma-separated list of values as typed by the user
+export const parsePresenceTokens = (text) => [...new Set(
+  text.split(',').map(toToken).filter(Boolean)
+)];
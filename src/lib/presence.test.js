@@ -0,0 +1,22 @@
+import { normalizePresence, isRecognizedPresence, getPresenceStatus, parsePresenceTokens } from './presence';
+
+test('normalises yes, no, maybe and unrecognised values', () => {
+  expect(['ja', ' YES ', 'x', '✓', true, 1].map(value => normalizePresence(value))).toEqual(Array(6).fill('present'));
+  expect(['nee', 'Afwezig', false, 0].map(value => normalizePresence(value))).toEqual(Array(4).fill('absent'));
+  expect(['misschien', '', null, undefined, 'later', 2].map(value => normalizePresence(value))).toEqual(Array(6).fill('unknown'));
+});
+
+test('recognises only values in one of the lists', () => {
+  expect(isRecognizedPresence('?')).toBe(true);
+  expect(isRecognizedPresence('later')).toBe(false);
+  expect(isRecognizedPresence('later', { yes: [], no: [], maybe: ['later'] })).toBe(true);
+});
+
+test('prefers the status set on the record', () => {
+  expect(getPresenceStatus({ present: 'ja', presence: 'unknown' })).toBe('unknown');
+  expect(getPresenceStatus({ present: 'ja' })).toBe('present');
+});
+
+test('parses comma-separated tokens', () => {
+  expect(parsePresenceTokens(' Ja, x ,,ja, ✓')).toEqual(['ja', 'x', '✓']);
+});
@@ -0,0 +1,124 @@
+// Pseudonymisation replaces names, and optionally managers and employee IDs,
+// before anything is shown or exported. The key maps every real value to its
+// pseudonym. Names and managers share one list, so a manager gets the same
+// pseudonym as their own row and the groups stay the same. The key is a plain
+// object that can be saved as JSON and loaded again: the same people then get
+// the same pseudonyms in later files, and whoever holds the key can look up
+// who is behind a pseudonym.
+
+// Fields that can be pseudonymised and the list of the key they use
+export const PSEUDONYM_FIELDS = [
+  { key: 'name', list: 'people', prefix: 'Person ' },
+  { key: 'manager', list: 'people', prefix: 'Person ' },
+  { key: 'id', list: 'ids', prefix: 'ID-' }
+];
+
+const PSEUDONYM_LISTS = ['people', 'ids'];
+
+export const createPseudonymKey = () => ({ people: {}, ids: {} });
+
+const isEmpty = (value) => value === null || value === undefined || String(value).trim() === '';
+
+const getFields = (fieldKeys) => PSEUDONYM_FIELDS.filter(field => fieldKeys.includes(field.key));
+
+const hasValue = (list, value) => Object.prototype.hasOwnProperty.call(list, String(value));
+
+// Give the values of the fields that the key doesn't know yet the next free
+// pseudonym, in the order of the records. Values are matched exactly, so
+// every value that forms a group of its own keeps doing so. The key itself is
+// returned when nothing was added.
+export const extendPseudonymKey = (key, records, fieldKeys) => {
+  const fields = getFields(fieldKeys);
+  const extended = { people: { ...key.people }, ids: { ...key.ids } };
+  const used = {};
+  const counters = {};
+  PSEUDONYM_LISTS.forEach(list => {
+    used[list] = new Set(Object.values(extended[list]));
+    counters[list] = 0;
+  });
+
+  let added = false;
+  records.forEach(record => {
+    fields.forEach(({ key: field, list, prefix }) => {
+      const value = record[field];
+      if (isEmpty(value) || hasValue(extended[list], value)) return;
+
+      let pseudonym;
+      do {
+        counters[list]++;
+        pseudonym = `${prefix}${String(counters[list]).padStart(4, '0')}`;
+      } while (used[list].has(pseudonym));
+      used[list].add(pseudonym);
+      extended[list][String(value)] = pseudonym;
+      added = true;
+    });
+  });
+
+  return added ? extended : key;
+};
+
+// Copy of a record with the fields replaced by their pseudonyms. Values the key
+// doesn't know are hidden rather than shown.
+export const pseudonymiseRecord = (record, key, fieldKeys) => {
+  const copy = { ...record };
+  getFields(fieldKeys).forEach(({ key: field, list, prefix }) => {
+    const value = record[field];
+    if (!isEmpty(value)) {
+      copy[field] = hasValue(key[list], value) ? key[list][String(value)] : `${prefix}?`;
+    }
+  });
+  return copy;
+};
+
+export const pseudonymiseEmployees = (employees, key, fieldKeys) => (
+  employees.map(employee => pseudonymiseRecord(employee, key, fieldKeys))
+);
+
+// Copy of a raw sheet row with the cells of the pseudonymised fields replaced,
+// for previews of the file
+export const pseudonymiseRow = (row, mapping, key, fieldKeys) => {
+  const copy = [...row];
+  getFields(fieldKeys).forEach(({ key: field }) => {
+    const index = mapping[field];
+    if (index !== null && index !== undefined && index < row.length) {
+      copy[index] = pseudonymiseRecord({ [field]: row[index] }, key, [field])[field];
+    }
+  });
+  return copy;
+};
+
+// Data quality issues name the employee and, for IDs and managers, show the cell value
+export const pseudonymiseIssue = (issue, key, fieldKeys) => {
+  const { name } = pseudonymiseRecord({ name: issue.name }, key, fieldKeys);
+  const { [issue.field]: value } = pseudonymiseRecord({ [issue.field]: issue.value }, key, fieldKeys);
+  return { ...issue, name, value };
+};
+
+// The real value behind a pseudonym, or null when the key doesn't have it
+export const findRealValue = (key, pseudonym) => {
+  const search = String(pseudonym).trim().toLowerCase();
+  for (const list of PSEUDONYM_LISTS) {
+    const match = Object.entries(key[list]).find(([, value]) => value.toLowerCase() === search);
+    if (match) return match[0];
+  }
+  return null;
+};
+
+export const serializePseudonymKey = (key) => JSON.stringify({ people: key.people, ids: key.ids }, null, 2);
+
+// Read a key saved by serializePseudonymKey(); anything else is rejected
+export const parsePseudonymKey = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    throw new Error('The pseudonym key is not valid JSON.');
+  }
+
+  const isList = (list) => list && typeof list === 'object' && !Array.isArray(list) &&
+    Object.values(list).every(value => typeof value === 'string');
+  if (!parsed || !PSEUDONYM_LISTS.every(list => isList(parsed[list]))) {
+    throw new Error('The pseudonym key has no people and ids lists.');
+  }
+  return { people: parsed.people, ids: parsed.ids };
+};
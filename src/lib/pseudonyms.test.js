@@ -0,0 +1,69 @@
+import {
+  createPseudonymKey,
+  extendPseudonymKey,
+  pseudonymiseEmployees,
+  pseudonymiseIssue,
+  pseudonymiseRow,
+  findRealValue,
+  serializePseudonymKey,
+  parsePseudonymKey
+} from './pseudonyms';
+import { calculateGroupStats } from './employeeData';
+
+const employees = [
+  { id: 7, name: 'Bob', manager: 'Carol', partTimePercentage: 100, present: 'ja', presence: 'present' },
+  { id: 8, name: 'Anna', manager: 'Bob', partTimePercentage: 50, present: 'nee', presence: 'absent' },
+  { id: 9, name: 'Dirk', manager: 'Bob', partTimePercentage: 80, present: 'ja', presence: 'present' },
+  { id: null, name: 'Eva', manager: '', partTimePercentage: 60, present: 'ja', presence: 'present' }
+];
+
+test('gives names and managers one shared list of pseudonyms', () => {
+  const key = extendPseudonymKey(createPseudonymKey(), employees, ['name', 'manager']);
+  const pseudonymised = pseudonymiseEmployees(employees, key, ['name', 'manager']);
+
+  expect(key.people).toEqual({
+    Bob: 'Person 0001',
+    Carol: 'Person 0002',
+    Anna: 'Person 0003',
+    Dirk: 'Person 0004',
+    Eva: 'Person 0005'
+  });
+  expect(pseudonymised[1]).toMatchObject({ id: 8, name: 'Person 0003', manager: 'Person 0001' });
+  expect(pseudonymised[3].manager).toBe('');
+  expect(employees[1].name).toBe('Anna');
+});
+
+test('keeps the aggregate statistics identical', () => {
+  const key = extendPseudonymKey(createPseudonymKey(), employees, ['name', 'manager', 'id']);
+  const stats = calculateGroupStats(employees);
+  const pseudonymisedStats = calculateGroupStats(pseudonymiseEmployees(employees, key, ['name', 'manager', 'id']));
+
+  expect(Object.values(pseudonymisedStats)).toEqual(Object.values(stats));
+  expect(Object.keys(pseudonymisedStats)).toEqual(Object.keys(stats).map(manager => key.people[manager]));
+});
+
+test('keeps the pseudonyms of a loaded key and continues after them', () => {
+  const saved = parsePseudonymKey(serializePseudonymKey({ people: { Anna: 'Person 0001' }, ids: {} }));
+  const key = extendPseudonymKey(saved, employees, ['name', 'id']);
+
+  expect(key.people).toMatchObject({ Anna: 'Person 0001', Bob: 'Person 0002', Dirk: 'Person 0003' });
+  expect(key.ids).toEqual({ 7: 'ID-0001', 8: 'ID-0002', 9: 'ID-0003' });
+  expect(extendPseudonymKey(key, employees, ['name', 'id'])).toBe(key);
+  expect(findRealValue(key, 'person 0003')).toBe('Dirk');
+  expect(findRealValue(key, 'ID-0002')).toBe('8');
+  expect(findRealValue(key, 'Person 0099')).toBe(null);
+});
+
+test('pseudonymises data quality issues and preview rows', () => {
+  const key = extendPseudonymKey(createPseudonymKey(), employees, ['name', 'id']);
+  const issue = { type: 'duplicateId', name: 'Dirk', field: 'id', value: 9 };
+
+  expect(pseudonymiseIssue(issue, key, ['name', 'id'])).toMatchObject({ name: 'Person 0003', value: 'ID-0003' });
+  expect(pseudonymiseIssue(issue, key, ['name'])).toMatchObject({ name: 'Person 0003', value: 9 });
+  expect(pseudonymiseRow(['Dirk', 9, 'Bob', 80], { name: 0, id: 1, manager: 2 }, key, ['name', 'id'])).toEqual(['Person 0003', 'ID-0003', 'Bob', 80]);
+});
+
+test('rejects files that are not a pseudonym key', () => {
+  expect(() => parsePseudonymKey('not json')).toThrow('not valid JSON');
+  expect(() => parsePseudonymKey('{"people": {"Anna": 1}, "ids": {}}')).toThrow('no people and ids lists');
+});
@@ -0,0 +1,41 @@
+const isValidDate = (value) => value instanceof Date && !Number.isNaN(value.getTime());
+
+// Midnight at the start of the day, so dates compare per whole day
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+
+// Whether an employee is employed on a date: 'active', 'notStarted' or
+// 'left'. The end date is the last day of employment. Missing or unreadable
+// dates never exclude anyone.
+export const getEmploymentStatus = (employee, date) => {
+  const day = startOfDay(date);
+  if (isValidDate(employee.startDate) && startOfDay(employee.startDate) > day) return 'notStarted';
+  if (isValidDate(employee.endDate) && startOfDay(employee.endDate) < day) return 'left';
+  return 'active';
+};
+
+// Keep the employees employed on the reference date and count the ones that
+// were left out. Without a date everyone is kept.
+export const filterByReferenceDate = (employees, date) => {
+  const result = { employees, notStarted: 0, left: 0 };
+  if (!date) return result;
+
+  result.employees = employees.filter(employee => {
+    const status = getEmploymentStatus(employee, date);
+    if (status === 'notStarted') result.notStarted++;
+    if (status === 'left') result.left++;
+    return status === 'active';
+  });
+  return result;
+};
+
+// Values of <input type="date"> are yyyy-mm-dd in local time
+export const parseDateInput = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+};
+
+export const formatDateInput = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
@@ -0,0 +1,30 @@
+import { getEmploymentStatus, filterByReferenceDate, parseDateInput, formatDateInput } from './referenceDate';
+
+const employees = [
+  { name: 'Anna', startDate: new Date(2020, 0, 1), endDate: null },
+  { name: 'Bob', startDate: new Date(2024, 6, 1), endDate: null },
+  { name: 'Carla', startDate: new Date(2019, 0, 1), endDate: new Date(2023, 11, 31) },
+  { name: 'Dirk', startDate: null, endDate: new Date('not a date') }
+];
+
+test('treats start and end dates as whole days', () => {
+  expect(getEmploymentStatus(employees[1], new Date(2024, 6, 1, 9, 30))).toBe('active');
+  expect(getEmploymentStatus(employees[1], new Date(2024, 5, 30, 23, 59))).toBe('notStarted');
+  expect(getEmploymentStatus(employees[2], new Date(2023, 11, 31, 17, 0))).toBe('active');
+  expect(getEmploymentStatus(employees[2], new Date(2024, 0, 1))).toBe('left');
+});
+
+test('filters on the reference date and counts who was left out', () => {
+  const result = filterByReferenceDate(employees, new Date(2024, 2, 1));
+
+  expect(result.employees.map(employee => employee.name)).toEqual(['Anna', 'Dirk']);
+  expect(result.notStarted).toBe(1);
+  expect(result.left).toBe(1);
+  expect(filterByReferenceDate(employees, null).employees).toBe(employees);
+});
+
+test('converts date input values in local time', () => {
+  expect(parseDateInput('2024-03-01')).toEqual(new Date(2024, 2, 1));
+  expect(parseDateInput('')).toBeNull();
+  expect(formatDateInput(new Date(2024, 2, 1))).toBe('2024-03-01');
+});
@@ -0,0 +1,103 @@
+import { readWorkbook } from './workbook';
+import { analyzeWorkbook } from './analysis';
+import { getMissingRequiredFields } from './columnMapping';
+import { calculateGroupStats } from './employeeData';
+import { countIssuesByType } from './dataQuality';
+import { filterByReferenceDate, formatDateInput } from './referenceDate';
+import { createLocale } from './i18n';
+
+// Formats of the command-line report
+export const REPORT_FORMATS = ['json', 'csv', 'xlsx'];
+
+// Statistics of a group as written to JSON and CSV, in the column order of
+// the Statistics sheet
+const STAT_COLUMNS = [
+  { key: 'totalEmployees', label: 'statistics.headcount.total' },
+  { key: 'presentEmployees', label: 'statistics.headcount.present' },
+  { key: 'absentEmployees', label: 'statistics.headcount.absent' },
+  { key: 'unknownEmployees', label: 'statistics.headcount.unknown' },
+  { key: 'avgPartTimePercentage', label: 'statistics.averagePartTime' },
+  { key: 'totalFte', label: 'statistics.fte.total' },
+  { key: 'presentFte', label: 'statistics.fte.present' },
+  { key: 'absentFte', label: 'statistics.fte.absent' },
+  { key: 'unknownFte', label: 'statistics.fte.unknown' }
+];
+
+// Analyze workbook data the way the app does, without a browser: the given
+// sheets (or the first one) with the suggested column mapping, limited to the
+// employees employed on referenceDate when one is given, and grouped by
+// groupBy and subGroupBy
+export const createReport = (data, { sheetNames = [], groupBy = 'manager', subGroupBy = null, referenceDate = null, vocabulary } = {}) => {
+  const workbook = readWorkbook(data);
+  const unknownSheets = sheetNames.filter(name => !workbook.SheetNames.includes(name));
+  if (unknownSheets.length) {
+    throw new Error(`Unknown sheet: ${unknownSheets.join(', ')}`);
+  }
+
+  const analysis = analyzeWorkbook(workbook, { sheetNames, vocabulary });
+  const { employees } = filterByReferenceDate(analysis.data, referenceDate);
+
+  return {
+    structure: analysis.structure,
+    mapping: analysis.mapping,
+    missingFields: getMissingRequiredFields(analysis.mapping).map(field => field.key),
+    employees,
+    stats: calculateGroupStats(employees, groupBy, subGroupBy),
+    issues: analysis.issues,
+    groupBy,
+    subGroupBy,
+    referenceDate
+  };
+};
+
+// Unmapped required columns and data quality issues fail a report
+export const hasValidationErrors = (report) => report.missingFields.length > 0 || report.issues.length > 0;
+
+const toStatValues = (stat) => {
+  const values = {};
+  STAT_COLUMNS.forEach(({ key }) => {
+    values[key] = Number(stat[key]);
+  });
+  return values;
+};
+
+// One row per group, each followed by the rows of its sub-groups
+export const getStatsRows = (stats) => Object.entries(stats).flatMap(([group, stat]) => [
+  { group, subGroup: null, ...toStatValues(stat) },
+  ...Object.entries(stat.subgroups || {}).map(([subGroup, subStat]) => ({ group, subGroup, ...toStatValues(subStat) }))
+]);
+
+// The report as JSON: what was analyzed, the statistics per group and the
+// data quality issues with their sheet and row
+export const formatReportJson = (report) => JSON.stringify({
+  sheets: report.structure.activeSheets,
+  groupBy: report.groupBy,
+  subGroupBy: report.subGroupBy,
+  referenceDate: report.referenceDate ? formatDateInput(report.referenceDate) : null,
+  employees: report.employees.length,
+  missingFields: report.missingFields,
+  groups: getStatsRows(report.stats),
+  issueCounts: countIssuesByType(report.issues),
+  issues: report.issues.map(({ type, sheet, row, name, field }) => ({ type, sheet, row, name, field }))
+}, null, 2);
+
+const escapeCsv = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// The statistics per group as CSV with the headers of the Statistics sheet.
+// Numbers are written unformatted so other tools can read them.
+export const formatStatsCsv = (report, { t } = createLocale()) => {
+  const header = [
+    t(`field.${report.groupBy}`),
+    ...(report.subGroupBy ? [t(`field.${report.subGroupBy}`)] : []),
+    ...STAT_COLUMNS.map(column => t(column.label))
+  ];
+  const rows = getStatsRows(report.stats).map(row => [
+    row.group,
+    ...(report.subGroupBy ? [row.subGroup] : []),
+    ...STAT_COLUMNS.map(column => row[column.key])
+  ]);
+  return [header, ...rows].map(row => row.map(escapeCsv).join(',')).join('\n') + '\n';
+};
@@ -0,0 +1,87 @@
+import * as XLSX from 'xlsx';
+import { createReport, hasValidationErrors, getStatsRows, formatReportJson, formatStatsCsv } from './report';
+import { createLocale } from './i18n';
+
+const toData = (sheets) => {
+  const workbook = XLSX.utils.book_new();
+  Object.entries(sheets).forEach(([name, aoa]) => {
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(aoa), name);
+  });
+  return new Uint8Array(XLSX.write(workbook, { type: 'array', bookType: 'xlsx' }));
+};
+
+const data = toData({
+  Roster: [
+    ['Naam', 'Leidinggevende', 'Parttime (%)', 'Aanwezig', 'Werkgever', 'Startdatum'],
+    ['Anna', 'Bob', 100, 'ja', 'Acme', '2020-01-01'],
+    ['Cees', 'Bob', 50, 'nee', 'Acme, Inc', '2020-01-01'],
+    ['Dirk', 'Eva', 80, 'ja', 'Acme', '2030-01-01']
+  ],
+  Notes: [['Remark'], ['n/a']]
+});
+
+test('analyzes the first sheet and groups the statistics', () => {
+  const report = createReport(data, { subGroupBy: 'employer' });
+
+  expect(report.missingFields).toEqual([]);
+  expect(hasValidationErrors(report)).toBe(false);
+  expect(getStatsRows(report.stats).map(({ group, subGroup, totalEmployees, totalFte }) => [group, subGroup, totalEmployees, totalFte])).toEqual([
+    ['Bob', null, 2, 1.5],
+    ['Bob', 'Acme', 1, 1],
+    ['Bob', 'Acme, Inc', 1, 0.5],
+    ['Eva', null, 1, 0.8],
+    ['Eva', 'Acme', 1, 0.8]
+  ]);
+});
+
+test('counts only the employees employed on the reference date', () => {
+  const report = createReport(data, { referenceDate: new Date(2024, 0, 1) });
+
+  expect(report.employees.map(employee => employee.name)).toEqual(['Anna', 'Cees']);
+  expect(JSON.parse(formatReportJson(report))).toMatchObject({
+    sheets: ['Roster'],
+    referenceDate: '2024-01-01',
+    employees: 2,
+    groups: [{ group: 'Bob', presentEmployees: 1, absentEmployees: 1, avgPartTimePercentage: 75 }],
+    issues: []
+  });
+});
+
+test('writes the statistics as CSV in the chosen language', () => {
+  const report = createReport(data, { groupBy: 'employer' });
+
+  expect(formatStatsCsv(report, createLocale('nl')).split('\n')).toEqual([
+    'Werkgever,Totaal medewerkers,Aanwezig,Afwezig,Onbekend,Gem. parttime %,Totaal FTE,Aanwezig FTE,Afwezig FTE,Onbekend FTE',
+    'Acme,2,2,0,0,90,1.8,1.8,0,0',
+    '"Acme, Inc",1,0,1,0,50,0.5,0,0.5,0',
+    ''
+  ]);
+});
+
+test('reports unmapped required fields and unknown sheets', () => {
+  const report = createReport(data, { sheetNames: ['Notes'] });
+
+  expect(report.missingFields).toEqual(['manager', 'partTimePercentage']);
+  expect(hasValidationErrors(report)).toBe(true);
+  expect(() => createReport(data, { sheetNames: ['Missing'] })).toThrow('Unknown sheet: Missing');
+});
+
+test('leaves blank rows out of the employee count', () => {
+  const report = createReport(toData({
+    Staff: [
+      ['Naam', 'Leidinggevende', 'Parttime (%)', 'Aanwezig'],
+      ['Anna', 'Bob', 100, 'ja'],
+      ['Cees', 'Bob', 50, 'nee'],
+      [],
+      ['Dirk', 'Eva', 80, 'ja'],
+      ['Fien', 'Eva', 60, 'ja']
+    ]
+  }), { groupBy: 'sourceSheet' });
+
+  expect(JSON.parse(formatReportJson(report))).toMatchObject({
+    employees: 4,
+    groups: [{ group: 'Staff', totalEmployees: 4 }],
+    issues: []
+  });
+  expect(formatStatsCsv(report).split('\n')[1]).toMatch(/^Staff,4,/);
+});
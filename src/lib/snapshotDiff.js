@@ -0,0 +1,130 @@
+import { calculateGroupStats } from './employeeData';
+import { getPresenceStatus } from './presence';
+
+// Employees are matched between snapshots on their id
+const getEmployeeKey = (employee) => {
+  if (employee.id === undefined || employee.id === null) return null;
+  const key = String(employee.id).trim();
+  return key === '' ? null : key;
+};
+
+const indexById = (employees) => {
+  const byId = new Map();
+  employees.forEach(employee => {
+    const key = getEmployeeKey(employee);
+    if (key !== null && !byId.has(key)) {
+      byId.set(key, employee);
+    }
+  });
+  return byId;
+};
+
+const toPercentage = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = typeof value === 'string' ? parseFloat(value) : value;
+  return Number.isNaN(number) ? null : number;
+};
+
+const createManagerDelta = () => ({
+  previousTotal: 0,
+  currentTotal: 0,
+  totalDelta: 0,
+  presentDelta: 0,
+  absentDelta: 0,
+  joiners: 0,
+  leavers: 0,
+  transfersIn: 0,
+  transfersOut: 0
+});
+
+// Compare a previous snapshot with the current one
+export const compareSnapshots = (previous, current) => {
+  const previousById = indexById(previous);
+  const currentById = indexById(current);
+
+  const joiners = [];
+  const leavers = [];
+  const managerChanges = [];
+  const partTimeChanges = [];
+  const presenceChanges = [];
+
+  currentById.forEach((employee, key) => {
+    const before = previousById.get(key);
+    if (!before) {
+      joiners.push(employee);
+      return;
+    }
+
+    if ((before.manager || '') !== (employee.manager || '')) {
+      managerChanges.push({ employee, from: before.manager, to: employee.manager });
+    }
+
+    const partTimeBefore = toPercentage(before.partTimePercentage);
+    const partTimeAfter = toPercentage(employee.partTimePercentage);
+    if (partTimeBefore !== partTimeAfter) {
+      partTimeChanges.push({ employee, from: partTimeBefore, to: partTimeAfter });
+    }
+
+    const presentBefore = getPresenceStatus(before);
+    const presentAfter = getPresenceStatus(employee);
+    if (presentBefore !== presentAfter) {
+      presenceChanges.push({ employee, from: presentBefore, to: presentAfter });
+    }
+  });
+
+  previousById.forEach((employee, key) => {
+    if (!currentById.has(key)) {
+      leavers.push(employee);
+    }
+  });
+
+  // Per-manager deltas
+  const previousStats = calculateGroupStats(previous);
+  const currentStats = calculateGroupStats(current);
+  const managerDeltas = {};
+  const getDelta = (manager) => {
+    if (!managerDeltas[manager]) {
+      managerDeltas[manager] = createManagerDelta();
+    }
+    return managerDeltas[manager];
+  };
+
+  Object.entries(previousStats).forEach(([manager, stat]) => {
+    getDelta(manager).previousTotal = stat.totalEmployees;
+  });
+  Object.entries(currentStats).forEach(([manager, stat]) => {
+    getDelta(manager).currentTotal = stat.totalEmployees;
+  });
+  Object.keys(managerDeltas).forEach(manager => {
+    const before = previousStats[manager];
+    const after = currentStats[manager];
+    const delta = managerDeltas[manager];
+    delta.totalDelta = delta.currentTotal - delta.previousTotal;
+    delta.presentDelta = (after ? after.presentEmployees : 0) - (before ? before.presentEmployees : 0);
+    delta.absentDelta = (after ? after.absentEmployees : 0) - (before ? before.absentEmployees : 0);
+  });
+
+  joiners.forEach(employee => {
+    if (employee.manager) getDelta(employee.manager).joiners++;
+  });
+  leavers.forEach(employee => {
+    if (employee.manager) getDelta(employee.manager).leavers++;
+  });
+  managerChanges.forEach(({ from, to }) => {
+    if (from) getDelta(from).transfersOut++;
+    if (to) getDelta(to).transfersIn++;
+  });
+
+  return {
+    joiners,
+    leavers,
+    managerChanges,
+    partTimeChanges,
+    presenceChanges,
+    managerDeltas,
+    // Records without an id can't be matched and are left out of the comparison
+    unmatchedCount:
+      previous.filter(employee => getEmployeeKey(employee) === null).length +
+      current.filter(employee => getEmployeeKey(employee) === null).length
+  };
+};
@@ -0,0 +1,51 @@
+import { compareSnapshots } from './snapshotDiff';
+
+const previous = [
+  { id: 1, name: 'Anna', manager: 'Bob', partTimePercentage: 100, present: 'ja' },
+  { id: 2, name: 'Cees', manager: 'Bob', partTimePercentage: 80, present: 'nee' },
+  { id: 3, name: 'Dirk', manager: 'Eva', partTimePercentage: 50, present: 'ja' }
+];
+
+const current = [
+  { id: 1, name: 'Anna', manager: 'Eva', partTimePercentage: '100', present: 'yes' },
+  { id: '2', name: 'Cees', manager: 'Bob', partTimePercentage: 60, present: 'ja' },
+  { id: 4, name: 'Fien', manager: 'Eva', partTimePercentage: 100, present: 'nee' },
+  { name: 'No id', manager: 'Eva', partTimePercentage: 100, present: 'ja' }
+];
+
+test('reports joiners and leavers matched on id', () => {
+  const diff = compareSnapshots(previous, current);
+
+  expect(diff.joiners.map(employee => employee.name)).toEqual(['Fien']);
+  expect(diff.leavers.map(employee => employee.name)).toEqual(['Dirk']);
+  expect(diff.unmatchedCount).toBe(1);
+});
+
+test('reports manager, part-time and presence changes', () => {
+  const diff = compareSnapshots(previous, current);
+
+  expect(diff.managerChanges).toEqual([{ employee: current[0], from: 'Bob', to: 'Eva' }]);
+  expect(diff.partTimeChanges).toEqual([{ employee: current[1], from: 80, to: 60 }]);
+  expect(diff.presenceChanges).toEqual([{ employee: current[1], from: 'absent', to: 'present' }]);
+});
+
+test('calculates per-manager deltas', () => {
+  const { managerDeltas } = compareSnapshots(previous, current);
+
+  expect(managerDeltas.Bob).toMatchObject({
+    previousTotal: 2,
+    currentTotal: 1,
+    totalDelta: -1,
+    presentDelta: 0,
+    absentDelta: -1,
+    transfersOut: 1
+  });
+  expect(managerDeltas.Eva).toMatchObject({
+    previousTotal: 1,
+    currentTotal: 3,
+    totalDelta: 2,
+    joiners: 1,
+    leavers: 1,
+    transfersIn: 1
+  });
+});
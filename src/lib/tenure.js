@@ -0,0 +1,93 @@
+const isValidDate = (value) => value instanceof Date && !Number.isNaN(value.getTime());
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Tenure buckets by completed months of employment
+export const TENURE_BUCKETS = [
+  { key: 'underOne', label: '<1y', maxMonths: 12 },
+  { key: 'oneToThree', label: '1–3y', maxMonths: 36 },
+  { key: 'threeToFive', label: '3–5y', maxMonths: 60 },
+  { key: 'overFive', label: '5y+', maxMonths: Infinity }
+];
+
+// Whole calendar months between the start date and a date, or null without
+// a usable start date
+export const getTenureMonths = (employee, date) => {
+  const start = employee.startDate;
+  if (!isValidDate(start) || start > date) return null;
+  const months = (date.getFullYear() - start.getFullYear()) * 12 + date.getMonth() - start.getMonth();
+  return date.getDate() < start.getDate() ? months - 1 : months;
+};
+
+export const getTenureBucket = (employee, date) => {
+  const months = getTenureMonths(employee, date);
+  if (months === null) return 'unknown';
+  return TENURE_BUCKETS.find(bucket => months < bucket.maxMonths).key;
+};
+
+const createCounts = () => {
+  const counts = { unknown: 0, total: 0 };
+  TENURE_BUCKETS.forEach(bucket => {
+    counts[bucket.key] = 0;
+  });
+  return counts;
+};
+
+// Employees per tenure bucket on a date, per group (by default per manager)
+// and in total. Employees without a start date are counted as unknown.
+export const calculateTenureBuckets = (employees, date, groupBy = 'manager') => {
+  const groups = {};
+  const total = createCounts();
+
+  employees.forEach(employee => {
+    const bucket = getTenureBucket(employee, date);
+    const group = employee[groupBy];
+    total[bucket]++;
+    total.total++;
+    if (group) {
+      if (!groups[group]) {
+        groups[group] = createCounts();
+      }
+      groups[group][bucket]++;
+      groups[group].total++;
+    }
+  });
+
+  return { groups, total };
+};
+
+// Employment type of an employee as listed by getEmploymentTypes(); '' when
+// it is empty
+const getEmploymentType = (employee) => (
+  employee.employmentType === undefined || employee.employmentType === null ? '' : String(employee.employmentType).trim()
+);
+
+// Employment type values that mean a permanent contract, in lowercase
+const PERMANENT_TYPES = ['vast', 'vast contract', 'onbepaalde tijd', 'contract voor onbepaalde tijd', 'permanent', 'indefinite', 'open-ended'];
+
+export const isPermanentType = (employmentType) => PERMANENT_TYPES.includes(employmentType.toLowerCase());
+
+// Employment types of the employees that have an end date, sorted
+export const getEmploymentTypes = (employees) => (
+  [...new Set(employees.filter(employee => isValidDate(employee.endDate)).map(getEmploymentType))]
+    .sort((a, b) => a.localeCompare(b))
+);
+
+// Contracts with an end date from the date up to `days` days later, soonest
+// first. With employmentTypes, only employees of those types are listed.
+export const getExpiringContracts = (employees, date, days, employmentTypes = null) => {
+  const today = new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+  const contracts = [];
+
+  employees.forEach(employee => {
+    if (!isValidDate(employee.endDate)) return;
+    if (employmentTypes && !employmentTypes.includes(getEmploymentType(employee))) return;
+    const end = employee.endDate;
+    const daysLeft = Math.round((new Date(end.getFullYear(), end.getMonth(), end.getDate()).getTime() - today) / DAY);
+    if (daysLeft >= 0 && daysLeft <= days) {
+      contracts.push({ employee, daysLeft });
+    }
+  });
+
+  return contracts.sort((a, b) => a.employee.endDate - b.employee.endDate);
+};
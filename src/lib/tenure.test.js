@@ -0,0 +1,47 @@
+import { getTenureMonths, calculateTenureBuckets, getExpiringContracts, getEmploymentTypes, isPermanentType } from './tenure';
+
+const date = new Date(2024, 5, 15);
+
+const employees = [
+  { name: 'Anna', manager: 'Jan', startDate: new Date(2024, 0, 1), endDate: new Date(2024, 7, 31) },
+  { name: 'Bob', manager: 'Jan', startDate: new Date(2021, 5, 16), endDate: new Date(2024, 5, 20) },
+  { name: 'Carla', manager: 'Piet', startDate: new Date(2019, 5, 15), endDate: null },
+  { name: 'Dirk', manager: 'Piet', startDate: null, endDate: new Date(2024, 5, 10) }
+];
+
+test('counts completed months of tenure', () => {
+  expect(getTenureMonths(employees[1], date)).toBe(35);
+  expect(getTenureMonths(employees[2], date)).toBe(60);
+  expect(getTenureMonths(employees[3], date)).toBeNull();
+});
+
+test('buckets tenure per manager and in total', () => {
+  const { groups, total } = calculateTenureBuckets(employees, date);
+
+  expect(groups.Jan).toEqual({ underOne: 1, oneToThree: 1, threeToFive: 0, overFive: 0, unknown: 0, total: 2 });
+  expect(groups.Piet).toMatchObject({ overFive: 1, unknown: 1, total: 2 });
+  expect(total).toMatchObject({ underOne: 1, oneToThree: 1, overFive: 1, unknown: 1, total: 4 });
+});
+
+test('lists contracts ending within the window, soonest first', () => {
+  expect(getExpiringContracts(employees, date, 30).map(({ employee, daysLeft }) => [employee.name, daysLeft]))
+    .toEqual([['Bob', 5]]);
+  expect(getExpiringContracts(employees, date, 90).map(({ employee }) => employee.name)).toEqual(['Bob', 'Anna']);
+});
+
+test('lists only contracts of the chosen employment types', () => {
+  const staff = [
+    { name: 'Anna', employmentType: 'Tijdelijk', endDate: new Date(2024, 5, 20) },
+    { name: 'Bob', employmentType: 'Vast', endDate: new Date(2024, 5, 25) },
+    { name: 'Cees', employmentType: ' Tijdelijk ', endDate: new Date(2024, 6, 1) },
+    { name: 'Dirk', employmentType: '', endDate: new Date(2024, 6, 5) },
+    { name: 'Eva', employmentType: 'Uitzend', endDate: null }
+  ];
+  const types = getEmploymentTypes(staff);
+
+  expect(types).toEqual(['', 'Tijdelijk', 'Vast']);
+  expect(types.filter(type => !isPermanentType(type))).toEqual(['', 'Tijdelijk']);
+  expect(getExpiringContracts(staff, date, 30, ['Tijdelijk']).map(({ employee }) => employee.name)).toEqual(['Anna', 'Cees']);
+  expect(getExpiringContracts(staff, date, 30, ['', 'Tijdelijk']).map(({ employee }) => employee.name)).toEqual(['Anna', 'Cees', 'Dirk']);
+  expect(getExpiringContracts(staff, date, 30)).toHaveLength(4);
+});
@@ -0,0 +1,715 @@
+// Interface text per language. Keys are grouped by the part of the app they
+// belong to; {name} placeholders are filled in by createLocale().t().
+export const TRANSLATIONS = {
+  en: {
+    'app.title': 'Employee Data Analysis',
+    'app.language': 'Language',
+
+    'update.available': 'A new version of the app is available. Reload to use it; the file you are working on has to be opened again.',
+    'update.reload': 'Reload',
+    'update.later': 'Later',
+
+    'common.cancel': 'Cancel',
+    'common.clear': 'Clear',
+    'common.dismiss': 'Dismiss',
+    'common.empty': '(empty)',
+    'common.field': 'Field',
+    'common.id': 'ID',
+    'common.none': 'None',
+    'common.note': 'Note',
+    'common.preparing': 'Preparing...',
+    'common.sheet': 'Sheet',
+    'common.total': 'Total',
+    'common.unknown': 'Unknown',
+
+    'error.title': 'Error',
+    'error.tryAgain': 'Try Again',
+    'error.processFile': 'Failed to process the Excel file. Please check the format.',
+    'error.processComparison': 'Failed to process the comparison file. Please check the format.',
+    'error.excelExport': 'Failed to create the Excel file.',
+    'error.pdfExport': 'Failed to create the PDF report.',
+    'error.reopenSession': 'Failed to reopen the saved file. It may have been removed from this browser.',
+
+    'loading.processing': 'Processing your file...',
+    'stage.read': 'Reading file',
+    'stage.parse': 'Parsing workbook',
+    'stage.transform': 'Transforming rows',
+    'stage.aggregate': 'Calculating statistics',
+
+    'tab.structure': 'File Structure',
+    'tab.employees': 'Employees ({count})',
+    'tab.statistics': 'Statistics',
+    'tab.trends': 'Trends',
+    'tab.tenure': 'Tenure',
+    'tab.org': 'Org Chart',
+    'tab.comparison': 'Changes',
+    'tab.quality': 'Data Quality',
+    'tab.deploy': 'Deployment',
+
+    'field.id': 'Employee ID',
+    'field.name': 'Name',
+    'field.function': 'Function',
+    'field.employmentType': 'Employment Type',
+    'field.employeeType': 'Employee Type',
+    'field.startDate': 'Start Date',
+    'field.endDate': 'End Date',
+    'field.employer': 'Employer',
+    'field.manager': 'Manager',
+    'field.partTimePercentage': 'Part-time %',
+    'field.present': 'Present',
+    'field.sourceSheet': 'Source Sheet',
+
+    'presence.present': 'Yes',
+    'presence.absent': 'No',
+    'presence.unknown': 'Unknown',
+    'presence.title': 'Presence Values',
+    'presence.resetDefaults': 'Reset to Defaults',
+    'presence.help': 'Comma-separated values of the Present column, compared without case. Blank cells, maybe values and values in none of the lists count as Unknown.',
+    'presence.list.yes': 'Present (yes)',
+    'presence.list.no': 'Absent (no)',
+    'presence.list.maybe': 'Unknown (maybe)',
+    'presence.apply': 'Apply Presence Values',
+    'presence.unrecognised': 'Not recognised: {values}',
+
+    'status.present': 'Present',
+    'status.absent': 'Absent',
+    'status.unknown': 'Unknown',
+
+    'metric.headcount': 'Headcount',
+    'metric.fte': 'FTE',
+
+    'upload.drop': 'Drag & drop your Excel file here or',
+    'upload.browse': 'Browse Files',
+    'upload.formats': 'Supports .xlsx, .xls, .xlsb, and .xlsm files',
+
+    'recent.title': 'Recent Files',
+    'recent.help': 'Opened files, their analysis and corrections are kept in this browser only and never sent to a server.',
+    'recent.none': 'No recent files.',
+    'recent.details': '{sheets} · {rows} rows · saved {date}',
+    'recent.remove': 'Remove',
+    'recent.removeLabel': 'Remove {name} from recent files',
+    'recent.forget': 'Forget All Local Data',
+    'recent.forgetConfirm': 'Remove all recent files, saved mapping profiles, highlight rules and the chosen language from this browser?',
+    'recent.forgotten': 'All local data has been removed from this browser.',
+    'recent.notSaved': 'This file could not be kept in the browser. It may be missing or out of date under Recent Files.',
+
+    'pseudonym.enable': 'Pseudonymise names',
+    'pseudonym.downloadKey': 'Download Key',
+    'pseudonym.loadKey': 'Load Key',
+    'pseudonym.lookup': 'Look up',
+    'pseudonym.notFound': 'Not in the key',
+    'pseudonym.help': 'Tables, charts and downloads show pseudonyms; the statistics are unchanged. The key links every pseudonym to the real value: keep it private, and load it with a later file to give the same people the same pseudonyms.',
+    'pseudonym.invalidKey': 'This file is not a pseudonym key.',
+
+    'profile.save': 'Save Mapping Profile',
+    'profile.applied': 'A saved profile for these headers was applied to the column mapping and presence values.',
+    'profile.saved': 'Profile saved. Files with these headers will get this column mapping and these presence values.',
+    'profile.failed': 'The profile could not be saved in this browser.',
+
+    'structure.continue': 'Continue to Analysis',
+    'structure.fileName': 'File name',
+    'structure.fileSize': 'File size',
+    'structure.sheetCount': 'Sheets',
+    'structure.activeSheet': 'Active sheet',
+    'structure.activeSheets': 'Active sheets',
+    'structure.rows': 'Rows',
+    'structure.columns': 'Columns',
+    'structure.sheets': 'Sheets',
+    'structure.analyzeSheet': 'Analyze sheet',
+    'structure.combineSheets': 'Combine sheets with the same headers',
+    'structure.differentHeaders': 'different headers',
+    'structure.columnMapping': 'Column Mapping',
+    'structure.resetSuggestions': 'Reset to Suggestions',
+    'structure.mappingHelp': 'Source columns are suggested from the headers. Change any of them to re-run the analysis.',
+    'structure.requiredMissing': 'Required fields not mapped: {fields}',
+    'structure.sourceColumn': 'Source Column',
+    'structure.sampleValue': 'Sample Value',
+    'structure.notMapped': '-- Not mapped --',
+    'structure.column': 'Column {column}',
+    'structure.suggested': 'Suggested',
+    'structure.columnTypes': 'Column Headers and Types',
+    'structure.columnName': 'Column Name',
+    'structure.dataType': 'Data Type',
+    'structure.sampleData': 'Sample Data (First 5 Rows)',
+
+    'dataType.string': 'Text',
+    'dataType.number': 'Number',
+    'dataType.object': 'Date',
+    'dataType.boolean': 'Yes/No',
+    'dataType.unknown': 'Unknown',
+
+    'export.downloadExcel': 'Download Excel',
+    'export.downloadList': 'Download List',
+    'export.downloadIssues': 'Download Issues',
+    'export.downloadPdf': 'Download PDF',
+
+    'referenceDate.activeAsOf': 'Active as of',
+    'referenceDate.today': 'Today',
+    'referenceDate.excluded': 'Excluded: {notStarted} not yet started, {left} already left',
+
+    'employees.title': 'Employee List',
+    'employees.nonParticipating': 'Non-Participating: {count}',
+    'employees.unknown': 'Unknown: {count}',
+    'employees.undo': 'Undo',
+    'employees.redo': 'Redo',
+    'employees.search': 'Search name or function',
+    'employees.showing': 'Showing {shown} of {total}',
+    'employees.clearFilters': 'Clear filters',
+    'employees.partTimeOf': 'Part-time % of {name}',
+    'employees.presentOf': 'Present of {name}',
+    'employees.highlightNote': 'Employees who won\'t participate are highlighted in red, those whose presence is unknown in yellow, unless a highlight rule colours the row.',
+    'employees.editNote': 'Present and Part-time % can be corrected in the table; corrections are undone when the file is analysed again.',
+    'employees.filteredExportNote': 'The Excel download contains the filtered employees only.',
+    'employees.editsNotReapplied': '{count} correction(s) could not be made again after the new analysis: their employee was not found by ID or name. They were removed from the change log.',
+
+    'rules.button': 'Highlight Rules ({count})',
+    'rules.title': 'Highlight Rules',
+    'rules.help': 'Rows that match a rule are coloured in the table and in the downloaded workbook. The first matching rule sets the colour; other rows keep the presence colours. Rules are kept in this browser.',
+    'rules.add': 'Add Rule',
+    'rules.none': 'There are no rules yet.',
+    'rules.label': 'Label',
+    'rules.color': 'Colour',
+    'rules.combinator': 'Combine conditions',
+    'rules.all': 'All conditions (AND)',
+    'rules.any': 'Any condition (OR)',
+    'rules.if': 'If',
+    'rules.and': 'and',
+    'rules.or': 'or',
+    'rules.field': 'Field',
+    'rules.operator': 'Operator',
+    'rules.value': 'Value',
+    'rules.chooseStatus': 'Choose...',
+    'rules.addCondition': '+ Condition',
+    'rules.removeCondition': 'Remove condition',
+    'rules.moveUp': 'Move up',
+    'rules.remove': 'Remove',
+    'rules.incomplete': 'Not applied until the label and every value are filled in',
+    'rules.operator.equals': 'is',
+    'rules.operator.notEquals': 'is not',
+    'rules.operator.contains': 'contains',
+    'rules.operator.isEmpty': 'is empty',
+    'rules.operator.isNotEmpty': 'is not empty',
+    'rules.operator.lessThan': 'is less than',
+    'rules.operator.greaterThan': 'is more than',
+    'rules.operator.before': 'is before',
+    'rules.operator.after': 'is after',
+    'rules.operator.thisMonth': 'is this month',
+    'rules.color.red': 'Red',
+    'rules.color.orange': 'Orange',
+    'rules.color.yellow': 'Yellow',
+    'rules.color.green': 'Green',
+    'rules.color.blue': 'Blue',
+    'rules.color.purple': 'Purple',
+    'rules.color.gray': 'Grey',
+
+    'changeLog.title': 'Change Log ({count})',
+    'changeLog.changedBy': 'Changed By',
+    'changeLog.yourName': 'Your name',
+    'changeLog.empty': 'No changes yet.',
+    'changeLog.time': 'Time',
+    'changeLog.oldValue': 'Old Value',
+    'changeLog.newValue': 'New Value',
+
+    'comparison.title': 'Snapshot Comparison',
+    'comparison.includeInExport': 'Include in Excel download',
+    'comparison.load': 'Load Previous Export',
+    'comparison.replace': 'Replace Previous Export',
+    'comparison.help': 'Load an earlier export of the same file to see joiners, leavers, manager changes, part-time % changes and presence changes. Employees are matched on their Employee ID.',
+    'comparison.columnsNotFound': 'The required columns could not be found in {file}.',
+    'comparison.comparing': 'Comparing {previous} with {current}.',
+    'comparison.skipped': '{count} records without an Employee ID were skipped.',
+    'comparison.noChanges': 'No changes.',
+    'comparison.joiner': 'Joiner',
+    'comparison.leaver': 'Leaver',
+    'comparison.joiners': 'Joiners',
+    'comparison.leavers': 'Leavers',
+    'comparison.managerChanges': 'Manager Changes',
+    'comparison.partTimeChanges': 'Part-time Changes',
+    'comparison.presenceChanges': 'Presence Changes',
+    'comparison.change': 'Change',
+    'comparison.previous': 'Previous',
+    'comparison.current': 'Current',
+    'comparison.previousTotal': 'Previous Total',
+    'comparison.currentTotal': 'Current Total',
+    'comparison.presentChange': 'Present Change',
+    'comparison.absentChange': 'Absent Change',
+    'comparison.transfersIn': 'Transfers In',
+    'comparison.transfersOut': 'Transfers Out',
+
+    'trends.needsDates': 'Map the Start Date or End Date field on the File Structure tab to see trends over time.',
+    'trends.title': 'Monthly Trends',
+    'trends.from': 'From',
+    'trends.to': 'To',
+    'trends.allEmployees': 'All employees',
+    'trends.chartTitle': '{metric}, Joiners and Leavers',
+    'trends.chartTitleFor': '{metric}, Joiners and Leavers for {manager}',
+    'trends.month': 'Month',
+    'trends.joiners': 'Joiners',
+    'trends.leavers': 'Leavers',
+    'trends.atMonthEnd': '{metric} at month end',
+    'trends.pickRange': 'Pick a start and end month.',
+    'trends.noMonths': 'No months in the selected range.',
+
+    'tenure.needsDates': 'Map the Start Date or End Date field on the File Structure tab to see tenure and contract ends.',
+    'tenure.title': 'Tenure per Manager',
+    'tenure.asOf': 'As of {date}',
+    'tenure.underOne': '<1y',
+    'tenure.oneToThree': '1–3y',
+    'tenure.threeToFive': '3–5y',
+    'tenure.overFive': '5y+',
+    'tenure.contractsEnding': 'Contracts Ending ({count})',
+    'tenure.days': '{days} days',
+    'tenure.daysLeft': 'Days Left',
+    'tenure.noneEnding': 'No contracts end in the next {days} days.',
+    'tenure.contractTypes': 'Employment types',
+    'tenure.noContractType': 'Not filled in',
+
+    'org.title': 'Organisation Chart',
+    'org.managers': 'Managers',
+    'org.averageSpan': 'Avg. Span of Control',
+    'org.maxSpan': 'Max. Span of Control',
+    'org.missingManagers': 'Managers Not in Roster',
+    'org.cycles': 'Reporting Cycles',
+    'org.cyclesHelp': 'These employees report to each other in a loop; each loop is shown from its first employee in the file:',
+    'org.notFound': 'Managers not found by name or ID',
+    'org.expandAll': 'Expand all',
+    'org.collapseAll': 'Collapse all',
+    'org.expand': 'Expand {name}',
+    'org.collapse': 'Collapse {name}',
+    'org.notInRoster': 'Not in roster',
+    'org.inCycle': 'Reporting cycle',
+    'org.direct': 'Direct',
+
+    'issue.duplicateId': 'Duplicate ID',
+    'issue.missingManager': 'Missing manager',
+    'issue.partTimeOutOfRange': 'Part-time % outside 0–100',
+    'issue.invalidDate': 'Unreadable date',
+    'issue.endBeforeStart': 'End date before start date',
+    'issue.unrecognizedPresence': 'Unrecognised presence value',
+    'issueDetail.row': 'row {row}',
+    'issueDetail.sheetRow': '{sheet} row {row}',
+    'issueDetail.alsoOn': 'Also on {locations}',
+    'issueDetail.noManager': 'No manager; left out of the statistics',
+    'issueDetail.notANumber': 'Not a number; counted as 0',
+    'issueDetail.outOfRange': 'Outside 0–100',
+    'issueDetail.notADate': 'Not a date',
+    'issueDetail.endsBeforeStart': 'Ends before the start date {startDate}',
+    'issueDetail.countedAsUnknown': 'Counted as unknown',
+    'quality.noIssues': 'No issues found in {sheets}.',
+    'quality.row': 'Row',
+    'quality.issue': 'Issue',
+    'quality.value': 'Value',
+    'quality.details': 'Details',
+
+    'statistics.title': 'Data Statistics',
+    'statistics.groupBy': 'Group by',
+    'statistics.thenBy': 'then by',
+    'statistics.headcount.total': 'Total Employees',
+    'statistics.headcount.present': 'Present',
+    'statistics.headcount.absent': 'Absent',
+    'statistics.headcount.unknown': 'Unknown',
+    'statistics.fte.total': 'Total FTE',
+    'statistics.fte.present': 'Present FTE',
+    'statistics.fte.absent': 'Absent FTE',
+    'statistics.fte.unknown': 'Unknown FTE',
+    'statistics.averagePartTime': 'Avg. Part-time %',
+
+    'charts.share': 'Share per {group}',
+    'charts.headcountPerGroup': 'Employees per {group}',
+    'charts.ftePerGroup': 'FTE per {group}',
+    'charts.presence': 'Present vs Absent per {group}',
+    'charts.partTime': 'Average Part-time % per {group}',
+    'charts.participation': 'Overall Participation Rate',
+    'charts.noData': 'There are no groups to show.',
+
+    'drillDown.hint': 'Click to show these employees',
+    'drillDown.breadcrumb': 'Breadcrumb',
+
+    'report.button': 'Management Report',
+    'report.title': 'Management Report',
+    'report.back': 'Back to Statistics',
+    'report.print': 'Print',
+    'report.file': 'File',
+    'report.sheets': 'Sheets',
+    'report.generated': 'Generated',
+    'report.statisticsPer': 'Statistics per {group}',
+    'report.chartsPer': 'Charts per {group}',
+    'report.nonParticipants': 'Non-participants by Manager ({count})',
+    'report.everyoneParticipates': 'Everyone is participating.',
+    'report.noName': '(no name)',
+    'report.more': '+{count} more',
+    'report.page': 'Page {page} of {pageCount}',
+
+    'sheet.employees': 'Employees',
+    'sheet.statistics': 'Statistics',
+    'sheet.comparison': 'Comparison',
+    'sheet.managerDeltas': 'Manager Deltas',
+    'sheet.changes': 'Changes',
+    'sheet.contractsEnding': 'Contracts Ending',
+
+    'deploy.title': 'GitHub Pages Deployment Instructions',
+    'deploy.createRepository': 'Create a new GitHub repository',
+    'deploy.initialize': 'Initialize your project with Create React App or Next.js',
+    'deploy.install': 'Install required dependencies',
+    'deploy.copy': 'Copy this component into your project',
+    'deploy.setUpPages': 'Set up GitHub Pages deployment in your repository settings',
+    'deploy.deploy': 'Deploy your application with',
+    'deploy.privacy': 'This application processes files entirely in the browser - no server is needed and no data is sent anywhere.'
+  },
+
+  nl: {
+    'app.title': 'Analyse personeelsgegevens',
+    'app.language': 'Taal',
+
+    'update.available': 'Er is een nieuwe versie van de app. Laad opnieuw om die te gebruiken; het bestand waaraan u werkt moet dan opnieuw worden geopend.',
+    'update.reload': 'Opnieuw laden',
+    'update.later': 'Later',
+
+    'common.cancel': 'Annuleren',
+    'common.clear': 'Wissen',
+    'common.dismiss': 'Sluiten',
+    'common.empty': '(leeg)',
+    'common.field': 'Veld',
+    'common.id': 'Nr.',
+    'common.none': 'Geen',
+    'common.note': 'Let op',
+    'common.preparing': 'Bezig...',
+    'common.sheet': 'Werkblad',
+    'common.total': 'Totaal',
+    'common.unknown': 'Onbekend',
+
+    'error.title': 'Fout',
+    'error.tryAgain': 'Opnieuw proberen',
+    'error.processFile': 'Het Excel-bestand kon niet worden verwerkt. Controleer de opmaak.',
+    'error.processComparison': 'Het vergelijkingsbestand kon niet worden verwerkt. Controleer de opmaak.',
+    'error.excelExport': 'Het Excel-bestand kon niet worden gemaakt.',
+    'error.pdfExport': 'Het PDF-rapport kon niet worden gemaakt.',
+    'error.reopenSession': 'Het opgeslagen bestand kon niet worden heropend. Mogelijk is het uit deze browser verwijderd.',
+
+    'loading.processing': 'Bestand wordt verwerkt...',
+    'stage.read': 'Bestand lezen',
+    'stage.parse': 'Werkmap inlezen',
+    'stage.transform': 'Rijen omzetten',
+    'stage.aggregate': 'Statistieken berekenen',
+
+    'tab.structure': 'Bestandsopbouw',
+    'tab.employees': 'Medewerkers ({count})',
+    'tab.statistics': 'Statistieken',
+    'tab.trends': 'Trends',
+    'tab.tenure': 'Dienstjaren',
+    'tab.org': 'Organogram',
+    'tab.comparison': 'Wijzigingen',
+    'tab.quality': 'Datakwaliteit',
+    'tab.deploy': 'Publiceren',
+
+    'field.id': 'Personeelsnummer',
+    'field.name': 'Naam',
+    'field.function': 'Functie',
+    'field.employmentType': 'Dienstverband',
+    'field.employeeType': 'Soort medewerker',
+    'field.startDate': 'Startdatum',
+    'field.endDate': 'Einddatum',
+    'field.employer': 'Werkgever',
+    'field.manager': 'Leidinggevende',
+    'field.partTimePercentage': 'Parttime %',
+    'field.present': 'Aanwezig',
+    'field.sourceSheet': 'Bronwerkblad',
+
+    'presence.present': 'Ja',
+    'presence.absent': 'Nee',
+    'presence.unknown': 'Onbekend',
+    'presence.title': 'Aanwezigheidswaarden',
+    'presence.resetDefaults': 'Standaardwaarden herstellen',
+    'presence.help': 'Waarden uit de kolom Aanwezig, gescheiden door komma\'s; hoofdletters tellen niet mee. Lege cellen, misschien-waarden en waarden die in geen enkele lijst staan tellen als Onbekend.',
+    'presence.list.yes': 'Aanwezig (ja)',
+    'presence.list.no': 'Afwezig (nee)',
+    'presence.list.maybe': 'Onbekend (misschien)',
+    'presence.apply': 'Aanwezigheidswaarden toepassen',
+    'presence.unrecognised': 'Niet herkend: {values}',
+
+    'status.present': 'Aanwezig',
+    'status.absent': 'Afwezig',
+    'status.unknown': 'Onbekend',
+
+    'metric.headcount': 'Aantal',
+    'metric.fte': 'FTE',
+
+    'upload.drop': 'Sleep je Excel-bestand hierheen of',
+    'upload.browse': 'Bestand kiezen',
+    'upload.formats': 'Ondersteunt .xlsx-, .xls-, .xlsb- en .xlsm-bestanden',
+
+    'recent.title': 'Recente bestanden',
+    'recent.help': 'Geopende bestanden, hun analyse en correcties worden alleen in deze browser bewaard en nooit naar een server gestuurd.',
+    'recent.none': 'Geen recente bestanden.',
+    'recent.details': '{sheets} · {rows} rijen · opgeslagen {date}',
+    'recent.remove': 'Verwijderen',
+    'recent.removeLabel': '{name} uit recente bestanden verwijderen',
+    'recent.forget': 'Alle lokale gegevens vergeten',
+    'recent.forgetConfirm': 'Alle recente bestanden, opgeslagen koppelingsprofielen, markeerregels en de gekozen taal uit deze browser verwijderen?',
+    'recent.forgotten': 'Alle lokale gegevens zijn uit deze browser verwijderd.',
+    'recent.notSaved': 'Dit bestand kon niet in de browser worden bewaard. Het ontbreekt mogelijk of is verouderd bij Recente bestanden.',
+
+    'pseudonym.enable': 'Namen pseudonimiseren',
+    'pseudonym.downloadKey': 'Sleutel downloaden',
+    'pseudonym.loadKey': 'Sleutel laden',
+    'pseudonym.lookup': 'Opzoeken',
+    'pseudonym.notFound': 'Niet in de sleutel',
+    'pseudonym.help': 'Tabellen, grafieken en downloads tonen pseudoniemen; de statistieken blijven gelijk. De sleutel koppelt elk pseudoniem aan de echte waarde: bewaar hem privé en laad hem bij een later bestand, zodat dezelfde mensen dezelfde pseudoniemen krijgen.',
+    'pseudonym.invalidKey': 'Dit bestand is geen pseudoniemsleutel.',
+
+    'profile.save': 'Koppelingsprofiel opslaan',
+    'profile.applied': 'Een opgeslagen profiel voor deze kolomkoppen is toegepast op de kolomkoppeling en aanwezigheidswaarden.',
+    'profile.saved': 'Profiel opgeslagen. Bestanden met deze kolomkoppen krijgen deze kolomkoppeling en aanwezigheidswaarden.',
+    'profile.failed': 'Het profiel kon niet in deze browser worden opgeslagen.',
+
+    'structure.continue': 'Verder naar analyse',
+    'structure.fileName': 'Bestandsnaam',
+    'structure.fileSize': 'Bestandsgrootte',
+    'structure.sheetCount': 'Werkbladen',
+    'structure.activeSheet': 'Actief werkblad',
+    'structure.activeSheets': 'Actieve werkbladen',
+    'structure.rows': 'Rijen',
+    'structure.columns': 'Kolommen',
+    'structure.sheets': 'Werkbladen',
+    'structure.analyzeSheet': 'Werkblad analyseren',
+    'structure.combineSheets': 'Werkbladen met dezelfde kolomkoppen samenvoegen',
+    'structure.differentHeaders': 'andere kolomkoppen',
+    'structure.columnMapping': 'Kolomtoewijzing',
+    'structure.resetSuggestions': 'Voorstellen herstellen',
+    'structure.mappingHelp': 'De bronkolommen zijn voorgesteld op basis van de kolomkoppen. Pas er een aan om de analyse opnieuw uit te voeren.',
+    'structure.requiredMissing': 'Verplichte velden niet toegewezen: {fields}',
+    'structure.sourceColumn': 'Bronkolom',
+    'structure.sampleValue': 'Voorbeeldwaarde',
+    'structure.notMapped': '-- Niet toegewezen --',
+    'structure.column': 'Kolom {column}',
+    'structure.suggested': 'Voorgesteld',
+    'structure.columnTypes': 'Kolomkoppen en gegevenstypen',
+    'structure.columnName': 'Kolomnaam',
+    'structure.dataType': 'Gegevenstype',
+    'structure.sampleData': 'Voorbeeldgegevens (eerste 5 rijen)',
+
+    'dataType.string': 'Tekst',
+    'dataType.number': 'Getal',
+    'dataType.object': 'Datum',
+    'dataType.boolean': 'Ja/nee',
+    'dataType.unknown': 'Onbekend',
+
+    'export.downloadExcel': 'Excel downloaden',
+    'export.downloadList': 'Lijst downloaden',
+    'export.downloadIssues': 'Problemen downloaden',
+    'export.downloadPdf': 'PDF downloaden',
+
+    'referenceDate.activeAsOf': 'In dienst op',
+    'referenceDate.today': 'Vandaag',
+    'referenceDate.excluded': 'Niet meegeteld: {notStarted} nog niet begonnen, {left} al uit dienst',
+
+    'employees.title': 'Medewerkerslijst',
+    'employees.nonParticipating': 'Doet niet mee: {count}',
+    'employees.unknown': 'Onbekend: {count}',
+    'employees.undo': 'Ongedaan maken',
+    'employees.redo': 'Opnieuw',
+    'employees.search': 'Zoek op naam of functie',
+    'employees.showing': '{shown} van {total} getoond',
+    'employees.clearFilters': 'Filters wissen',
+    'employees.partTimeOf': 'Parttime % van {name}',
+    'employees.presentOf': 'Aanwezig van {name}',
+    'employees.highlightNote': 'Medewerkers die niet meedoen zijn rood gemarkeerd, medewerkers van wie de aanwezigheid onbekend is geel, tenzij een markeerregel de rij kleurt.',
+    'employees.editNote': 'Aanwezig en Parttime % kunnen in de tabel worden gecorrigeerd; correcties vervallen wanneer het bestand opnieuw wordt geanalyseerd.',
+    'employees.filteredExportNote': 'De Excel-download bevat alleen de gefilterde medewerkers.',
+    'employees.editsNotReapplied': '{count} correctie(s) konden na de nieuwe analyse niet opnieuw worden gemaakt: de medewerker is niet gevonden op nummer of naam. Ze zijn uit het wijzigingslogboek verwijderd.',
+
+    'rules.button': 'Markeerregels ({count})',
+    'rules.title': 'Markeerregels',
+    'rules.help': 'Rijen die aan een regel voldoen worden gekleurd in de tabel en in de gedownloade werkmap. De eerste regel die past bepaalt de kleur; andere rijen houden de kleuren van aanwezigheid. Regels worden in deze browser bewaard.',
+    'rules.add': 'Regel toevoegen',
+    'rules.none': 'Er zijn nog geen regels.',
+    'rules.label': 'Naam',
+    'rules.color': 'Kleur',
+    'rules.combinator': 'Voorwaarden combineren',
+    'rules.all': 'Alle voorwaarden (EN)',
+    'rules.any': 'Een van de voorwaarden (OF)',
+    'rules.if': 'Als',
+    'rules.and': 'en',
+    'rules.or': 'of',
+    'rules.field': 'Veld',
+    'rules.operator': 'Vergelijking',
+    'rules.value': 'Waarde',
+    'rules.chooseStatus': 'Kies...',
+    'rules.addCondition': '+ Voorwaarde',
+    'rules.removeCondition': 'Voorwaarde verwijderen',
+    'rules.moveUp': 'Omhoog',
+    'rules.remove': 'Verwijderen',
+    'rules.incomplete': 'Wordt pas toegepast als de naam en alle waarden zijn ingevuld',
+    'rules.operator.equals': 'is',
+    'rules.operator.notEquals': 'is niet',
+    'rules.operator.contains': 'bevat',
+    'rules.operator.isEmpty': 'is leeg',
+    'rules.operator.isNotEmpty': 'is niet leeg',
+    'rules.operator.lessThan': 'is kleiner dan',
+    'rules.operator.greaterThan': 'is groter dan',
+    'rules.operator.before': 'is voor',
+    'rules.operator.after': 'is na',
+    'rules.operator.thisMonth': 'is deze maand',
+    'rules.color.red': 'Rood',
+    'rules.color.orange': 'Oranje',
+    'rules.color.yellow': 'Geel',
+    'rules.color.green': 'Groen',
+    'rules.color.blue': 'Blauw',
+    'rules.color.purple': 'Paars',
+    'rules.color.gray': 'Grijs',
+
+    'changeLog.title': 'Wijzigingslog ({count})',
+    'changeLog.changedBy': 'Gewijzigd door',
+    'changeLog.yourName': 'Je naam',
+    'changeLog.empty': 'Nog geen wijzigingen.',
+    'changeLog.time': 'Tijdstip',
+    'changeLog.oldValue': 'Oude waarde',
+    'changeLog.newValue': 'Nieuwe waarde',
+
+    'comparison.title': 'Vergelijking met eerdere export',
+    'comparison.includeInExport': 'Opnemen in Excel-download',
+    'comparison.load': 'Eerdere export laden',
+    'comparison.replace': 'Eerdere export vervangen',
+    'comparison.help': 'Laad een eerdere export van hetzelfde bestand om nieuwe medewerkers, vertrekkers en wijzigingen in leidinggevende, parttime % en aanwezigheid te zien. Medewerkers worden gekoppeld op hun personeelsnummer.',
+    'comparison.columnsNotFound': 'De verplichte kolommen zijn niet gevonden in {file}.',
+    'comparison.comparing': '{previous} wordt vergeleken met {current}.',
+    'comparison.skipped': '{count} rijen zonder personeelsnummer zijn overgeslagen.',
+    'comparison.noChanges': 'Geen wijzigingen.',
+    'comparison.joiner': 'Nieuw',
+    'comparison.leaver': 'Vertrokken',
+    'comparison.joiners': 'Nieuwe medewerkers',
+    'comparison.leavers': 'Vertrekkers',
+    'comparison.managerChanges': 'Andere leidinggevende',
+    'comparison.partTimeChanges': 'Parttime gewijzigd',
+    'comparison.presenceChanges': 'Aanwezigheid gewijzigd',
+    'comparison.change': 'Wijziging',
+    'comparison.previous': 'Vorige',
+    'comparison.current': 'Huidige',
+    'comparison.previousTotal': 'Vorig totaal',
+    'comparison.currentTotal': 'Huidig totaal',
+    'comparison.presentChange': 'Verschil aanwezig',
+    'comparison.absentChange': 'Verschil afwezig',
+    'comparison.transfersIn': 'Overgeplaatst naar',
+    'comparison.transfersOut': 'Overgeplaatst van',
+
+    'trends.needsDates': 'Wijs op het tabblad Bestandsopbouw het veld Startdatum of Einddatum toe om trends te zien.',
+    'trends.title': 'Maandelijkse trends',
+    'trends.from': 'Van',
+    'trends.to': 'Tot en met',
+    'trends.allEmployees': 'Alle medewerkers',
+    'trends.chartTitle': '{metric}, instroom en uitstroom',
+    'trends.chartTitleFor': '{metric}, instroom en uitstroom voor {manager}',
+    'trends.month': 'Maand',
+    'trends.joiners': 'Instroom',
+    'trends.leavers': 'Uitstroom',
+    'trends.atMonthEnd': '{metric} aan het eind van de maand',
+    'trends.pickRange': 'Kies een begin- en eindmaand.',
+    'trends.noMonths': 'Geen maanden in de gekozen periode.',
+
+    'tenure.needsDates': 'Wijs op het tabblad Bestandsopbouw het veld Startdatum of Einddatum toe om dienstjaren en aflopende contracten te zien.',
+    'tenure.title': 'Dienstjaren per leidinggevende',
+    'tenure.asOf': 'Op {date}',
+    'tenure.underOne': '<1 jr',
+    'tenure.oneToThree': '1–3 jr',
+    'tenure.threeToFive': '3–5 jr',
+    'tenure.overFive': '5+ jr',
+    'tenure.contractsEnding': 'Aflopende contracten ({count})',
+    'tenure.days': '{days} dagen',
+    'tenure.daysLeft': 'Dagen resterend',
+    'tenure.noneEnding': 'Er lopen geen contracten af in de komende {days} dagen.',
+    'tenure.contractTypes': 'Dienstverbanden',
+    'tenure.noContractType': 'Niet ingevuld',
+
+    'org.title': 'Organogram',
+    'org.managers': 'Leidinggevenden',
+    'org.averageSpan': 'Gem. span of control',
+    'org.maxSpan': 'Max. span of control',
+    'org.missingManagers': 'Leidinggevenden niet in bestand',
+    'org.cycles': 'Rapportagekringen',
+    'org.cyclesHelp': 'Deze medewerkers rapporteren in een kring aan elkaar; elke kring begint bij de eerste medewerker in het bestand:',
+    'org.notFound': 'Leidinggevenden niet gevonden op naam of nummer',
+    'org.expandAll': 'Alles uitklappen',
+    'org.collapseAll': 'Alles inklappen',
+    'org.expand': '{name} uitklappen',
+    'org.collapse': '{name} inklappen',
+    'org.notInRoster': 'Niet in bestand',
+    'org.inCycle': 'Rapportagekring',
+    'org.direct': 'Direct',
+
+    'issue.duplicateId': 'Dubbel personeelsnummer',
+    'issue.missingManager': 'Geen leidinggevende',
+    'issue.partTimeOutOfRange': 'Parttime % buiten 0–100',
+    'issue.invalidDate': 'Onleesbare datum',
+    'issue.endBeforeStart': 'Einddatum voor startdatum',
+    'issue.unrecognizedPresence': 'Onbekende aanwezigheidswaarde',
+    'issueDetail.row': 'rij {row}',
+    'issueDetail.sheetRow': '{sheet} rij {row}',
+    'issueDetail.alsoOn': 'Ook op {locations}',
+    'issueDetail.noManager': 'Geen leidinggevende; niet meegeteld in de statistieken',
+    'issueDetail.notANumber': 'Geen getal; geteld als 0',
+    'issueDetail.outOfRange': 'Buiten 0–100',
+    'issueDetail.notADate': 'Geen datum',
+    'issueDetail.endsBeforeStart': 'Eindigt voor de startdatum {startDate}',
+    'issueDetail.countedAsUnknown': 'Geteld als onbekend',
+    'quality.noIssues': 'Geen problemen gevonden in {sheets}.',
+    'quality.row': 'Rij',
+    'quality.issue': 'Probleem',
+    'quality.value': 'Waarde',
+    'quality.details': 'Toelichting',
+
+    'statistics.title': 'Statistieken',
+    'statistics.groupBy': 'Groeperen op',
+    'statistics.thenBy': 'daarna op',
+    'statistics.headcount.total': 'Totaal medewerkers',
+    'statistics.headcount.present': 'Aanwezig',
+    'statistics.headcount.absent': 'Afwezig',
+    'statistics.headcount.unknown': 'Onbekend',
+    'statistics.fte.total': 'Totaal FTE',
+    'statistics.fte.present': 'Aanwezig FTE',
+    'statistics.fte.absent': 'Afwezig FTE',
+    'statistics.fte.unknown': 'Onbekend FTE',
+    'statistics.averagePartTime': 'Gem. parttime %',
+
+    'charts.share': 'Verdeling per {group}',
+    'charts.headcountPerGroup': 'Medewerkers per {group}',
+    'charts.ftePerGroup': 'FTE per {group}',
+    'charts.presence': 'Aanwezig en afwezig per {group}',
+    'charts.partTime': 'Gemiddeld parttime % per {group}',
+    'charts.participation': 'Totale deelname',
+    'charts.noData': 'Er zijn geen groepen om te tonen.',
+
+    'drillDown.hint': 'Klik om deze medewerkers te tonen',
+    'drillDown.breadcrumb': 'Kruimelpad',
+
+    'report.button': 'Managementrapportage',
+    'report.title': 'Managementrapportage',
+    'report.back': 'Terug naar statistieken',
+    'report.print': 'Afdrukken',
+    'report.file': 'Bestand',
+    'report.sheets': 'Werkbladen',
+    'report.generated': 'Gemaakt op',
+    'report.statisticsPer': 'Statistieken per {group}',
+    'report.chartsPer': 'Grafieken per {group}',
+    'report.nonParticipants': 'Niet-deelnemers per leidinggevende ({count})',
+    'report.everyoneParticipates': 'Iedereen doet mee.',
+    'report.noName': '(geen naam)',
+    'report.more': '+{count} meer',
+    'report.page': 'Pagina {page} van {pageCount}',
+
+    'sheet.employees': 'Medewerkers',
+    'sheet.statistics': 'Statistieken',
+    'sheet.comparison': 'Vergelijking',
+    'sheet.managerDeltas': 'Verschillen per leidinggevende',
+    'sheet.changes': 'Wijzigingen',
+    'sheet.contractsEnding': 'Aflopende contracten',
+
+    'deploy.title': 'Publiceren op GitHub Pages',
+    'deploy.createRepository': 'Maak een nieuwe GitHub-repository',
+    'deploy.initialize': 'Zet je project op met Create React App of Next.js',
+    'deploy.install': 'Installeer de benodigde packages',
+    'deploy.copy': 'Kopieer dit component naar je project',
+    'deploy.setUpPages': 'Stel GitHub Pages in via de instellingen van de repository',
+    'deploy.deploy': 'Publiceer de applicatie met',
+    'deploy.privacy': 'Deze applicatie verwerkt bestanden volledig in de browser - er is geen server nodig en er worden geen gegevens verstuurd.'
+  }
+};
@@ -0,0 +1,74 @@
+import { parsePartTimePercentage } from './employeeData';
+
+const isValidDate = (value) => value instanceof Date && !Number.isNaN(value.getTime());
+
+// Months are numbered as year * 12 + month so ranges are simple loops
+export const toMonthIndex = (date) => date.getFullYear() * 12 + date.getMonth();
+
+export const formatMonthKey = (monthIndex) =>
+  `${Math.floor(monthIndex / 12)}-${String((monthIndex % 12) + 1).padStart(2, '0')}`;
+
+// First day of a month key ("2024-03") or <input type="month"> value
+export const parseMonthKey = (value) => {
+  const match = /^(\d{4})-(\d{2})$/.exec(value || '');
+  return match ? new Date(Number(match[1]), Number(match[2]) - 1, 1) : null;
+};
+
+const isLastDayOfMonth = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1).getDate() === 1;
+
+const createSeries = (length) => Array.from({ length }, () => ({ headcount: 0, fte: 0, joiners: 0, leavers: 0 }));
+
+// Monthly headcount, FTE, joiners and leavers from `from` up to and including
+// the month of `to`, overall and per group (by default per manager).
+// Headcount and FTE are taken on the last day of each month; joiners started
+// in the month and leavers had their last day in it. Employees without a
+// start date count as employed since always, without an end date as still
+// employed.
+export const calculateMonthlyTrends = (employees, from, to, groupBy = 'manager') => {
+  const first = toMonthIndex(from);
+  const last = toMonthIndex(to);
+  const length = Math.max(0, last - first + 1);
+
+  const months = Array.from({ length }, (_, index) => formatMonthKey(first + index));
+  const overall = createSeries(length);
+  const groups = {};
+
+  employees.forEach(employee => {
+    const start = isValidDate(employee.startDate) ? toMonthIndex(employee.startDate) : -Infinity;
+    const end = isValidDate(employee.endDate) ? toMonthIndex(employee.endDate) : Infinity;
+    // Someone leaving on the last day of a month still counts at its end
+    const lastEmployedMonth = isValidDate(employee.endDate) && !isLastDayOfMonth(employee.endDate) ? end - 1 : end;
+    const partTimePercentage = parsePartTimePercentage(employee.partTimePercentage);
+
+    const series = [overall];
+    const group = employee[groupBy];
+    if (group) {
+      if (!groups[group]) {
+        groups[group] = createSeries(length);
+      }
+      series.push(groups[group]);
+    }
+
+    series.forEach(values => {
+      for (let month = Math.max(first, start); month <= Math.min(last, lastEmployedMonth); month++) {
+        values[month - first].headcount++;
+        values[month - first].fte += partTimePercentage;
+      }
+      if (start >= first && start <= last) {
+        values[start - first].joiners++;
+      }
+      if (end >= first && end <= last) {
+        values[end - first].leavers++;
+      }
+    });
+  });
+
+  // FTE was summed as percentages to avoid rounding drift
+  [overall, ...Object.values(groups)].forEach(values => {
+    values.forEach(value => {
+      value.fte /= 100;
+    });
+  });
+
+  return { months, overall, groups };
+};
@@ -0,0 +1,34 @@
+import { calculateMonthlyTrends, formatMonthKey, parseMonthKey } from './trends';
+
+const employees = [
+  { name: 'Anna', manager: 'Jan', startDate: new Date(2023, 0, 15), endDate: null, partTimePercentage: 100 },
+  { name: 'Bob', manager: 'Jan', startDate: null, endDate: new Date(2024, 1, 10), partTimePercentage: 50 },
+  { name: 'Carla', manager: 'Piet', startDate: new Date(2024, 1, 1), endDate: new Date(2024, 2, 31), partTimePercentage: 80 }
+];
+
+test('counts headcount at the end of each month with joiners and leavers', () => {
+  const trends = calculateMonthlyTrends(employees, new Date(2024, 0, 1), new Date(2024, 3, 20));
+
+  expect(trends.months).toEqual(['2024-01', '2024-02', '2024-03', '2024-04']);
+  expect(trends.overall.map(month => month.headcount)).toEqual([2, 2, 2, 1]);
+  expect(trends.overall.map(month => month.joiners)).toEqual([0, 1, 0, 0]);
+  expect(trends.overall.map(month => month.leavers)).toEqual([0, 1, 1, 0]);
+  expect(trends.overall.map(month => month.fte)).toEqual([1.5, 1.8, 1.8, 1]);
+});
+
+test('splits the series per manager', () => {
+  const trends = calculateMonthlyTrends(employees, new Date(2024, 0, 1), new Date(2024, 1, 1));
+
+  expect(Object.keys(trends.groups)).toEqual(['Jan', 'Piet']);
+  expect(trends.groups.Jan.map(month => month.headcount)).toEqual([2, 1]);
+  expect(trends.groups.Piet).toEqual([
+    { headcount: 0, fte: 0, joiners: 0, leavers: 0 },
+    { headcount: 1, fte: 0.8, joiners: 1, leavers: 0 }
+  ]);
+});
+
+test('formats and parses month keys', () => {
+  expect(formatMonthKey(2024 * 12 + 11)).toBe('2024-12');
+  expect(parseMonthKey('2024-12')).toEqual(new Date(2024, 11, 1));
+  expect(parseMonthKey('')).toBeNull();
+});
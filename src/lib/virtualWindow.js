@@ -0,0 +1,24 @@
+// Window of rows a virtual table mounts. Rows have a fixed height; spacers
+// above and below stand in for the rows outside the window.
+
+// Rows rendered above and below the visible window
+export const OVERSCAN = 10;
+
+// Rows from start up to (not including) end, with the heights of the spacers
+// above and below them
+export const getVisibleRange = ({ scrollTop, rowCount, rowHeight, height, overscan = OVERSCAN }) => {
+  const visibleCount = Math.ceil(height / rowHeight);
+  const start = Math.min(rowCount, Math.max(0, Math.floor(scrollTop / rowHeight) - overscan));
+  const end = Math.min(rowCount, start + visibleCount + overscan * 2);
+  return {
+    start,
+    end,
+    topHeight: start * rowHeight,
+    bottomHeight: (rowCount - end) * rowHeight
+  };
+};
+
+// The scroll position to render with. A position measured before the rows
+// were filtered or sorted differently (another resetKey) no longer applies:
+// the table starts at the top again.
+export const getScrollTop = (scroll, resetKey) => (scroll.resetKey === resetKey ? scroll.scrollTop : 0);
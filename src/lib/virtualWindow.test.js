@@ -0,0 +1,52 @@
+import { getVisibleRange, getScrollTop } from './virtualWindow';
+
+test('mounts the visible rows and the overscan at the top', () => {
+  expect(getVisibleRange({ scrollTop: 0, rowCount: 1000, rowHeight: 40, height: 400 })).toEqual({
+    start: 0,
+    end: 30,
+    topHeight: 0,
+    bottomHeight: 970 * 40
+  });
+});
+
+test('moves the window and its spacers along with the scroll position', () => {
+  expect(getVisibleRange({ scrollTop: 4000, rowCount: 1000, rowHeight: 40, height: 400 })).toEqual({
+    start: 90,
+    end: 120,
+    topHeight: 90 * 40,
+    bottomHeight: 880 * 40
+  });
+  expect(getVisibleRange({ scrollTop: 4020, rowCount: 1000, rowHeight: 40, height: 400, overscan: 0 }))
+    .toMatchObject({ start: 100, end: 110 });
+});
+
+test('stops at the last row', () => {
+  expect(getVisibleRange({ scrollTop: 39600, rowCount: 1000, rowHeight: 40, height: 400 })).toEqual({
+    start: 980,
+    end: 1000,
+    topHeight: 980 * 40,
+    bottomHeight: 0
+  });
+  expect(getVisibleRange({ scrollTop: 0, rowCount: 5, rowHeight: 40, height: 400 })).toEqual({
+    start: 0,
+    end: 5,
+    topHeight: 0,
+    bottomHeight: 0
+  });
+});
+
+test('keeps a scroll position far past the rows inside them', () => {
+  expect(getVisibleRange({ scrollTop: 8000, rowCount: 20, rowHeight: 40, height: 400 })).toEqual({
+    start: 20,
+    end: 20,
+    topHeight: 800,
+    bottomHeight: 0
+  });
+});
+
+test('starts at the top again once the rows are reset', () => {
+  const scroll = { scrollTop: 4000, resetKey: 'name|asc' };
+
+  expect(getScrollTop(scroll, 'name|asc')).toBe(4000);
+  expect(getScrollTop(scroll, 'name|desc')).toBe(0);
+});
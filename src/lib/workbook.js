@@ -0,0 +1,84 @@
+import * as XLSX from 'xlsx';
+import { haveMatchingHeaders } from './columnMapping';
+import { isBlankRow } from './employeeData';
+
+export const readWorkbook = (data) => XLSX.read(data, {
+  cellStyles: true,
+  cellFormulas: true,
+  cellDates: true,
+  cellNF: true,
+  sheetStubs: true,
+  type: 'array'
+});
+
+// Extract the header row of a sheet
+export const getSheetHeaders = (sheet) => {
+  const range = XLSX.utils.decode_range(sheet['!ref'] || 'A1');
+  const headers = [];
+  for (let C = range.s.c; C <= range.e.c; ++C) {
+    const cell = sheet[XLSX.utils.encode_cell({r: range.s.r, c: C})];
+    headers.push(cell ? cell.v : null);
+  }
+  return headers;
+};
+
+// Sheets whose headers match the given sheet, including the sheet itself
+export const getCompatibleSheets = (workbook, sheetName) => {
+  const headers = getSheetHeaders(workbook.Sheets[sheetName]);
+  return workbook.SheetNames.filter(name =>
+    haveMatchingHeaders(headers, getSheetHeaders(workbook.Sheets[name]))
+  );
+};
+
+// Analyze the structure of one sheet, or of several sheets with the same
+// headers combined into one dataset. Every data row keeps the name of the
+// sheet it came from in rowSheets and its 1-based row number in rowNumbers.
+// Blank rows are left out, so they never become employees.
+export const analyzeSheets = (workbook, sheetNames) => {
+  const headers = getSheetHeaders(workbook.Sheets[sheetNames[0]]);
+  const rows = [];
+  const rowSheets = [];
+  const rowNumbers = [];
+  let rowCount = 0;
+  let columnCount = 0;
+
+  sheetNames.forEach(sheetName => {
+    const sheet = workbook.Sheets[sheetName];
+    const range = XLSX.utils.decode_range(sheet['!ref'] || 'A1');
+    const jsonData = XLSX.utils.sheet_to_json(sheet, { header: 1 });
+
+    jsonData.slice(1).forEach((row, index) => {
+      if (isBlankRow(row)) return;
+      rows.push(row);
+      rowSheets.push(sheetName);
+      rowNumbers.push(range.s.r + index + 2);
+    });
+    rowCount += range.e.r + 1;
+    columnCount = Math.max(columnCount, range.e.c + 1);
+  });
+
+  // Get column types from sample data
+  const columnTypes = {};
+  headers.forEach((header, idx) => {
+    if (header) {
+      const types = new Set();
+      rows.slice(0, 9).forEach(row => {
+        if (row[idx] !== undefined) {
+          types.add(typeof row[idx]);
+        }
+      });
+      columnTypes[header] = Array.from(types).join('/');
+    }
+  });
+
+  return {
+    headers,
+    columnTypes,
+    rowCount,
+    columnCount,
+    sampleRows: rows.slice(0, 4),
+    rows,
+    rowSheets,
+    rowNumbers
+  };
+};
@@ -0,0 +1,57 @@
+import * as XLSX from 'xlsx';
+import { analyzeSheets, getCompatibleSheets } from './workbook';
+import { haveMatchingHeaders, getHeadersKey } from './columnMapping';
+
+const createWorkbook = (sheets) => {
+  const workbook = XLSX.utils.book_new();
+  Object.entries(sheets).forEach(([name, aoa]) => {
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(aoa), name);
+  });
+  return workbook;
+};
+
+const workbook = createWorkbook({
+  Sales: [['Naam', 'Leidinggevende'], ['Anna', 'Bob'], ['Cees', 'Bob']],
+  Support: [['naam', 'Leidinggevende '], ['Dirk', 'Eva']],
+  Notes: [['Remark'], ['n/a']]
+});
+
+test('matches headers regardless of case and spacing', () => {
+  expect(haveMatchingHeaders(['Naam', 'Leidinggevende'], ['naam', 'Leidinggevende ', null])).toBe(true);
+  expect(haveMatchingHeaders(['Naam'], ['Remark'])).toBe(false);
+  expect(getHeadersKey(['Naam', 'Leidinggevende ', null])).toBe(getHeadersKey(['naam', 'Leidinggevende']));
+});
+
+test('lists sheets that can be combined', () => {
+  expect(getCompatibleSheets(workbook, 'Sales')).toEqual(['Sales', 'Support']);
+  expect(getCompatibleSheets(workbook, 'Notes')).toEqual(['Notes']);
+});
+
+test('analyzes a single sheet', () => {
+  const analysis = analyzeSheets(workbook, ['Support']);
+
+  expect(analysis.headers).toEqual(['naam', 'Leidinggevende ']);
+  expect(analysis.rows).toEqual([['Dirk', 'Eva']]);
+  expect(analysis.rowCount).toBe(2);
+  expect(analysis.columnTypes).toEqual({ naam: 'string', 'Leidinggevende ': 'string' });
+});
+
+test('combines sheets and records the source sheet of every row', () => {
+  const analysis = analyzeSheets(workbook, ['Sales', 'Support']);
+
+  expect(analysis.headers).toEqual(['Naam', 'Leidinggevende']);
+  expect(analysis.rows).toHaveLength(3);
+  expect(analysis.rowSheets).toEqual(['Sales', 'Sales', 'Support']);
+  expect(analysis.rowNumbers).toEqual([2, 3, 2]);
+  expect(analysis.rowCount).toBe(5);
+});
+
+test('leaves out blank rows and keeps the row numbers of the others', () => {
+  const analysis = analyzeSheets(createWorkbook({
+    Staff: [['Naam', 'Leidinggevende'], ['Anna', 'Bob'], ['Cees', 'Bob'], [], ['', '  '], ['Dirk', 'Eva'], ['Fien', 'Eva']]
+  }), ['Staff']);
+
+  expect(analysis.rows.map(row => row[0])).toEqual(['Anna', 'Cees', 'Dirk', 'Fien']);
+  expect(analysis.rowSheets).toEqual(['Staff', 'Staff', 'Staff', 'Staff']);
+  expect(analysis.rowNumbers).toEqual([2, 3, 6, 7]);
+});
@@ -0,0 +1,40 @@
+/* eslint-disable no-restricted-globals */
+// Service worker that keeps the app working offline. The build replaces
+// self.__WB_MANIFEST with the bundle's files, which are precached along with
+// the stylesheet; files are only processed in the browser, so nothing else
+// needs the network.
+import { clientsClaim } from 'workbox-core';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { StaleWhileRevalidate } from 'workbox-strategies';
+
+clientsClaim();
+
+// The Tailwind stylesheet in public/index.html comes from a CDN. The page
+// that installs the service worker loads it before the service worker can
+// see its requests, so it is precached rather than cached on first use. Its
+// version is pinned in the URL, so it needs no revision.
+const STYLESHEET_URL = 'https://cdn.jsdelivr.net/npm/tailwindcss@2.2.19/dist/tailwind.min.css';
+
+precacheAndRoute([...self.__WB_MANIFEST, { url: STYLESHEET_URL, revision: null }]);
+
+// Navigations get the precached index.html, except for URLs of files
+const fileExtension = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) => request.mode === 'navigate' && !url.pathname.startsWith('/_') && !fileExtension.test(url.pathname),
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+// Icons and the manifest are in public/ rather than in the bundle
+registerRoute(
+  ({ request, url }) => url.origin === self.location.origin &&
+    (request.destination === 'image' || request.destination === 'manifest'),
+  new StaleWhileRevalidate({ cacheName: 'public' })
+);
+
+// A new version waits until the user chooses to reload the app
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
@@ -0,0 +1,63 @@
+// Registration of the service worker in src/service-worker.js, in production
+// builds only. When a new build is deployed, the browser installs its service
+// worker next to the running one; it waits until the user chooses to reload.
+// Listeners hear about such a waiting update through subscribeToUpdates().
+
+let waitingWorker = null;
+const listeners = new Set();
+
+const setWaitingWorker = (worker) => {
+  waitingWorker = worker;
+  listeners.forEach(listener => listener(worker));
+};
+
+// The waiting service worker of a new version, or null
+export const getWaitingWorker = () => waitingWorker;
+
+// Call listener with the waiting service worker whenever a new version is
+// installed; returns a function that stops listening
+export const subscribeToUpdates = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Activate the waiting version and reload the page once it has taken over
+export const applyUpdate = () => {
+  if (!waitingWorker) return;
+
+  navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+  waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+};
+
+const watchInstalling = (registration) => {
+  const worker = registration.installing;
+  if (!worker) return;
+
+  worker.addEventListener('statechange', () => {
+    // Without a controller this is the first install rather than an update
+    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+      setWaitingWorker(registration.waiting || worker);
+    }
+  });
+};
+
+export const register = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  // The service worker only works for pages on the origin of PUBLIC_URL
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener('load', async () => {
+    try {
+      const registration = await navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`);
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        setWaitingWorker(registration.waiting);
+      }
+      watchInstalling(registration);
+      registration.addEventListener('updatefound', () => watchInstalling(registration));
+    } catch (err) {
+      console.error('Error registering the service worker:', err);
+    }
+  });
+};
@@ -0,0 +1,123 @@
+// The module keeps the waiting worker, so every test loads it afresh
+let serviceWorkerRegistration;
+let serviceWorker;
+let nodeEnv;
+
+const createWorker = (state) => {
+  const listeners = {};
+  return {
+    state,
+    postMessage: jest.fn(),
+    addEventListener: (type, listener) => {
+      listeners[type] = listener;
+    },
+    dispatch: (type) => listeners[type]()
+  };
+};
+
+const createRegistration = ({ waiting = null, installing = null } = {}) => ({
+  waiting,
+  installing,
+  addEventListener: jest.fn()
+});
+
+// Register and run the window's load handler, which registers the service worker
+const registerOnLoad = async (registration) => {
+  serviceWorker.register.mockResolvedValue(registration);
+  const addEventListener = jest.spyOn(window, 'addEventListener');
+  serviceWorkerRegistration.register();
+  const load = addEventListener.mock.calls.find(([type]) => type === 'load');
+  addEventListener.mockRestore();
+  if (load) await load[1]();
+};
+
+beforeEach(() => {
+  jest.resetModules();
+  serviceWorkerRegistration = require('./serviceWorkerRegistration');
+  serviceWorker = { controller: {}, register: jest.fn(), addEventListener: jest.fn() };
+  Object.defineProperty(navigator, 'serviceWorker', { value: serviceWorker, configurable: true });
+  nodeEnv = process.env.NODE_ENV;
+  process.env.NODE_ENV = 'production';
+});
+
+afterEach(() => {
+  process.env.NODE_ENV = nodeEnv;
+  delete navigator.serviceWorker;
+});
+
+test('tells listeners about a new version once it is installed', async () => {
+  const installing = createWorker('installing');
+  const listener = jest.fn();
+  serviceWorkerRegistration.subscribeToUpdates(listener);
+  await registerOnLoad(createRegistration({ installing }));
+
+  expect(serviceWorker.register).toHaveBeenCalledWith('/service-worker.js');
+  expect(listener).not.toHaveBeenCalled();
+  installing.state = 'installed';
+  installing.dispatch('statechange');
+  expect(listener).toHaveBeenCalledWith(installing);
+  expect(serviceWorkerRegistration.getWaitingWorker()).toBe(installing);
+});
+
+test('picks up a version that was already waiting and one found later', async () => {
+  const waiting = createWorker('installed');
+  const registration = createRegistration({ waiting });
+  await registerOnLoad(registration);
+
+  expect(serviceWorkerRegistration.getWaitingWorker()).toBe(waiting);
+
+  const next = createWorker('installing');
+  registration.installing = next;
+  registration.waiting = null;
+  registration.addEventListener.mock.calls.find(([type]) => type === 'updatefound')[1]();
+  next.state = 'installed';
+  next.dispatch('statechange');
+  expect(serviceWorkerRegistration.getWaitingWorker()).toBe(next);
+});
+
+test('treats the first install as no update', async () => {
+  serviceWorker.controller = null;
+  const installing = createWorker('installing');
+  const listener = jest.fn();
+  serviceWorkerRegistration.subscribeToUpdates(listener);
+  await registerOnLoad(createRegistration({ installing }));
+
+  installing.state = 'installed';
+  installing.dispatch('statechange');
+  expect(listener).not.toHaveBeenCalled();
+  expect(serviceWorkerRegistration.getWaitingWorker()).toBeNull();
+});
+
+test('stops telling a listener that unsubscribed', async () => {
+  const installing = createWorker('installing');
+  const listener = jest.fn();
+  const unsubscribe = serviceWorkerRegistration.subscribeToUpdates(listener);
+  await registerOnLoad(createRegistration({ installing }));
+
+  unsubscribe();
+  installing.state = 'installed';
+  installing.dispatch('statechange');
+  expect(listener).not.toHaveBeenCalled();
+});
+
+test('activates the waiting version and reloads once it has taken over', async () => {
+  const waiting = createWorker('installed');
+  await registerOnLoad(createRegistration({ waiting }));
+  serviceWorkerRegistration.applyUpdate();
+
+  expect(waiting.postMessage).toHaveBeenCalledWith({ type: 'SKIP_WAITING' });
+  expect(serviceWorker.addEventListener).toHaveBeenCalledWith('controllerchange', expect.any(Function), { once: true });
+});
+
+test('applies nothing without a waiting version', () => {
+  serviceWorkerRegistration.applyUpdate();
+
+  expect(serviceWorker.addEventListener).not.toHaveBeenCalled();
+});
+
+test('registers nothing outside production builds', async () => {
+  process.env.NODE_ENV = 'development';
+  await registerOnLoad(createRegistration());
+
+  expect(serviceWorker.register).not.toHaveBeenCalled();
+});
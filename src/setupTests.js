@@ -3,3 +3,6 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// Jest can't create web workers; run the analysis worker in-process instead
+jest.mock('./workers/createAnalysisWorker');
@@ -0,0 +1,20 @@
+import { createAnalysisHandler } from '../analysisHandler';
+
+// Runs the analysis on the main thread, for environments without workers
+const createAnalysisWorker = () => {
+  const handleMessage = createAnalysisHandler();
+  const worker = {
+    onmessage: null,
+    postMessage: (message) => {
+      setTimeout(() => handleMessage(message, reply => {
+        if (worker.onmessage) worker.onmessage({ data: reply });
+      }));
+    },
+    terminate: () => {
+      worker.onmessage = null;
+    }
+  };
+  return worker;
+};
+
+export default createAnalysisWorker;
@@ -0,0 +1,8 @@
+/* eslint-disable no-restricted-globals */
+import { createAnalysisHandler } from './analysisHandler';
+
+const handleMessage = createAnalysisHandler();
+
+self.onmessage = (e) => {
+  handleMessage(e.data, reply => self.postMessage(reply));
+};
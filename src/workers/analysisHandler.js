@@ -0,0 +1,89 @@
+import { readWorkbook, analyzeSheets } from '../lib/workbook';
+import { analyzeWorkbook } from '../lib/analysis';
+
+// Read a File as an ArrayBuffer, reporting progress as a percentage
+const readFile = (file, onProgress) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+
+  reader.onprogress = (e) => {
+    if (e.lengthComputable) {
+      onProgress((e.loaded / e.total) * 100);
+    }
+  };
+  reader.onload = (e) => resolve(e.target.result);
+  reader.onerror = () => reject(new Error('Error reading file.'));
+
+  reader.readAsArrayBuffer(file);
+});
+
+// Message handler behind the analysis worker. It keeps the parsed workbook so
+// that another sheet or column mapping can be analyzed without parsing again.
+//
+//   open    { file, vocabulary }                      read, parse and analyze the first sheet
+//   analyze { file, sheetNames, mapping, mappingHeaders, vocabulary }
+//                                                     analyze the open workbook again; the
+//                                                     file is parsed again when the worker
+//                                                     holds no or another workbook, e.g.
+//                                                     after a cancel
+//   compare { file, sheetNames }                      read a second workbook for comparison
+//
+// Replies are { id, type: 'progress', stage, percent }, { id, type: 'result', result }
+// or { id, type: 'error', message }.
+export const createAnalysisHandler = () => {
+  let workbook = null;
+  let workbookFile = null;
+
+  // Files arrive as copies, so the same file is recognised by its details
+  const isOpenFile = (file) => Boolean(workbook && workbookFile && file) &&
+    file.name === workbookFile.name && file.size === workbookFile.size && file.lastModified === workbookFile.lastModified;
+
+  const parseFile = async (file, progress) => {
+    const buffer = await readFile(file, percent => progress('read', percent));
+    progress('parse', 0);
+    const parsed = readWorkbook(new Uint8Array(buffer));
+    progress('parse', 100);
+    return parsed;
+  };
+
+  return async (message, post) => {
+    const { id, type } = message;
+    const progress = (stage, percent) => post({ id, type: 'progress', stage, percent: Math.round(percent) });
+
+    try {
+      if (type === 'open') {
+        workbook = await parseFile(message.file, progress);
+        workbookFile = message.file;
+        post({ id, type: 'result', result: analyzeWorkbook(workbook, { vocabulary: message.vocabulary }, progress) });
+      } else if (type === 'analyze') {
+        if (!isOpenFile(message.file)) {
+          workbook = await parseFile(message.file, progress);
+          workbookFile = message.file;
+        }
+        post({ id, type: 'result', result: analyzeWorkbook(workbook, message, progress) });
+      } else if (type === 'compare') {
+        const comparisonWorkbook = await parseFile(message.file, progress);
+
+        // Compare the same sheets when the other workbook has them
+        const sheetNames = message.sheetNames.every(name => comparisonWorkbook.SheetNames.includes(name))
+          ? message.sheetNames
+          : [comparisonWorkbook.SheetNames[0]];
+        const analysis = analyzeSheets(comparisonWorkbook, sheetNames);
+
+        post({
+          id,
+          type: 'result',
+          result: {
+            sheetNames,
+            headers: analysis.headers,
+            rows: analysis.rows,
+            rowSheets: analysis.rowSheets
+          }
+        });
+      } else {
+        throw new Error(`Unknown message type: ${type}`);
+      }
+    } catch (err) {
+      post({ id, type: 'error', message: err.message });
+    }
+  };
+};
@@ -0,0 +1,74 @@
+import * as XLSX from 'xlsx';
+import { createAnalysisHandler } from './analysisHandler';
+
+const toFile = (sheets, name = 'staff.xlsx') => {
+  const workbook = XLSX.utils.book_new();
+  Object.entries(sheets).forEach(([sheetName, aoa]) => {
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(aoa), sheetName);
+  });
+  return new File([XLSX.write(workbook, { type: 'array', bookType: 'xlsx' })], name);
+};
+
+const file = toFile({
+  Roster: [
+    ['Naam', 'Leidinggevende', 'Parttime (%)', 'Aanwezig'],
+    ['Anna', 'Bob', 100, 'ja'],
+    ['Cees', 'Bob', 50, 'nee']
+  ],
+  Notes: [['Remark'], ['n/a']]
+});
+
+// Send a message and collect the replies up to the result or error
+const send = async (handle, message) => {
+  const replies = [];
+  await handle(message, reply => replies.push(reply));
+  return replies;
+};
+
+test('opens a file and reports the stages on the way', async () => {
+  const replies = await send(createAnalysisHandler(), { id: 1, type: 'open', file });
+  const result = replies[replies.length - 1];
+
+  expect(replies.every(reply => reply.id === 1)).toBe(true);
+  expect(replies.filter(reply => reply.type === 'progress').map(reply => reply.stage))
+    .toEqual(expect.arrayContaining(['read', 'parse', 'transform', 'aggregate']));
+  expect(result.type).toBe('result');
+  expect(result.result.data.map(employee => employee.name)).toEqual(['Anna', 'Cees']);
+});
+
+test('analyzes another sheet of the open workbook, or parses the file first', async () => {
+  const handle = createAnalysisHandler();
+  await send(handle, { id: 1, type: 'open', file });
+  const again = await send(handle, { id: 2, type: 'analyze', file, sheetNames: ['Notes'] });
+  const fresh = await send(createAnalysisHandler(), { id: 3, type: 'analyze', file, sheetNames: ['Notes'] });
+
+  expect(again.some(reply => reply.stage === 'read')).toBe(false);
+  expect(again[again.length - 1].result.structure.activeSheets).toEqual(['Notes']);
+  expect(fresh.some(reply => reply.stage === 'read')).toBe(true);
+  expect(fresh[fresh.length - 1].result.structure.activeSheets).toEqual(['Notes']);
+});
+
+test('parses the file again when another file was opened last', async () => {
+  const other = toFile({ Team: [['Naam', 'Leidinggevende', 'Parttime (%)'], ['Dirk', 'Eva', 80]] }, 'team.xlsx');
+  const handle = createAnalysisHandler();
+  await send(handle, { id: 1, type: 'open', file: other });
+  const replies = await send(handle, { id: 2, type: 'analyze', file, sheetNames: ['Roster'] });
+
+  expect(replies.some(reply => reply.stage === 'read')).toBe(true);
+  expect(replies[replies.length - 1].result.data.map(employee => employee.name)).toEqual(['Anna', 'Cees']);
+});
+
+test('compares the same sheets, or the first sheet when they are missing', async () => {
+  const handle = createAnalysisHandler();
+  const same = await send(handle, { id: 1, type: 'compare', file, sheetNames: ['Roster'] });
+  const other = await send(handle, { id: 2, type: 'compare', file, sheetNames: ['Archive'] });
+
+  expect(same[same.length - 1].result).toMatchObject({ sheetNames: ['Roster'], rowSheets: ['Roster', 'Roster'] });
+  expect(other[other.length - 1].result.sheetNames).toEqual(['Roster']);
+});
+
+test('replies with an error to unknown messages', async () => {
+  const replies = await send(createAnalysisHandler(), { id: 4, type: 'export' });
+
+  expect(replies).toEqual([{ id: 4, type: 'error', message: 'Unknown message type: export' }]);
+});
@@ -0,0 +1,5 @@
+// Kept in its own module so tests can replace the worker: Jest can't load
+// files that use import.meta
+const createAnalysisWorker = () => new Worker(new URL('./analysis.worker.js', import.meta.url));
+
+export default createAnalysisWorker;